@@ -1,5 +1,7 @@
 import React, { useEffect, useRef, useState } from "react";
-import { BookOpen, CheckCircle, FileText, Linkedin, Mail, Menu, Play, Star, X, ArrowRight } from "lucide-react";
+import { BookOpen, CheckCircle, FileText, Linkedin, Mail, Menu, Play, Search, Star, X, ArrowRight } from "lucide-react";
+import activityRegistry from "./activities.json";
+import enquiry from "./shared/enquiry.js";
 
 /**
  * Interactive Learning – Pro Site
@@ -8,9 +10,11 @@ import { BookOpen, CheckCircle, FileText, Linkedin, Mail, Menu, Play, Star, X, A
  * - Accessible mobile nav & modal (focus trap, Esc close, ARIA)
  * - Reduced-motion safe animations
  * - Lazy iframe + defer heavy DOM
+ * - Activity catalogue driven by activities.json (one launcher for every activity)
  * - Section component + container helpers
  * - Active section highlight via IntersectionObserver
- * - Form validation (client), honeypot, ARIA errors
+ * - Form validation (rules shared with server/enquiries.js), honeypot + time trap, ARIA errors
+ * - Pluggable enquiry submission with pending/success/error states in live regions
  * - Better landmarks & headings hierarchy
  * - Tailwind-only, framework-agnostic
  */
@@ -186,8 +190,43 @@ function Hero({ onCta }){
   );
 }
 
-// ------------- Fishbone iframe content (lazy)
-const fishboneHTML = `REPLACE_WITH_UPLOADED_HTML`;
+// ------------- Activity registry
+// activities.json lists every HTML activity shipped alongside this site.
+// `file` is resolved relative to `activityBase` so the site can be hosted
+// next to the activities or point at a separate static bucket.
+const TAG_GRADIENTS = {
+  "Quality Improvement": "bg-gradient-to-br from-blue-500 to-blue-700",
+  "Patient Safety": "bg-gradient-to-br from-red-500 to-red-700",
+  "Safety Culture": "bg-gradient-to-br from-rose-500 to-rose-700",
+  "Leadership": "bg-gradient-to-br from-orange-500 to-orange-700",
+  "Person-Centred Care": "bg-gradient-to-br from-teal-500 to-teal-700",
+  "Advance Care Planning": "bg-gradient-to-br from-emerald-500 to-emerald-700",
+  "Communication": "bg-gradient-to-br from-indigo-500 to-indigo-700",
+  "Infection Prevention": "bg-gradient-to-br from-amber-500 to-amber-700",
+  "Sustainability": "bg-gradient-to-br from-lime-600 to-green-700",
+};
+const DEFAULT_GRADIENT = "bg-gradient-to-br from-purple-500 to-purple-700";
+const KIND_LABELS = { activity: "Activities", deck: "Slide decks" };
+
+const activityUrl = (activity, base = "") => base + encodeURI(activity.file);
+
+const matchesQuery = (activity, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return [activity.title, activity.subtitle, activity.tag, activity.level]
+    .some((field) => field && field.toLowerCase().includes(q));
+};
+
+function useActivityCatalogue(registry){
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [kind, setKind] = useState("");
+  const tags = Array.from(new Set(registry.map((a) => a.tag))).sort();
+  const results = registry.filter((a) =>
+    matchesQuery(a, query) && (!tag || a.tag === tag) && (!kind || a.kind === kind)
+  );
+  return { query, setQuery, tag, setTag, kind, setKind, tags, results };
+}
 
 // ------------- Activities card
 function ActivityCard({ title, subtitle, level, tag, gradient, onDemo }){
@@ -217,32 +256,100 @@ function ActivityCard({ title, subtitle, level, tag, gradient, onDemo }){
   );
 }
 
+// ------------- Activities catalogue
+function ActivityCatalogue({ registry, onLaunch }){
+  const { query, setQuery, tag, setTag, kind, setKind, tags, results } = useActivityCatalogue(registry);
+  return (
+    <div>
+      <form role="search" onSubmit={(e)=>e.preventDefault()} className="grid md:grid-cols-[1fr_auto_auto] gap-3 mb-4">
+        <label htmlFor="activity-search" className="sr-only">Search activities</label>
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} aria-hidden="true" />
+          <input id="activity-search" type="search" className="input pl-10" value={query} onChange={(e)=>setQuery(e.target.value)} placeholder="Search by title, topic or level" />
+        </div>
+        <label htmlFor="activity-tag" className="sr-only">Filter by topic</label>
+        <select id="activity-tag" className="input" value={tag} onChange={(e)=>setTag(e.target.value)}>
+          <option value="">All topics</option>
+          {tags.map(t=> <option key={t} value={t}>{t}</option>)}
+        </select>
+        <label htmlFor="activity-kind" className="sr-only">Filter by type</label>
+        <select id="activity-kind" className="input" value={kind} onChange={(e)=>setKind(e.target.value)}>
+          <option value="">Activities & slides</option>
+          {Object.entries(KIND_LABELS).map(([k,label])=> <option key={k} value={k}>{label}</option>)}
+        </select>
+      </form>
+      <p className="text-sm text-gray-600 mb-8" role="status" aria-live="polite">
+        Showing {results.length} of {registry.length}
+      </p>
+      {results.length ? (
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+          {results.map((a)=> (
+            <ActivityCard
+              key={a.id}
+              title={a.title}
+              subtitle={a.subtitle}
+              level={a.level}
+              tag={a.tag}
+              gradient={TAG_GRADIENTS[a.tag] || DEFAULT_GRADIENT}
+              onDemo={()=>onLaunch(a)}
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="text-center text-gray-600 py-12">No activities match your search.</p>
+      )}
+    </div>
+  );
+}
+
 // ------------- Contact form with validation
-function useContactForm(){
-  const [values, set] = useState({ name:"", email:"", organization:"", role:"", interests:[], message:"", website:"" }); // website = honeypot
+// Any object with submit(payload) => Promise works as an adapter (see shared/enquiry.js);
+// the default posts to server/enquiries.js on the same origin.
+const defaultContactAdapter = enquiry.httpAdapter(enquiry.ENDPOINT);
+const EMPTY_ENQUIRY = { name:"", email:"", organization:"", role:"", interests:[], message:"", website:"" }; // website = honeypot
+const FIELD_IDS = { name:"name", email:"email", organization:"org", role:"role", message:"msg" };
+
+function useContactForm(adapter = defaultContactAdapter){
+  const [values, set] = useState(EMPTY_ENQUIRY);
   const [errors, setErrors] = useState({});
-  const emailRx = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  const validate = () => {
-    const e = {};
-    if (!values.name.trim()) e.name = "Please enter your name.";
-    if (!values.email.trim() || !emailRx.test(values.email)) e.email = "Enter a valid email.";
-    if (!values.organization.trim()) e.organization = "Organization is required.";
-    if (values.website) e.website = "Spam detected.";
-    setErrors(e); return Object.keys(e).length === 0;
+  const [status, setStatus] = useState({ state:"idle", message:"" }); // idle | invalid | pending | success | error
+  const startedAt = useRef(Date.now()); // time trap: bots fill the form instantly
+  const focusFirst = (e) => {
+    const first = Object.keys(FIELD_IDS).find(k => e[k]);
+    first && document.getElementById(FIELD_IDS[first])?.focus();
   };
-  const submit = (evt) => {
+  const submit = async (evt) => {
     evt.preventDefault();
-    if (!validate()) return;
-    alert("Thanks! This is a demo. In production this would post to your backend or Formspree.");
-    console.log("Form:", values);
+    if (status.state === "pending") return;
+    const e = enquiry.validate(values);
+    delete e[enquiry.HONEYPOT]; // sent on and scored by the server, so a filled honeypot looks like success
+    const n = Object.keys(e).length;
+    setErrors(e);
+    if (n) {
+      setStatus({ state:"invalid", message:`Please check the ${n === 1 ? "field" : `${n} fields`} marked below.` });
+      focusFirst(e);
+      return;
+    }
+    setStatus({ state:"pending", message:"Sending your message…" });
+    try {
+      const result = await adapter.submit(enquiry.prepare(values, startedAt.current));
+      setStatus({ state:"success", message: result.message || "Thanks – your message has been sent." });
+      set(EMPTY_ENQUIRY);
+      startedAt.current = Date.now();
+    } catch (err) {
+      const fieldErrors = err.errors || {};
+      setErrors(fieldErrors);
+      focusFirst(fieldErrors);
+      setStatus({ state:"error", message: err.message || "Your message could not be sent." });
+    }
   };
-  return { values, set, errors, submit };
+  return { values, set, errors, status, submit };
 }
 
 // ------------- Main component
-export default function InteractiveLearningPro(){
+export default function InteractiveLearningPro({ activities = activityRegistry, activityBase = "", contactAdapter = defaultContactAdapter }){
   const [active, setActive] = useState("home");
-  const [fishboneOpen, setFishboneOpen] = useState(false);
+  const [launched, setLaunched] = useState(null);
   const sections = ["home","activities","methodology","solutions","about","contact"];
 
   // Smooth scroll + active section detection
@@ -258,7 +365,8 @@ export default function InteractiveLearningPro(){
     return ()=>obs.disconnect();
   }, []);
 
-  const { values, set, errors, submit } = useContactForm();
+  const { values, set, errors, status, submit } = useContactForm(contactAdapter);
+  const pending = status.state === "pending";
 
   return (
     <div className="min-h-screen bg-white text-gray-900">
@@ -283,21 +391,7 @@ export default function InteractiveLearningPro(){
           <h2 className="text-4xl font-bold mb-3">Interactive Learning Activities</h2>
           <p className="text-lg text-gray-600">Evidence‑based, scenario‑driven tools for health & social care education</p>
         </div>
-        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
-          <ActivityCard
-            title="Interactive Fishbone RCA"
-            subtitle="Root Cause Analysis Builder"
-            level="Level 9"
-            tag="Quality Improvement"
-            gradient="bg-gradient-to-br from-blue-500 to-blue-700"
-            onDemo={()=>setFishboneOpen(true)}
-          />
-          <ActivityCard title="Person‑Centred Care Simulator" subtitle="Decision‑Making Tool" level="Level 7‑9" tag="Ethics" gradient="bg-gradient-to-br from-teal-500 to-teal-700" onDemo={()=>alert('Demo placeholder')}/>
-          <ActivityCard title="QI Plan Designer" subtitle="PDSA Cycle Builder" level="Level 9" tag="Leadership" gradient="bg-gradient-to-br from-orange-500 to-orange-700" onDemo={()=>alert('Demo placeholder')}/>
-          <ActivityCard title="Collaborative Governance Timeline" subtitle="Policy Development" level="Level 8‑9" tag="Policy" gradient="bg-gradient-to-br from-purple-500 to-purple-700" onDemo={()=>alert('Demo placeholder')}/>
-          <ActivityCard title="Infection Risk Assessment" subtitle="Clinical Safety Tool" level="Level 7" tag="Clinical Practice" gradient="bg-gradient-to-br from-red-500 to-red-700" onDemo={()=>alert('Demo placeholder')}/>
-          <ActivityCard title="Clinical Reasoning Workshop" subtitle="Decision Framework" level="Level 7‑8" tag="Assessment" gradient="bg-gradient-to-br from-indigo-500 to-indigo-700" onDemo={()=>alert('Demo placeholder')}/>
-        </div>
+        <ActivityCatalogue registry={activities} onLaunch={setLaunched} />
       </Section>
 
       {/* Methodology (condensed for brevity) */}
@@ -312,7 +406,7 @@ export default function InteractiveLearningPro(){
           },{
             n:2, c:"teal", t:"AI‑Assisted Design", d:"Generate & iterate interactive HTML/JS, test across devices, ensure accessibility."
           },{
-            n:3, c:"orange", t:"Seamless Integration", d:"Works in Sway, Moodle, Canvas and major LMS – no installs."
+            n:3, c:"orange", t:"Seamless Integration", d:"Works in Sway, Moodle, Canvas and major LMS – no installs. SCORM and xAPI packages report scores back."
           }].map(({n,c,t,d})=> (
             <div key={n} className="relative">
               <div className={cx("text-6xl font-extrabold absolute -top-5 -left-4 select-none", `text-${c}-100`)}> {n} </div>
@@ -344,7 +438,7 @@ export default function InteractiveLearningPro(){
                     <li key={s} className="flex items-start"><CheckCircle className={cx("mr-3", i?"text-orange-500":"text-teal-600")} size={20}/><span>{s}</span></li>
                   ))}
                 </ul>
-                <a href="#contact" onClick={(e)=>{e.preventDefault(); jump("contact");}} className={cx("w-full block text-center py-3 rounded-lg font-semibold text-white", i?"bg-teal-700 hover:bg-teal-600":"bg-blue-900 hover:bg-blue-800")}>Get in touch</a>
+                <a href="#contact" onClick={(e)=>{e.preventDefault(); set(v=>({...v, interests:[h]})); jump("contact");}} className={cx("w-full block text-center py-3 rounded-lg font-semibold text-white", i?"bg-teal-700 hover:bg-teal-600":"bg-blue-900 hover:bg-blue-800")}>Get in touch</a>
               </div>
             </div>
           ))}
@@ -395,7 +489,12 @@ export default function InteractiveLearningPro(){
           <p className="text-lg text-gray-600">Tell us what you need – we usually reply in one business day.</p>
         </div>
         <div className="max-w-3xl mx-auto bg-white rounded-2xl shadow-xl p-8">
-          <form onSubmit={submit} noValidate>
+          <form onSubmit={submit} noValidate aria-busy={pending}>
+            {values.interests.length > 0 && (
+              <p className="text-sm text-gray-600 mb-4">Enquiring about: <strong>{values.interests.join(", ")}</strong>{" "}
+                <button type="button" className="underline" onClick={()=>set(v=>({...v, interests:[]}))}>Clear</button>
+              </p>
+            )}
             <input type="text" name="website" value={values.website} onChange={(e)=>set(v=>({...v, website:e.target.value}))} className="hidden" tabIndex={-1} autoComplete="off" aria-hidden="true" />
             <div className="grid md:grid-cols-2 gap-6">
               <div>
@@ -419,15 +518,25 @@ export default function InteractiveLearningPro(){
                 <label className="block text-sm font-semibold mb-2" htmlFor="role">Role</label>
                 <select id="role" className="input" value={values.role} onChange={(e)=>set(v=>({...v, role:e.target.value}))}>
                   <option value="">Select your role</option>
-                  {['Lecturer/Module Leader','Learning Technologist','CPD Lead','Administrator','Other'].map(r=> <option key={r} value={r.toLowerCase()}>{r}</option>)}
+                  {enquiry.ROLES.map(r=> <option key={r} value={r.toLowerCase()}>{r}</option>)}
                 </select>
               </div>
             </div>
             <div className="mt-6">
               <label className="block text-sm font-semibold mb-2" htmlFor="msg">Tell us about your needs</label>
-              <textarea id="msg" className="input min-h-[120px]" value={values.message} onChange={(e)=>set(v=>({...v, message:e.target.value}))} placeholder="What are you aiming to achieve?" />
+              <textarea id="msg" className="input min-h-[120px]" value={values.message} onChange={(e)=>set(v=>({...v, message:e.target.value}))} maxLength={enquiry.LIMITS.message} aria-invalid={!!errors.message} aria-describedby={errors.message?"msg-err":undefined} placeholder="What are you aiming to achieve?" />
+              {errors.message && <p id="msg-err" className="text-sm text-red-600 mt-1">{errors.message}</p>}
+            </div>
+            <button type="submit" disabled={pending} className="w-full mt-6 bg-gradient-to-r from-blue-900 to-teal-700 text-white py-3 rounded-lg font-semibold hover:from-blue-800 hover:to-teal-600 disabled:opacity-60 disabled:cursor-wait">{pending ? "Sending…" : "Send Message"}</button>
+            {/* Live regions stay mounted so screen readers announce each change */}
+            <div role="status" aria-live="polite" className={cx("mt-4 text-center", status.state==="success" ? "text-teal-700 font-semibold" : "text-gray-700")}>
+              {["invalid","pending","success"].includes(status.state) ? status.message : ""}
+            </div>
+            <div role="alert" className="mt-2 text-center text-red-700">
+              {status.state === "error" && (
+                <>{status.message} You can also email <a href="mailto:raoawaiis@gmail.com" className="underline">raoawaiis@gmail.com</a>.</>
+              )}
             </div>
-            <button type="submit" className="w-full mt-6 bg-gradient-to-r from-blue-900 to-teal-700 text-white py-3 rounded-lg font-semibold hover:from-blue-800 hover:to-teal-600">Send Message</button>
           </form>
           <div className="grid md:grid-cols-3 gap-6 text-center mt-8">
             <div>
@@ -479,15 +588,17 @@ export default function InteractiveLearningPro(){
         </Container>
       </footer>
 
-      {/* Fishbone modal with lazy iframe */}
-      <Modal open={fishboneOpen} onClose={()=>setFishboneOpen(false)} title="Interactive Fishbone RCA Builder – Live Demo">
-        <iframe
-          title="Interactive Fishbone RCA Builder"
-          className="w-full h-[1200px] border-0"
-          loading="lazy"
-          // Replace srcDoc at build time: safer to import the uploaded HTML string
-          srcDoc={fishboneHTML}
-        />
+      {/* Activity launcher: the iframe only mounts once an activity is chosen */}
+      <Modal open={!!launched} onClose={()=>setLaunched(null)} title={launched ? `${launched.title} – Live Demo` : ""}>
+        {launched && (
+          <iframe
+            key={launched.id}
+            title={launched.title}
+            className="w-full h-full min-h-[calc(90vh-64px)] border-0"
+            loading="lazy"
+            src={activityUrl(launched, activityBase)}
+          />
+        )}
       </Modal>
 
       <style jsx global>{`
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// Contact enquiry endpoint
+// Reference backend for the contact form on the site
+// (useContactForm in interactive_learning_pro_site_refactor_a_11_y_perf.jsx).
+// POST /api/enquiries checks the message with the same rules as the form
+// (shared/enquiry.js), scores it for spam, stores it, and queues an
+// acknowledgement email in a local outbox for a mail relay to send. The
+// acknowledgement is fixed text, so the form cannot be used to send a
+// stranger someone else's words; only the staff notification quotes them.
+//
+//     node server/enquiries.js [--port 8789] [--host 0.0.0.0] [--data server/data/enquiries]
+//                              [--origin https://site.example] [--from "Name <address>"] [--notify address] [--trust-proxy]
+//
+// The data directory holds enquiries.jsonl (one enquiry per line, spam
+// included and marked) and outbox/, one .eml file per queued email. It also
+// serves the repository, for trying the form locally.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { serveStatic } = require('./static');
+const enquiry = require('../shared/enquiry');
+
+const MAX_BODY = 32 * 1024;
+const RATE_WINDOW = 15 * 60 * 1000;
+const RATE_LIMIT = 5; // enquiries per address per window
+const DEFAULT_FROM = 'Interactive Learning Innovations <no-reply@localhost>';
+
+class HttpError extends Error {
+    constructor(status, message, extra) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, 'That message is too long'));
+                request.destroy();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// Header values never carry line breaks, so a name cannot add headers
+const header = value => String(value).replace(/[\r\n]+/g, ' ');
+
+function acknowledgement(record, from) {
+    return [
+        `From: ${header(from)}`,
+        `To: ${header(record.email)}`,
+        `Subject: We received your enquiry (${record.id})`,
+        `Date: ${new Date(record.receivedAt).toUTCString()}`,
+        `Message-ID: <${record.id}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Hello,',
+        '',
+        'Thank you for getting in touch. We have received your enquiry and',
+        'usually reply within one business day.',
+        '',
+        'If you did not contact us, you can ignore this email.',
+        '',
+        `Reference: ${record.id}`,
+        ''
+    ].join('\r\n');
+}
+
+function notification(record, from, to) {
+    return [
+        `From: ${header(from)}`,
+        `To: ${header(to)}`,
+        `Reply-To: ${header(record.email)}`,
+        `Subject: New enquiry from ${header(record.name)} (${header(record.organization)})`,
+        `Date: ${new Date(record.receivedAt).toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        `Name: ${record.name}`,
+        `Email: ${record.email}`,
+        `Organisation: ${record.organization}`,
+        `Role: ${record.role || '-'}`,
+        `Interests: ${record.interests.join(', ') || '-'}`,
+        '',
+        record.message || '(no message)',
+        ''
+    ].join('\r\n');
+}
+
+function createEnquiryServer(options) {
+    const opts = Object.assign({
+        root: path.resolve(__dirname, '..'),
+        data: path.join(__dirname, 'data', 'enquiries'),
+        origins: [],
+        from: DEFAULT_FROM,
+        notify: null,
+        trustProxy: false
+    }, options);
+    const database = path.join(opts.data, 'enquiries.jsonl');
+    const outbox = path.join(opts.data, 'outbox');
+    fs.mkdirSync(outbox, { recursive: true });
+    const files = serveStatic(opts.root);
+    const recent = new Map(); // address -> submission times in the window
+
+    const clientAddress = request => {
+        const forwarded = opts.trustProxy && request.headers['x-forwarded-for'];
+        return forwarded ? forwarded.split(',')[0].trim() : request.socket.remoteAddress;
+    };
+
+    // Returns seconds to wait, or 0 when the address may submit
+    const limited = address => {
+        const now = Date.now();
+        const times = (recent.get(address) || []).filter(t => now - t < RATE_WINDOW);
+        recent.set(address, times);
+        return times.length >= RATE_LIMIT ? Math.ceil((times[0] + RATE_WINDOW - now) / 1000) : 0;
+    };
+
+    // Only enquiries that pass validation use up an address's quota
+    const count = address => recent.get(address).push(Date.now());
+
+    const queue = (record, kind, message) => {
+        const file = path.join(outbox, `${record.receivedAt}-${record.id}-${kind}.eml`);
+        fs.writeFileSync(file + '.tmp', message);
+        fs.renameSync(file + '.tmp', file);
+    };
+
+    async function receive(request) {
+        if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+            throw new HttpError(415, 'Send the enquiry as JSON');
+        }
+        const address = clientAddress(request);
+        const wait = limited(address);
+        if (wait) throw new HttpError(429, 'Too many messages - please try again later', { retryAfter: wait });
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(request));
+        } catch (e) {
+            if (e instanceof HttpError) throw e;
+            throw new HttpError(400, 'The enquiry was not valid JSON');
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new HttpError(400, 'The enquiry was not understood');
+
+        // The honeypot is scored below rather than reported, so bots learn nothing
+        const errors = enquiry.validate(payload);
+        delete errors[enquiry.HONEYPOT];
+        if (Object.keys(errors).length) throw new HttpError(422, 'Please check the highlighted fields', { errors });
+        count(address);
+
+        const spam = enquiry.spamScore(payload);
+        const record = Object.assign({
+            id: crypto.randomBytes(6).toString('hex'),
+            receivedAt: Date.now(),
+            status: spam.spam ? 'spam' : 'new'
+        }, enquiry.clean(payload), {
+            spam: { score: spam.score, reasons: spam.reasons },
+            address: crypto.createHash('sha256').update(String(address)).digest('hex').slice(0, 16),
+            userAgent: String(request.headers['user-agent'] || '').slice(0, 200)
+        });
+        await fs.promises.appendFile(database, JSON.stringify(record) + '\n');
+        if (!spam.spam) {
+            queue(record, 'ack', acknowledgement(record, opts.from));
+            if (opts.notify) queue(record, 'notify', notification(record, opts.from, opts.notify));
+        }
+        // Spam gets the same answer as everyone else
+        return { id: record.id, message: 'Thanks - your message has been received. A confirmation email is on its way.' };
+    }
+
+    const cors = (request, response) => {
+        const origin = request.headers.origin;
+        if (origin && (opts.origins.includes('*') || opts.origins.includes(origin))) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+            response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+            response.setHeader('Access-Control-Max-Age', '600');
+        }
+    };
+
+    const json = (response, status, body, headers) => {
+        response.writeHead(status, Object.assign({ 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' }, headers));
+        response.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((request, response) => {
+        const pathname = new URL(request.url, 'http://localhost').pathname.replace(/\/+$/, '');
+        if (pathname !== enquiry.ENDPOINT) return files(request, response);
+        cors(request, response);
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            return response.end();
+        }
+        if (request.method !== 'POST') return json(response, 405, { message: 'Use POST' }, { Allow: 'POST, OPTIONS' });
+        receive(request).then(
+            result => json(response, 201, result),
+            err => {
+                if (!(err instanceof HttpError)) {
+                    console.error(`Could not store an enquiry: ${err.message}`);
+                    return json(response, 500, { message: 'Your message could not be saved - please email us instead.' });
+                }
+                const extra = err.extra || {};
+                json(response, err.status, { message: err.message, errors: extra.errors },
+                    extra.retryAfter ? { 'Retry-After': String(extra.retryAfter) } : {});
+            }
+        );
+    });
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        recent.forEach((times, address) => {
+            if (!times.some(t => now - t < RATE_WINDOW)) recent.delete(address);
+        });
+    }, RATE_WINDOW);
+    sweep.unref();
+    server.on('close', () => clearInterval(sweep));
+
+    return { server, database, outbox };
+}
+
+function parseArgs(argv) {
+    const args = { port: enquiry.DEFAULT_PORT, host: '0.0.0.0', data: path.join(__dirname, 'data', 'enquiries'), origins: [], from: DEFAULT_FROM, notify: null, trustProxy: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--host') args.host = argv[++i];
+        else if (argv[i] === '--data') args.data = path.resolve(argv[++i]);
+        else if (argv[i] === '--origin') args.origins.push(argv[++i]);
+        else if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--notify') args.notify = argv[++i];
+        else if (argv[i] === '--trust-proxy') args.trustProxy = true;
+    }
+    return args;
+}
+
+module.exports = { createEnquiryServer, acknowledgement };
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const { server, database, outbox } = createEnquiryServer(args);
+    server.listen(args.port, args.host, () => {
+        console.log(`Enquiry endpoint on port ${args.port}: POST ${enquiry.ENDPOINT}`);
+        console.log(`  Enquiries: ${database}`);
+        console.log(`  Outbox:    ${outbox}`);
+        if (args.origins.length) console.log(`  Accepting cross-origin posts from ${args.origins.join(', ')}`);
+    });
+}
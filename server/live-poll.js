@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Live classroom polling server
+// Reference backend for live sessions in activity1_poll.html and
+// culture_pulse_survey.html. A facilitator creates a room, students join with
+// its code, and every vote or published survey score is broadcast to the room
+// as aggregate counts and averages - never as individual responses.
+//
+//     node server/live-poll.js [--port 8787] [--host 0.0.0.0] [--min-group 3]
+//
+// It also serves the repository, so students can open
+// http://<facilitator's machine>:8787/activity1_poll.html?room=ABC123 directly.
+// Rooms live in memory and disappear when the server stops.
+'use strict';
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { attach, readMessage } = require('./websocket');
+const { serveStatic } = require('./static');
+
+const PATH = '/live';
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 6;
+const ROOM_TTL = 6 * 60 * 60 * 1000;
+const MAX_ROOMS = 500;
+const MAX_TEXT = 80;
+const MAX_KEYS = 20;
+const RATE_LIMIT = 20; // messages per socket per 10 seconds
+
+function roomCode(rooms) {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+function text(value) {
+    return typeof value === 'string' && value.trim() && value.length <= MAX_TEXT ? value.trim() : null;
+}
+
+// Counts per option, with every known option present so zero bars still show
+function pollSummary(poll) {
+    const counts = {};
+    poll.options.forEach(option => { counts[option] = 0; });
+    poll.votes.forEach(option => { counts[option] = (counts[option] || 0) + 1; });
+    return { options: poll.options, counts, total: poll.votes.size };
+}
+
+// Averages are withheld until enough people have responded that no one
+// person's answers can be read back from them
+function surveySummary(survey, minGroup) {
+    const n = survey.responses.size;
+    if (n < minGroup) return { n, minGroup, averages: null };
+    const totals = {};
+    survey.responses.forEach(scores => {
+        Object.keys(scores).forEach(key => { totals[key] = (totals[key] || 0) + scores[key]; });
+    });
+    const averages = {};
+    Object.keys(totals).forEach(key => { averages[key] = Math.round(totals[key] / n); });
+    return { n, minGroup, averages };
+}
+
+function createLivePollServer(options) {
+    const opts = Object.assign({ root: path.resolve(__dirname, '..'), minGroup: 3 }, options);
+    const rooms = new Map();
+    const server = http.createServer(serveStatic(opts.root));
+
+    const state = room => {
+        const polls = {};
+        room.polls.forEach((poll, question) => { polls[question] = pollSummary(poll); });
+        const surveys = {};
+        room.surveys.forEach((survey, source) => { surveys[source] = surveySummary(survey, opts.minGroup); });
+        return { type: 'state', room: room.code, title: room.title, participants: room.sockets.size, polls, surveys };
+    };
+
+    const broadcast = room => {
+        const message = JSON.stringify(state(room));
+        room.sockets.forEach(socket => socket.send(message));
+    };
+
+    const closeRoom = room => {
+        room.sockets.forEach(socket => {
+            socket.send({ type: 'closed', room: room.code });
+            socket.room = null;
+        });
+        rooms.delete(room.code);
+    };
+
+    const isHost = (room, key) => typeof key === 'string' && key === room.hostKey;
+
+    const handlers = {
+        create(socket, msg) {
+            if (rooms.size >= MAX_ROOMS) return socket.send({ type: 'error', message: 'The server has too many open rooms' });
+            const room = {
+                code: roomCode(rooms),
+                hostKey: crypto.randomBytes(16).toString('hex'),
+                title: text(msg.title) || 'Live session',
+                polls: new Map(),
+                surveys: new Map(),
+                sockets: new Set(),
+                touched: Date.now()
+            };
+            rooms.set(room.code, room);
+            socket.send({ type: 'created', room: room.code, hostKey: room.hostKey });
+            handlers.join(socket, { room: room.code, hostKey: room.hostKey });
+        },
+
+        join(socket, msg) {
+            const room = rooms.get((text(msg.room) || '').toUpperCase());
+            if (!room) return socket.send({ type: 'error', message: 'No room with that code - check it with your facilitator' });
+            if (socket.room && socket.room !== room) handlers.leave(socket);
+            socket.room = room;
+            room.sockets.add(socket);
+            socket.send({ type: 'joined', room: room.code, host: isHost(room, msg.hostKey) });
+            broadcast(room);
+        },
+
+        leave(socket) {
+            const room = socket.room;
+            if (!room) return;
+            room.sockets.delete(socket);
+            socket.room = null;
+            broadcast(room);
+        },
+
+        // One vote per voter per question; voting again changes the vote
+        vote(socket, msg, room) {
+            const question = text(msg.question);
+            const option = text(msg.option);
+            if (!question || !option) return socket.send({ type: 'error', message: 'Vote needs a question and an option' });
+            let poll = room.polls.get(question);
+            if (!poll) {
+                if (room.polls.size >= MAX_KEYS) return socket.send({ type: 'error', message: 'Too many questions in this room' });
+                const list = Array.isArray(msg.options) ? msg.options.map(text).filter(Boolean).slice(0, MAX_KEYS) : [];
+                poll = { options: list, votes: new Map() };
+                room.polls.set(question, poll);
+            }
+            if (poll.options.length && !poll.options.includes(option)) {
+                return socket.send({ type: 'error', message: 'That is not one of the options' });
+            }
+            poll.votes.set(socket.voter, option);
+            broadcast(room);
+        },
+
+        // Scores are 0-100 per key; only their averages ever leave the server
+        publish(socket, msg, room) {
+            const source = text(msg.source);
+            const scores = msg.scores && typeof msg.scores === 'object' ? msg.scores : null;
+            if (!source || !scores) return socket.send({ type: 'error', message: 'Publish needs a source and scores' });
+            const clean = {};
+            for (const key of Object.keys(scores).slice(0, MAX_KEYS)) {
+                const value = Number(scores[key]);
+                if (!text(key) || !Number.isFinite(value) || value < 0 || value > 100) {
+                    return socket.send({ type: 'error', message: `Score "${key}" must be a number from 0 to 100` });
+                }
+                clean[key] = value;
+            }
+            let survey = room.surveys.get(source);
+            if (!survey) {
+                if (room.surveys.size >= MAX_KEYS) return socket.send({ type: 'error', message: 'Too many surveys in this room' });
+                survey = { responses: new Map() };
+                room.surveys.set(source, survey);
+            }
+            survey.responses.set(socket.voter, clean);
+            broadcast(room);
+        },
+
+        reset(socket, msg, room) {
+            if (!isHost(room, msg.hostKey)) return socket.send({ type: 'error', message: 'Only the facilitator can reset the room' });
+            room.polls.forEach(poll => poll.votes.clear());
+            room.surveys.forEach(survey => survey.responses.clear());
+            broadcast(room);
+        },
+
+        close(socket, msg, room) {
+            if (!isHost(room, msg.hostKey)) return socket.send({ type: 'error', message: 'Only the facilitator can close the room' });
+            closeRoom(room);
+        }
+    };
+
+    const sockets = attach(server, PATH, socket => {
+        socket.room = null;
+        socket.voter = crypto.randomBytes(8).toString('hex');
+        let windowStart = Date.now();
+        let count = 0;
+
+        socket.on('message', raw => {
+            const now = Date.now();
+            if (now - windowStart > 10000) {
+                windowStart = now;
+                count = 0;
+            }
+            if (++count > RATE_LIMIT) return socket.send({ type: 'error', message: 'Too many messages - slow down' });
+
+            const msg = readMessage(raw);
+            if (!msg) return socket.send({ type: 'error', message: 'Messages must be JSON objects with a type' });
+            // A browser keeps its voter id across reconnects so re-votes replace, not add
+            if (typeof msg.voter === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(msg.voter)) socket.voter = msg.voter;
+
+            const handler = Object.prototype.hasOwnProperty.call(handlers, msg.type) ? handlers[msg.type] : null;
+            if (!handler) return socket.send({ type: 'error', message: `Unknown message type "${msg.type}"` });
+            const room = socket.room;
+            if (!['create', 'join'].includes(msg.type)) {
+                if (!room || !rooms.has(room.code)) return socket.send({ type: 'error', message: 'Join a room first' });
+                room.touched = now;
+            }
+            // One bad message must not take the whole class down with it
+            try {
+                handler(socket, msg, room);
+            } catch (e) {
+                console.error(`Could not handle "${msg.type}": ${e.message}`);
+                socket.send({ type: 'error', message: 'That message could not be handled' });
+            }
+        });
+
+        socket.on('close', () => handlers.leave(socket));
+    });
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - ROOM_TTL;
+        rooms.forEach(room => {
+            if (room.touched < cutoff && !room.sockets.size) closeRoom(room);
+        });
+    }, 60 * 1000);
+    sweep.unref();
+    server.on('close', () => clearInterval(sweep));
+
+    return { server, rooms, sockets };
+}
+
+function parseArgs(argv) {
+    const args = { port: 8787, host: '0.0.0.0', minGroup: 3 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--host') args.host = argv[++i];
+        else if (argv[i] === '--min-group') args.minGroup = Math.max(1, Number(argv[++i]) || 1);
+    }
+    return args;
+}
+
+module.exports = { createLivePollServer, pollSummary, surveySummary, PATH };
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const { server } = createLivePollServer({ minGroup: args.minGroup });
+    server.listen(args.port, args.host, () => {
+        console.log(`Live polling server on port ${args.port} (WebSocket path ${PATH})`);
+        const addresses = Object.values(os.networkInterfaces()).flat()
+            .filter(a => a && a.family === 'IPv4')
+            .map(a => a.address);
+        addresses.forEach(address => console.log(`  http://${address}:${args.port}/activity1_poll.html`));
+    });
+}
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// Shared stakeholder map server
+// Reference backend for group sessions in stakeholder_mapping_tool_v2.html.
+// One student creates a session, the rest of the group joins with its code,
+// and every change to the map is relayed to everyone in the session. The
+// server keeps each session's change log (see shared/stakeholder-map.js), so
+// late joiners and reconnecting laptops receive the whole map and history.
+//
+//     node server/map-sessions.js [--port 8788] [--host 0.0.0.0] [--data server/data/map-sessions.json] [--memory]
+//
+// Sessions are saved to the data file so a group can come back to its map
+// next week; --memory keeps them only until the server stops. It also serves
+// the repository, so the group can open
+// http://<host>:8788/stakeholder_mapping_tool_v2.html?session=ABC123 directly.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { attach, readMessage } = require('./websocket');
+const { serveStatic } = require('./static');
+const stakeholderMap = require('../shared/stakeholder-map');
+
+const PATH = stakeholderMap.PATH;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 6;
+const SESSION_TTL = 60 * 24 * 60 * 60 * 1000; // a semester
+const MAX_SESSIONS = 500;
+const MAX_OPS = 10000;
+const MAX_BATCH = 100;
+const MAX_TEXT = 80;
+const RATE_LIMIT = 60; // messages per socket per 10 seconds; dragging sends a few
+const SAVE_DELAY = 2000;
+
+function sessionCode(sessions) {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (sessions.has(code));
+    return code;
+}
+
+function text(value, max) {
+    return typeof value === 'string' && value.trim() && value.length <= (max || MAX_TEXT) ? value.trim() : null;
+}
+
+// Everyone connected, once per browser
+function participants(session) {
+    const seen = new Map();
+    session.sockets.forEach(socket => {
+        if (socket.actor) seen.set(socket.actor, { actor: socket.actor, author: socket.author || '' });
+    });
+    return Array.from(seen.values());
+}
+
+function load(file) {
+    const sessions = new Map();
+    if (!file || !fs.existsSync(file)) return sessions;
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        (saved.sessions || []).forEach(s => {
+            const ops = (s.ops || []).map(stakeholderMap.clean).filter(Boolean);
+            sessions.set(s.code, { code: s.code, title: s.title || '', ops, ids: new Set(ops.map(op => op.id)), sockets: new Set(), touched: s.touched || Date.now() });
+        });
+    } catch (e) {
+        console.error(`Could not read ${file}: ${e.message} - starting with no sessions`);
+    }
+    return sessions;
+}
+
+function createMapSessionServer(options) {
+    const opts = Object.assign({ root: path.resolve(__dirname, '..'), server: null, data: null }, options);
+    const sessions = load(opts.data);
+    const server = opts.server || http.createServer(serveStatic(opts.root));
+    let timer = null;
+
+    // Written atomically, a moment after the last change
+    const save = () => {
+        clearTimeout(timer);
+        timer = null;
+        const data = { sessions: Array.from(sessions.values()).map(s => ({ code: s.code, title: s.title, touched: s.touched, ops: s.ops })) };
+        try {
+            fs.mkdirSync(path.dirname(opts.data), { recursive: true });
+            fs.writeFileSync(opts.data + '.tmp', JSON.stringify(data));
+            fs.renameSync(opts.data + '.tmp', opts.data);
+        } catch (e) {
+            console.error(`Could not save sessions to ${opts.data}: ${e.message}`);
+        }
+    };
+    const persist = () => {
+        if (opts.data && !timer) timer = setTimeout(save, SAVE_DELAY);
+    };
+
+    const send = (session, message, except) => {
+        const raw = JSON.stringify(message);
+        session.sockets.forEach(socket => { if (socket !== except) socket.send(raw); });
+    };
+
+    const presence = session => send(session, { type: 'presence', participants: participants(session) });
+
+    const handlers = {
+        create(socket, msg) {
+            if (sessions.size >= MAX_SESSIONS) return socket.send({ type: 'error', message: 'The server has too many sessions' });
+            const session = {
+                code: sessionCode(sessions),
+                title: text(msg.title) || 'Stakeholder map',
+                ops: [],
+                ids: new Set(),
+                sockets: new Set(),
+                touched: Date.now()
+            };
+            sessions.set(session.code, session);
+            persist();
+            socket.send({ type: 'created', room: session.code });
+        },
+
+        join(socket, msg) {
+            const session = sessions.get((text(msg.room) || '').toUpperCase());
+            if (!session) return socket.send({ type: 'error', message: 'No session with that code - check it with your group' });
+            if (socket.session && socket.session !== session) handlers.leave(socket);
+            socket.session = session;
+            socket.actor = text(msg.actor, 64) || socket.actor;
+            socket.author = typeof msg.author === 'string' ? msg.author.trim().slice(0, 40) : '';
+            session.sockets.add(socket);
+            socket.send({ type: 'joined', room: session.code, title: session.title, ops: session.ops });
+            presence(session);
+        },
+
+        hello(socket, msg, session) {
+            socket.author = typeof msg.author === 'string' ? msg.author.trim().slice(0, 40) : '';
+            presence(session);
+        },
+
+        leave(socket) {
+            const session = socket.session;
+            if (!session) return;
+            session.sockets.delete(socket);
+            socket.session = null;
+            presence(session);
+        },
+
+        // Stores and relays changes the session has not seen yet
+        ops(socket, msg, session) {
+            const list = Array.isArray(msg.ops) ? msg.ops.slice(0, MAX_BATCH) : [];
+            const fresh = list.map(stakeholderMap.clean).filter(op => op && !session.ids.has(op.id));
+            if (list.length && !fresh.length && list.some(op => !stakeholderMap.validOp(op))) {
+                return socket.send({ type: 'error', message: 'A change to the map was not understood' });
+            }
+            if (session.ops.length + fresh.length > MAX_OPS) {
+                return socket.send({ type: 'error', message: 'This map has too much history - export it and start a new session' });
+            }
+            if (!fresh.length) return;
+            fresh.forEach(op => {
+                // Changes are always credited to the browser that sent them
+                op.actor = socket.actor;
+                session.ids.add(op.id);
+                session.ops.push(op);
+            });
+            send(session, { type: 'ops', ops: fresh }, socket);
+            persist();
+        }
+    };
+
+    const sockets = attach(server, PATH, socket => {
+        socket.session = null;
+        socket.actor = crypto.randomBytes(8).toString('hex');
+        socket.author = '';
+        let windowStart = Date.now();
+        let count = 0;
+
+        socket.on('message', raw => {
+            const now = Date.now();
+            if (now - windowStart > 10000) {
+                windowStart = now;
+                count = 0;
+            }
+            if (++count > RATE_LIMIT) return socket.send({ type: 'error', message: 'Too many changes at once - slow down' });
+
+            const msg = readMessage(raw);
+            if (!msg) return socket.send({ type: 'error', message: 'Messages must be JSON objects with a type' });
+            const handler = Object.prototype.hasOwnProperty.call(handlers, msg.type) ? handlers[msg.type] : null;
+            if (!handler) return socket.send({ type: 'error', message: `Unknown message type "${msg.type}"` });
+            const session = socket.session;
+            if (!['create', 'join'].includes(msg.type)) {
+                if (!session || !sessions.has(session.code)) return socket.send({ type: 'error', message: 'Join a session first' });
+                session.touched = now;
+            }
+            // A bad message must not end the server and lose the unsaved sessions
+            try {
+                handler(socket, msg, session);
+            } catch (e) {
+                console.error(`Could not handle "${msg.type}": ${e.message}`);
+                socket.send({ type: 'error', message: 'That message could not be handled' });
+            }
+        });
+
+        socket.on('close', () => handlers.leave(socket));
+    });
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - SESSION_TTL;
+        sessions.forEach(session => {
+            if (session.touched < cutoff && !session.sockets.size) {
+                sessions.delete(session.code);
+                persist();
+            }
+        });
+    }, 60 * 60 * 1000);
+    sweep.unref();
+    server.on('close', () => {
+        clearInterval(sweep);
+        if (timer) save();
+    });
+
+    return { server, sessions, sockets };
+}
+
+function parseArgs(argv) {
+    const args = { port: stakeholderMap.DEFAULT_PORT, host: '0.0.0.0', data: path.join(__dirname, 'data', 'map-sessions.json') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--host') args.host = argv[++i];
+        else if (argv[i] === '--data') args.data = path.resolve(argv[++i]);
+        else if (argv[i] === '--memory') args.data = null;
+    }
+    return args;
+}
+
+module.exports = { createMapSessionServer, participants, PATH };
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const { server } = createMapSessionServer({ data: args.data });
+    server.listen(args.port, args.host, () => {
+        console.log(`Stakeholder map sessions on port ${args.port} (WebSocket path ${PATH})`);
+        console.log(args.data ? `  Saving sessions to ${args.data}` : '  Sessions are kept in memory only');
+        const addresses = Object.values(os.networkInterfaces()).flat()
+            .filter(a => a && a.family === 'IPv4')
+            .map(a => a.address);
+        addresses.forEach(address => console.log(`  http://${address}:${args.port}/stakeholder_mapping_tool_v2.html`));
+    });
+}
@@ -0,0 +1,68 @@
+// Static file handler
+// Serves the repository (activities, shared scripts, site assets) from the
+// local reference servers, so a workshop needs only one command and one URL.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.jsx': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json',
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Paths that are never served: version control and server-side data
+const HIDDEN = /(^|\/)(\.|node_modules\/|server\/data\/)/;
+
+// Returns a request handler; responds 404 for anything outside `root`
+function serveStatic(root, index) {
+    const base = path.resolve(root);
+    return (request, response) => {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            return response.end();
+        }
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (e) {
+            response.writeHead(400);
+            return response.end();
+        }
+        if (pathname.endsWith('/')) pathname += index || 'index.html';
+        const file = path.resolve(base, '.' + pathname);
+        const relative = path.relative(base, file).split(path.sep).join('/');
+        if (relative.startsWith('..') || path.isAbsolute(relative) || HIDDEN.test(relative)) {
+            response.writeHead(404);
+            return response.end('Not found');
+        }
+        fs.stat(file, (err, stat) => {
+            if (err || !stat.isFile()) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                return response.end('Not found');
+            }
+            response.writeHead(200, {
+                'Content-Type': TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+                'Content-Length': stat.size,
+                'Cache-Control': 'no-cache'
+            });
+            if (request.method === 'HEAD') return response.end();
+            fs.createReadStream(file).pipe(response);
+        });
+    };
+}
+
+module.exports = { serveStatic, TYPES };
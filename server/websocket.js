@@ -0,0 +1,198 @@
+// Minimal WebSocket server (RFC 6455)
+// Just enough of the protocol for the local reference servers: text frames,
+// fragmentation, ping/pong and close. Built on Node's http module only, so
+// the servers run without installing anything.
+//
+//     const { attach } = require('./websocket');
+//     attach(httpServer, '/live', socket => {
+//         socket.on('message', text => socket.send({ echo: text }));
+//     });
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024;
+const HEARTBEAT = 30000;
+
+function frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+class Socket extends EventEmitter {
+    constructor(raw, request) {
+        super();
+        this.raw = raw;
+        this.request = request;
+        this.open = true;
+        this.alive = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+
+        raw.on('data', chunk => this.receive(chunk));
+        raw.on('close', () => this.closed());
+        raw.on('error', () => this.closed());
+    }
+
+    // Strings are sent as-is; anything else as JSON
+    send(message) {
+        if (!this.open) return;
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+        this.raw.write(frame(0x1, Buffer.from(text, 'utf8')));
+    }
+
+    close(code, reason) {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason || ''));
+        payload.writeUInt16BE(code || 1000, 0);
+        payload.write(reason || '', 2);
+        this.raw.end(frame(0x8, payload));
+        this.closed(false);
+    }
+
+    ping() {
+        if (this.open) this.raw.write(frame(0x9, Buffer.alloc(0)));
+    }
+
+    // `destroy` is false after a close frame, so it can flush before the socket ends
+    closed(destroy) {
+        if (!this.open) return;
+        this.open = false;
+        if (destroy !== false) this.raw.destroy();
+        this.emit('close');
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                const big = this.buffer.readBigUInt64BE(2);
+                length = big > BigInt(MAX_MESSAGE) ? MAX_MESSAGE + 1 : Number(big);
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE) return this.close(1009, 'Message too big');
+            // Browsers always mask; an unmasked client frame is a protocol error
+            if (!masked) return this.close(1002, 'Unmasked frame');
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x8) return this.close(1000);
+            if (opcode === 0x9) {
+                this.raw.write(frame(0xa, payload));
+                continue;
+            }
+            if (opcode === 0xa) {
+                this.alive = true;
+                continue;
+            }
+            if (opcode === 0x1 || opcode === 0x0) {
+                this.fragments.push(payload);
+                const total = this.fragments.reduce((sum, f) => sum + f.length, 0);
+                if (total > MAX_MESSAGE) return this.close(1009, 'Message too big');
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                continue;
+            }
+            // Binary frames are not used by these servers
+            return this.close(1003, 'Unsupported data');
+        }
+    }
+}
+
+// Calls onConnection(socket) for each upgrade request on `path`
+function attach(server, path, onConnection) {
+    const sockets = new Set();
+
+    server.on('upgrade', (request, raw) => {
+        const url = new URL(request.url, 'http://localhost');
+        const key = request.headers['sec-websocket-key'];
+        // Leave other paths to any other server attached to the same port
+        if (url.pathname !== path && server.listenerCount('upgrade') > 1) return;
+        if (url.pathname !== path || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            raw.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+        raw.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        raw.setNoDelay(true);
+
+        const socket = new Socket(raw, request);
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        onConnection(socket, url);
+    });
+
+    // Drop connections that stop answering pings (closed laptops, lost Wi-Fi)
+    const timer = setInterval(() => {
+        sockets.forEach(socket => {
+            if (!socket.alive) return socket.closed();
+            socket.alive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT);
+    timer.unref();
+    server.on('close', () => {
+        clearInterval(timer);
+        sockets.forEach(socket => socket.closed());
+    });
+
+    return sockets;
+}
+
+// Parses a client's message; the servers only accept a JSON object with a
+// string `type`, so `null`, arrays, bare values and objects with any other
+// type come back as null like malformed JSON
+function readMessage(raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch (e) {
+        return null;
+    }
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return null;
+    return typeof msg.type === 'string' ? msg : null;
+}
+
+module.exports = { attach, readMessage, Socket };
@@ -0,0 +1,612 @@
+// Slide deck runtime
+// One way of moving through the lecture decks, so every deck answers the same
+// keys and links the same way. Decks keep their own markup, counters and
+// progress bars and hand the runtime their slides. Exposed as window.QIHS.deck.
+//
+//     const deck = QIHS.deck.start({
+//         chrome: '.nav-bar',                  // hidden in previews and handouts
+//         onChange: (index, total) => {
+//             counter.textContent = `${index + 1} / ${total}`;
+//         }
+//     });
+//     nextBtn.addEventListener('click', () => deck.next());
+//
+// Keys: → Space PageDown next, ← PageUp back, Home/End, O overview grid,
+// P presenter window. Each slide has a link (deck.html#slide-5), and printing
+// gives every slide on its own page, with speaker notes from "Print handout".
+// The presenter window shows the current and next slide, the notes and a
+// timer; every window of the same deck follows it over BroadcastChannel.
+// Notes are read from data-notes, else .facilitator-note/.speaker-notes.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.deck = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const VIEW_PARAM = 'deck'; // ?deck=presenter or ?deck=preview
+    const HASH_RX = /^#slide-(\d+)$/;
+    const NOTE_SELECTOR = '.facilitator-note, .speaker-notes, aside.notes';
+    const TITLE_SELECTOR = 'h1, h2, h3, .slide-title';
+    const SWIPE = 50;
+    const FRAME_WIDTH = 1280;
+    const FRAME_HEIGHT = 720;
+
+    const CSS = `
+        .qihs-deck-ui { font: 14px/1.4 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+        .qihs-deck-sr { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+        .qihs-deck-menu-button { position: fixed; top: 10px; left: 10px; z-index: 10000; width: 34px; height: 34px; border: 1px solid rgba(0, 0, 0, 0.2);
+            border-radius: 8px; background: rgba(255, 255, 255, 0.85); color: #1f2937; font-size: 18px; cursor: pointer; opacity: 0.35; transition: opacity 0.2s; }
+        .qihs-deck-menu-button:hover, .qihs-deck-menu-button:focus-visible, .qihs-deck-menu-button[aria-expanded="true"] { opacity: 1; }
+        .qihs-deck-menu { position: fixed; top: 50px; left: 10px; z-index: 10000; min-width: 240px; padding: 6px; background: #fff; color: #1f2937;
+            border: 1px solid #d1d5db; border-radius: 10px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2); }
+        .qihs-deck-menu button { display: flex; justify-content: space-between; gap: 16px; width: 100%; padding: 8px 10px; border: 0; border-radius: 6px;
+            background: none; color: inherit; font: inherit; text-align: left; cursor: pointer; }
+        .qihs-deck-menu button:hover, .qihs-deck-menu button:focus-visible { background: #eef2ff; }
+        .qihs-deck-menu kbd { color: #6b7280; font: 12px monospace; }
+        .qihs-deck-overview { position: fixed; inset: 0; z-index: 10001; overflow: auto; padding: 24px; background: rgba(17, 24, 39, 0.94); color: #f9fafb; }
+        .qihs-deck-overview header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px; }
+        .qihs-deck-overview h2 { margin: 0; font-size: 20px; }
+        .qihs-deck-overview header button { padding: 6px 14px; border: 1px solid #9ca3af; border-radius: 6px; background: none; color: inherit; font: inherit; cursor: pointer; }
+        .qihs-deck-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+        .qihs-deck-card { display: flex; flex-direction: column; gap: 6px; min-height: 110px; padding: 12px; border: 2px solid #374151; border-radius: 10px;
+            background: #1f2937; color: inherit; font: inherit; text-align: left; cursor: pointer; }
+        .qihs-deck-card:hover, .qihs-deck-card:focus-visible { border-color: #93c5fd; outline: none; }
+        .qihs-deck-card[aria-current="true"] { border-color: #fbbf24; }
+        .qihs-deck-card b { color: #93c5fd; font-size: 12px; }
+        .qihs-deck-card i { margin-top: auto; color: #9ca3af; font-size: 12px; }
+        .qihs-deck-print-notes { display: none; }
+
+        html.qihs-deck-preview .qihs-deck-chrome, html.qihs-deck-preview .qihs-progress, html.qihs-deck-preview .qihs-deck-ui { display: none !important; }
+        html.qihs-deck-preview body { cursor: default; }
+
+        html.qihs-deck-presenter body > *:not(.qihs-deck-ui) { display: none !important; }
+        html.qihs-deck-presenter, html.qihs-deck-presenter body { background: #111827 !important; }
+        .qihs-presenter { position: fixed; inset: 0; z-index: 9000; display: flex; flex-direction: column; overflow: auto; background: #111827; color: #f9fafb; }
+        .qihs-presenter header { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; padding: 10px 16px; background: #1f2937; border-bottom: 1px solid #374151; }
+        .qihs-presenter header .qihs-p-count { font-size: 18px; font-weight: 600; margin-right: auto; }
+        .qihs-presenter button { padding: 6px 12px; border: 1px solid #4b5563; border-radius: 6px; background: #374151; color: inherit; font: inherit; cursor: pointer; }
+        .qihs-presenter button:hover, .qihs-presenter button:focus-visible { background: #4b5563; }
+        .qihs-p-timer { font: 600 26px monospace; min-width: 90px; text-align: right; }
+        .qihs-p-timer.over { color: #f87171; }
+        .qihs-p-timer.paused { color: #9ca3af; }
+        .qihs-p-clock { color: #9ca3af; font-family: monospace; }
+        .qihs-presenter main { display: grid; grid-template-columns: minmax(0, 3fr) minmax(260px, 2fr); gap: 16px; padding: 16px; flex: 1; }
+        .qihs-presenter h2 { margin: 0 0 6px; color: #9ca3af; font-size: 12px; font-weight: 600; letter-spacing: 0.08em; text-transform: uppercase; }
+        .qihs-p-frame { position: relative; overflow: hidden; background: #000; border-radius: 6px; }
+        .qihs-p-frame iframe { position: absolute; top: 0; left: 0; width: ${FRAME_WIDTH}px; height: ${FRAME_HEIGHT}px; border: 0; transform-origin: 0 0; pointer-events: none; background: #fff; }
+        .qihs-p-end { display: grid; place-items: center; height: 100%; color: #9ca3af; }
+        .qihs-p-side { display: flex; flex-direction: column; gap: 16px; min-width: 0; }
+        .qihs-p-notes-body { padding: 12px 14px; background: #1f2937; border-radius: 6px; font-size: 18px; line-height: 1.5; overflow-wrap: anywhere; }
+        .qihs-p-notes-body * { color: inherit !important; background: none !important; }
+        .qihs-p-notes-body .facilitator-note, .qihs-p-notes-body .speaker-notes { display: block !important; }
+        @media (max-width: 800px) { .qihs-presenter main { grid-template-columns: 1fr; } }
+
+        @media print {
+            .qihs-deck-ui { display: none !important; }
+            html.qihs-deck-print, html.qihs-deck-print body { height: auto !important; overflow: visible !important; }
+            html.qihs-deck-print .qihs-deck-chrome { display: none !important; }
+            html.qihs-deck-print .qihs-slides { display: block !important; position: static !important; height: auto !important; overflow: visible !important; transform: none !important; }
+            html.qihs-deck-print .qihs-slide { display: flex !important; position: relative !important; inset: auto !important; opacity: 1 !important; visibility: visible !important;
+                transform: none !important; width: auto !important; height: auto !important; min-height: 0 !important; break-inside: avoid; page-break-inside: avoid;
+                break-after: page; page-break-after: always; }
+            html.qihs-deck-print .qihs-slide * { animation-duration: 0s !important; animation-delay: 0s !important; transition: none !important; }
+            html.qihs-deck-handout .qihs-slide { break-after: auto; page-break-after: auto; }
+            html.qihs-deck-handout .qihs-deck-print-notes { display: block; padding: 12px 0 0; border-top: 1px solid #999; color: #000; font: 11pt/1.5 Georgia, serif;
+                break-after: page; page-break-after: always; }
+            html.qihs-deck-handout .qihs-deck-print-notes * { color: #000 !important; background: none !important; }
+        }
+    `;
+
+    // ---------- Helpers
+
+    function view() {
+        const mode = new URLSearchParams(root.location.search).get(VIEW_PARAM);
+        return mode === 'presenter' || mode === 'preview' ? mode : 'audience';
+    }
+
+    function slideUrl(index, mode) {
+        const url = new URL(root.location.href);
+        if (mode) url.searchParams.set(VIEW_PARAM, mode);
+        else url.searchParams.delete(VIEW_PARAM);
+        url.hash = `slide-${index + 1}`;
+        return url.toString();
+    }
+
+    function isTyping(target) {
+        return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+    }
+
+    // Speaker notes as HTML: data-notes, else the note elements in the slide
+    function defaultNotes(slide) {
+        if (slide.hasAttribute('data-notes')) return slide.getAttribute('data-notes');
+        return Array.from(slide.querySelectorAll(NOTE_SELECTOR)).map(note => `<div>${note.innerHTML}</div>`).join('');
+    }
+
+    function slideTitle(slide, index) {
+        const heading = slide.querySelector(TITLE_SELECTOR);
+        const text = (heading ? heading.textContent : slide.textContent).replace(/\s+/g, ' ').trim();
+        return text.length > 90 ? text.slice(0, 87) + '…' : text || `Slide ${index + 1}`;
+    }
+
+    function formatTime(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function focusable(container) {
+        return Array.from(container.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.disabled && el.offsetParent !== null);
+    }
+
+    // ---------- Deck
+
+    function start(options) {
+        const opts = Object.assign({
+            id: root.location.pathname,
+            slides: '.slide',
+            activeClass: 'active',
+            chrome: '',
+            notes: defaultNotes,
+            show: null,
+            onChange: null,
+            keys: true,
+            swipe: true,
+            duration: null // minutes, for the presenter's timer
+        }, options);
+        const slides = Array.from(document.querySelectorAll(opts.slides));
+        const mode = view();
+        const listeners = [];
+        const show = opts.show || ((slide, on) => slide.classList.toggle(opts.activeClass, on));
+        const channel = mode !== 'preview' && typeof root.BroadcastChannel === 'function'
+            ? new root.BroadcastChannel('qihs-deck:' + opts.id)
+            : null;
+        let index = -1;
+        let ui = null;
+        let overview = null;
+
+        const clamp = n => Math.max(0, Math.min(slides.length - 1, n));
+        const fromHash = () => {
+            const match = HASH_RX.exec(root.location.hash);
+            return match ? clamp(Number(match[1]) - 1) : null;
+        };
+
+        const deck = {
+            slides,
+            mode,
+
+            get index() {
+                return index;
+            },
+
+            get total() {
+                return slides.length;
+            },
+
+            on(event, fn) {
+                if (event === 'change') listeners.push(fn);
+                return deck;
+            },
+
+            go(n, meta) {
+                n = Number(n);
+                if (!slides.length || !Number.isFinite(n)) return deck;
+                n = clamp(Math.round(n));
+                if (n === index) return deck;
+                const previous = index;
+                if (previous < 0) {
+                    slides.forEach((slide, i) => {
+                        if (i !== n) {
+                            show(slide, false);
+                            slide.setAttribute('aria-hidden', 'true');
+                        }
+                    });
+                } else {
+                    show(slides[previous], false);
+                    slides[previous].setAttribute('aria-hidden', 'true');
+                }
+                index = n;
+                show(slides[n], true);
+                slides[n].removeAttribute('aria-hidden');
+                if (mode !== 'preview') {
+                    try {
+                        root.history.replaceState(root.history.state, '', '#slide-' + (n + 1));
+                    } catch (e) {
+                        // Some file:// setups refuse; the deck still works without the link
+                    }
+                }
+                if (ui && previous >= 0) ui.live.textContent = `Slide ${n + 1} of ${slides.length}: ${deck.title(n)}`;
+                if (opts.onChange) opts.onChange(n, slides.length, slides[n]);
+                listeners.forEach(fn => fn(n, previous));
+                if (channel && !(meta && meta.remote)) channel.postMessage({ type: 'go', index: n });
+                return deck;
+            },
+
+            next() {
+                return deck.go(index + 1);
+            },
+
+            prev() {
+                return deck.go(index - 1);
+            },
+
+            title(i) {
+                return slides[i] ? slideTitle(slides[i], i) : '';
+            },
+
+            notes(i) {
+                return slides[i] ? opts.notes(slides[i]) || '' : '';
+            },
+
+            link(i) {
+                return slideUrl(i == null ? index : i);
+            },
+
+            overview(open) {
+                if (open === false || (open == null && overview)) closeOverview();
+                else openOverview();
+                return deck;
+            },
+
+            // Opens (or brings back) this deck's presenter window
+            present() {
+                const win = root.open(slideUrl(index, 'presenter'), 'qihs-deck-presenter:' + opts.id, 'popup,width=1280,height=800');
+                if (!win && ui) ui.live.textContent = 'The presenter window was blocked - allow pop-ups for this page.';
+                return win;
+            },
+
+            print(withNotes) {
+                document.documentElement.classList.toggle('qihs-deck-handout', !!withNotes);
+                if (withNotes) addPrintNotes();
+                root.print();
+            }
+        };
+
+        if (!slides.length) return deck;
+
+        slides.forEach(slide => slide.classList.add('qihs-slide'));
+        slides[0].parentElement.classList.add('qihs-slides');
+        document.documentElement.classList.add('qihs-deck', 'qihs-deck-' + mode);
+        if (opts.chrome) document.querySelectorAll(opts.chrome).forEach(el => el.classList.add('qihs-deck-chrome'));
+
+        const style = document.createElement('style');
+        style.textContent = CSS;
+        document.head.appendChild(style);
+
+        // ---------- Menu and announcements
+
+        if (mode !== 'preview') {
+            ui = document.createElement('div');
+            ui.className = 'qihs-deck-ui';
+            ui.setAttribute('data-progress', 'off');
+            ui.innerHTML = `
+                <div class="qihs-deck-sr" role="status" aria-live="polite"></div>
+                ${mode === 'audience' ? `
+                <button type="button" class="qihs-deck-menu-button" aria-expanded="false" aria-controls="qihs-deck-menu" title="Deck menu">☰<span class="qihs-deck-sr">Deck menu</span></button>
+                <div class="qihs-deck-menu" id="qihs-deck-menu" hidden>
+                    <button type="button" data-action="present">Presenter view <kbd>P</kbd></button>
+                    <button type="button" data-action="overview">All slides <kbd>O</kbd></button>
+                    <button type="button" data-action="handout">Print handout with notes</button>
+                    <button type="button" data-action="print">Print slides</button>
+                    <button type="button" data-action="link">Copy link to this slide</button>
+                </div>` : ''}`;
+            document.body.appendChild(ui);
+            ui.live = ui.querySelector('[role="status"]');
+            // Decks that advance on any click must not see clicks on the runtime's own controls
+            ui.addEventListener('click', e => e.stopPropagation());
+
+            const menuButton = ui.querySelector('.qihs-deck-menu-button');
+            const menu = ui.querySelector('.qihs-deck-menu');
+            const closeMenu = focusButton => {
+                if (!menu || menu.hidden) return;
+                menu.hidden = true;
+                menuButton.setAttribute('aria-expanded', 'false');
+                if (focusButton) menuButton.focus();
+            };
+            if (menuButton) {
+                menuButton.addEventListener('click', () => {
+                    const open = menu.hidden;
+                    menu.hidden = !open;
+                    menuButton.setAttribute('aria-expanded', String(open));
+                    if (open) menu.querySelector('button').focus();
+                });
+                menu.addEventListener('click', e => {
+                    const button = e.target.closest('button[data-action]');
+                    if (!button) return;
+                    closeMenu(false);
+                    const action = button.dataset.action;
+                    if (action === 'present') deck.present();
+                    else if (action === 'overview') openOverview();
+                    else if (action === 'handout') deck.print(true);
+                    else if (action === 'print') deck.print(false);
+                    else if (action === 'link') copyLink();
+                });
+                menu.addEventListener('keydown', e => {
+                    if (e.key === 'Escape') {
+                        e.stopPropagation();
+                        closeMenu(true);
+                    }
+                });
+                document.addEventListener('click', () => closeMenu(false));
+            }
+        }
+
+        function copyLink() {
+            const link = deck.link();
+            const done = () => { ui.live.textContent = 'Link to this slide copied'; };
+            if (root.navigator.clipboard && root.navigator.clipboard.writeText) {
+                root.navigator.clipboard.writeText(link).then(done, () => root.prompt('Link to this slide:', link));
+            } else {
+                root.prompt('Link to this slide:', link);
+            }
+        }
+
+        // ---------- Overview grid
+
+        let returnFocus = null;
+
+        function openOverview() {
+            if (!ui) return;
+            if (overview) return overview.querySelector('[aria-current="true"]').focus();
+            returnFocus = document.activeElement;
+            overview = document.createElement('div');
+            overview.className = 'qihs-deck-overview';
+            overview.setAttribute('role', 'dialog');
+            overview.setAttribute('aria-modal', 'true');
+            overview.setAttribute('aria-labelledby', 'qihs-deck-overview-title');
+            overview.innerHTML = `
+                <header><h2 id="qihs-deck-overview-title">All slides</h2><button type="button" data-close>Close <kbd>Esc</kbd></button></header>
+                <div class="qihs-deck-grid">
+                    ${slides.map((slide, i) => `
+                        <button type="button" class="qihs-deck-card" data-index="${i}" aria-current="${i === index}">
+                            <b>${i + 1}</b><span>${escapeHtml(deck.title(i))}</span>${deck.notes(i) ? '<i>Has notes</i>' : ''}
+                        </button>`).join('')}
+                </div>`;
+            overview.addEventListener('click', e => {
+                const card = e.target.closest('.qihs-deck-card');
+                if (card) {
+                    closeOverview();
+                    deck.go(Number(card.dataset.index));
+                } else if (e.target.closest('[data-close]')) {
+                    closeOverview();
+                }
+            });
+            overview.addEventListener('keydown', e => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    closeOverview();
+                } else if (e.key === 'Tab') {
+                    const items = focusable(overview);
+                    const first = items[0];
+                    const last = items[items.length - 1];
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+            ui.appendChild(overview);
+            overview.querySelector('[aria-current="true"]').focus();
+        }
+
+        function closeOverview() {
+            if (!overview) return;
+            overview.remove();
+            overview = null;
+            if (returnFocus && returnFocus.focus) returnFocus.focus();
+        }
+
+        // ---------- Printing
+
+        function addPrintNotes() {
+            slides.forEach((slide, i) => {
+                const next = slide.nextElementSibling;
+                if (next && next.classList.contains('qihs-deck-print-notes')) return;
+                const notes = deck.notes(i);
+                const block = document.createElement('div');
+                block.className = 'qihs-deck-print-notes';
+                block.innerHTML = `<strong>Slide ${i + 1} notes</strong>${notes ? `<div>${notes}</div>` : '<p>No notes for this slide.</p>'}`;
+                slide.after(block);
+            });
+        }
+
+        // Every slide prints, whichever way printing was started
+        root.addEventListener('beforeprint', () => {
+            document.documentElement.classList.add('qihs-deck-print');
+            slides.forEach(slide => slide.classList.add(opts.activeClass));
+        });
+        root.addEventListener('afterprint', () => {
+            document.documentElement.classList.remove('qihs-deck-print', 'qihs-deck-handout');
+            slides.forEach((slide, i) => { if (i !== index) slide.classList.remove(opts.activeClass); });
+        });
+
+        // ---------- Presenter window
+
+        function mountPresenter() {
+            const panel = document.createElement('div');
+            panel.className = 'qihs-presenter';
+            panel.innerHTML = `
+                <header>
+                    <span class="qihs-p-count" aria-live="polite"></span>
+                    <button type="button" data-action="prev" aria-label="Previous slide">◀</button>
+                    <button type="button" data-action="next" aria-label="Next slide">▶</button>
+                    <button type="button" data-action="overview">All slides</button>
+                    <span class="qihs-p-clock"></span>
+                    <span class="qihs-p-timer" role="timer" aria-label="Time presenting">0:00</span>
+                    <button type="button" data-action="pause">Pause</button>
+                    <button type="button" data-action="reset">Reset</button>
+                </header>
+                <main>
+                    <section aria-label="Current slide">
+                        <h2>Now</h2>
+                        <div class="qihs-p-frame" data-frame="current"><iframe title="Current slide" tabindex="-1"></iframe></div>
+                    </section>
+                    <div class="qihs-p-side">
+                        <section aria-label="Next slide">
+                            <h2>Next</h2>
+                            <div class="qihs-p-frame" data-frame="next"><iframe title="Next slide" tabindex="-1"></iframe><div class="qihs-p-end" hidden>End of the deck</div></div>
+                        </section>
+                        <section aria-label="Speaker notes">
+                            <h2>Notes</h2>
+                            <div class="qihs-p-notes-body"></div>
+                        </section>
+                    </div>
+                </main>`;
+            ui.appendChild(panel);
+
+            const frames = Array.from(panel.querySelectorAll('.qihs-p-frame'));
+            const current = frames[0].querySelector('iframe');
+            const upcoming = frames[1].querySelector('iframe');
+            const end = frames[1].querySelector('.qihs-p-end');
+            const timer = panel.querySelector('.qihs-p-timer');
+            const pauseButton = panel.querySelector('[data-action="pause"]');
+            let started = Date.now();
+            let pausedAt = null;
+
+            // Fragment-only changes move an already loaded preview without reloading it
+            const point = (frame, i) => {
+                const url = slideUrl(i, 'preview');
+                if (frame.src !== url) frame.src = url;
+            };
+
+            const fit = () => frames.forEach(frame => {
+                const scale = frame.clientWidth / FRAME_WIDTH;
+                frame.style.height = `${Math.round(FRAME_HEIGHT * scale)}px`;
+                frame.querySelector('iframe').style.transform = `scale(${scale})`;
+            });
+
+            const tick = () => {
+                const elapsed = (pausedAt || Date.now()) - started;
+                timer.textContent = formatTime(elapsed) + (opts.duration ? ` / ${formatTime(opts.duration * 60000)}` : '');
+                timer.classList.toggle('over', !!opts.duration && elapsed > opts.duration * 60000);
+                timer.classList.toggle('paused', !!pausedAt);
+                panel.querySelector('.qihs-p-clock').textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            };
+
+            panel.addEventListener('click', e => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const action = button.dataset.action;
+                if (action === 'prev') deck.prev();
+                else if (action === 'next') deck.next();
+                else if (action === 'overview') openOverview();
+                else if (action === 'pause') {
+                    if (pausedAt) {
+                        started += Date.now() - pausedAt;
+                        pausedAt = null;
+                    } else {
+                        pausedAt = Date.now();
+                    }
+                    pauseButton.textContent = pausedAt ? 'Resume' : 'Pause';
+                    tick();
+                } else if (action === 'reset') {
+                    started = Date.now();
+                    pausedAt = pausedAt ? started : null;
+                    tick();
+                }
+            });
+
+            const update = () => {
+                panel.querySelector('.qihs-p-count').textContent = `Slide ${index + 1} of ${slides.length}: ${deck.title(index)}`;
+                point(current, index);
+                const hasNext = index < slides.length - 1;
+                upcoming.hidden = !hasNext;
+                end.hidden = hasNext;
+                if (hasNext) point(upcoming, index + 1);
+                const notes = deck.notes(index);
+                panel.querySelector('.qihs-p-notes-body').innerHTML = notes || '<p>No notes for this slide.</p>';
+                document.title = `Presenter: ${deck.title(index)}`;
+            };
+
+            deck.on('change', update);
+            root.addEventListener('resize', fit);
+            setInterval(tick, 1000);
+            update();
+            fit();
+            tick();
+        }
+
+        // ---------- Input
+
+        if (opts.keys && mode !== 'preview') {
+            document.addEventListener('keydown', e => {
+                if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || overview || isTyping(e.target)) return;
+                if (e.target.closest && e.target.closest('.qihs-deck-menu')) return;
+                const key = e.key;
+                if (key === 'ArrowRight' || key === 'PageDown' || (key === ' ' && !(e.target.closest && e.target.closest('button, a, summary')))) {
+                    e.preventDefault();
+                    deck.next();
+                } else if (key === 'ArrowLeft' || key === 'PageUp') {
+                    e.preventDefault();
+                    deck.prev();
+                } else if (key === 'Home') {
+                    e.preventDefault();
+                    deck.go(0);
+                } else if (key === 'End') {
+                    e.preventDefault();
+                    deck.go(slides.length - 1);
+                } else if (key === 'o' || key === 'O') {
+                    openOverview();
+                } else if ((key === 'p' || key === 'P') && mode === 'audience') {
+                    deck.present();
+                }
+            });
+        }
+
+        if (opts.swipe && mode === 'audience') {
+            let touch = null;
+            document.addEventListener('touchstart', e => {
+                touch = isTyping(e.target) ? null : { x: e.changedTouches[0].clientX, y: e.changedTouches[0].clientY };
+            }, { passive: true });
+            document.addEventListener('touchend', e => {
+                if (!touch) return;
+                const dx = e.changedTouches[0].clientX - touch.x;
+                const dy = e.changedTouches[0].clientY - touch.y;
+                touch = null;
+                if (Math.abs(dx) > SWIPE && Math.abs(dx) > Math.abs(dy)) {
+                    if (dx < 0) deck.next();
+                    else deck.prev();
+                }
+            }, { passive: true });
+        }
+
+        root.addEventListener('hashchange', () => {
+            const n = fromHash();
+            if (n != null) deck.go(n);
+        });
+
+        if (channel) {
+            channel.onmessage = e => {
+                const msg = e.data || {};
+                if (msg.type === 'go') deck.go(msg.index, { remote: true });
+            };
+        }
+
+        const initial = fromHash();
+        deck.go(initial != null ? initial : 0, { remote: true });
+        if (mode === 'presenter') mountPresenter();
+        return deck;
+    }
+
+    return {
+        VIEW_PARAM,
+        start,
+        slideUrl,
+        defaultNotes,
+        formatTime
+    };
+});
@@ -0,0 +1,567 @@
+// Accessible drag and drop
+// One way of sorting cards into places for the drag-and-drop activities that
+// works with a mouse, a finger, the keyboard and a screen reader. Pages keep
+// their own markup and decide what a drop means; the module makes the items
+// draggable, finds the places they can go and tells the page where each one
+// was dropped. Exposed as window.QIHS.dnd.
+//
+//     const sorter = QIHS.dnd.create({
+//         container: document.querySelector('.activity'),
+//         items: '.scenario-card',                   // looked up live, so re-rendered cards just work
+//         targets: '.category-zone',
+//         onDrop: (card, zone, point) => {           // point is null from the keyboard or menu
+//             sortCard(card, zone.dataset.category);
+//             return `Sorted as ${zone.dataset.category}.`;  // optional: what to announce
+//         }
+//     });
+//
+// Keyboard: Tab to an item, Space or Enter picks it up, the arrow keys choose
+// a place, Space or Enter drops it there and Escape puts it back. Every item
+// also has a "Move to…" button listing the places, and on touch screens a
+// press-and-hold starts a drag. Each step is announced in a live region.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.dnd = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const HOLD_MS = 300;   // press-and-hold before a touch drag starts
+    const HOLD_SLOP = 10;  // px a finger may wander during the hold; more is a scroll
+    const HELP_ID = 'qihs-dnd-help';
+    const HELP = 'Press Space to pick up. Use the arrow keys to choose a place, then Space to drop or Escape to cancel. ' +
+        'The Move to button lists the places.';
+    const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+    const CSS = `
+        .qihs-dnd-sr { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+        .qihs-dnd-item { -webkit-touch-callout: none; -webkit-user-select: none; user-select: none; }
+        .qihs-dnd-item:focus-visible { outline: 3px solid #2563eb; outline-offset: 2px; }
+        .qihs-dnd-item.qihs-dnd-lifted { outline: 3px solid #f59e0b; outline-offset: 2px; }
+        .qihs-dnd-candidate { outline: 2px dashed #6b7280; outline-offset: 2px; }
+        .qihs-dnd-move { margin-left: 6px; padding: 0 7px; border: 1px solid rgba(0, 0, 0, 0.25); border-radius: 6px; background: rgba(255, 255, 255, 0.9);
+            color: #1f2937; font: 600 13px/1.6 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; vertical-align: middle; cursor: pointer; }
+        .qihs-dnd-move:hover, .qihs-dnd-move:focus-visible, .qihs-dnd-move[aria-expanded="true"] { background: #eef2ff; }
+        .qihs-dnd-menu { position: fixed; z-index: 10000; min-width: 220px; max-width: 320px; max-height: 60vh; overflow: auto; padding: 6px;
+            background: #fff; color: #1f2937; border: 1px solid #d1d5db; border-radius: 10px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+            font: 14px/1.4 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+        .qihs-dnd-menu button { display: block; width: 100%; padding: 8px 10px; border: 0; border-radius: 6px; background: none; color: inherit;
+            font: inherit; text-align: left; cursor: pointer; }
+        .qihs-dnd-menu button:hover, .qihs-dnd-menu button:focus-visible { background: #eef2ff; outline: none; }
+        .qihs-dnd-menu button[data-cancel] { color: #6b7280; border-top: 1px solid #e5e7eb; border-radius: 0 0 6px 6px; }
+        .qihs-dnd-ghost { position: fixed; z-index: 10000; margin: 0; pointer-events: none; opacity: 0.85; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25); }
+    `;
+
+    // ---------- Page-wide pieces
+
+    let ui = null;
+    let pending = null;
+
+    function setup() {
+        const document = root.document;
+        if (ui && ui.live.isConnected) return ui;
+        const style = document.createElement('style');
+        style.textContent = CSS;
+        document.head.appendChild(style);
+        const box = document.createElement('div');
+        box.setAttribute('data-progress', 'off');
+        box.innerHTML = `
+            <div class="qihs-dnd-sr" role="status" aria-live="polite"></div>
+            <div class="qihs-dnd-sr" id="${HELP_ID}">${HELP}</div>`;
+        document.body.appendChild(box);
+        ui = { live: box.querySelector('[role="status"]') };
+        return ui;
+    }
+
+    // Cleared first so the same words are read again when they repeat. Labels
+    // that end a sentence of their own don't get a second full stop.
+    function announce(text) {
+        const live = setup().live;
+        const words = String(text).replace(/([.!?])\./g, '$1');
+        live.textContent = '';
+        clearTimeout(pending);
+        pending = setTimeout(() => { live.textContent = words; }, 50);
+    }
+
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+    // An item's text without the Move to button
+    function textOf(el) {
+        const copy = el.cloneNode(true);
+        copy.querySelectorAll('.qihs-dnd-move').forEach(b => b.remove());
+        return clean(copy.textContent);
+    }
+
+    const ITEM_ATTRIBUTES = ['draggable', 'tabindex', 'role', 'aria-roledescription', 'aria-label', 'aria-describedby', 'aria-disabled'];
+
+    // A plain copy of an item, for pages that leave a copy where it was dropped
+    function copy(item) {
+        const el = item.cloneNode(true);
+        el.querySelectorAll('.qihs-dnd-move').forEach(b => b.remove());
+        ITEM_ATTRIBUTES.forEach(name => el.removeAttribute(name));
+        el.classList.remove('qihs-dnd-item', 'qihs-dnd-lifted');
+        return el;
+    }
+
+    function defaultTargetLabel(target) {
+        const heading = target.querySelector(HEADING_SELECTOR);
+        return clean(target.getAttribute('aria-label')) || (heading ? clean(heading.textContent) : textOf(target).slice(0, 80));
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function setAttr(el, name, value) {
+        if (value == null) {
+            if (el.hasAttribute(name)) el.removeAttribute(name);
+        } else if (el.getAttribute(name) !== value) {
+            el.setAttribute(name, value);
+        }
+    }
+
+    // ---------- Sorters
+
+    function create(options) {
+        const document = root.document;
+        const opts = Object.assign({
+            container: document,
+            items: null,
+            targets: null,
+            label: textOf,                    // item -> words for announcements
+            targetLabel: defaultTargetLabel,  // target -> words for announcements and the menu
+            key: null,                        // item -> id, to find it again when the page re-renders it
+            enabled: () => true,              // item -> whether it can be picked up now
+            accepts: () => true,              // (item, target) -> whether it may go there
+            effect: 'move',                   // or 'copy' when the item stays where it is
+            overClass: 'drag-over',
+            draggingClass: 'dragging',
+            menu: true,
+            onOver: null,                     // (target, on) for pages that highlight more than the target
+            onDrop: () => {}
+        }, options);
+        if (!opts.items || !opts.targets) throw new Error('QIHS.dnd.create needs items and targets selectors');
+        const container = opts.container;
+        setup();
+
+        // The item being carried: { item, via: 'keyboard'|'mouse'|'touch', targets, index, target }
+        let lifted = null;
+        let menu = null;
+        let touch = null;
+
+        const inside = el => el && (container === document || container.contains(el));
+        const itemOf = node => {
+            const el = node && node.closest ? node.closest(opts.items) : null;
+            return inside(el) ? el : null;
+        };
+        const targetOf = node => {
+            const el = node && node.closest ? node.closest(opts.targets) : null;
+            return inside(el) ? el : null;
+        };
+        const allItems = () => Array.from(container.querySelectorAll(opts.items));
+        const shown = el => !el.closest('[hidden], [aria-hidden="true"]') &&
+            !(root.getComputedStyle && root.getComputedStyle(el).display === 'none');
+
+        // The places an item can go right now, in page order
+        function candidates(item) {
+            return Array.from(container.querySelectorAll(opts.targets))
+                .filter(t => shown(t) && !t.contains(item) && opts.accepts(item, t));
+        }
+
+        // ---------- Decorating items
+
+        function decorate() {
+            if (lifted && !lifted.item.isConnected) end();
+            allItems().forEach(item => {
+                const on = !!opts.enabled(item);
+                if (!item.classList.contains('qihs-dnd-item')) item.classList.add('qihs-dnd-item');
+                setAttr(item, 'draggable', String(on));
+                setAttr(item, 'tabindex', on ? '0' : '-1');
+                if (!item.hasAttribute('role')) item.setAttribute('role', 'group');
+                setAttr(item, 'aria-roledescription', 'draggable item');
+                setAttr(item, 'aria-label', opts.label(item));
+                setAttr(item, 'aria-describedby', on ? HELP_ID : null);
+                setAttr(item, 'aria-disabled', on ? null : 'true');
+                let button = Array.from(item.children).find(c => c.classList.contains('qihs-dnd-move'));
+                if (opts.menu && on && !button) {
+                    button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'qihs-dnd-move';
+                    button.draggable = false;
+                    button.setAttribute('aria-haspopup', 'menu');
+                    button.setAttribute('aria-expanded', 'false');
+                    button.title = 'Move to…';
+                    button.textContent = '⋯';
+                    item.appendChild(button);
+                } else if (button && !(opts.menu && on)) {
+                    button.remove();
+                    button = null;
+                }
+                if (button) setAttr(button, 'aria-label', `Move ${opts.label(item)} to…`);
+            });
+        }
+
+        let queued = false;
+        const observer = root.MutationObserver ? new root.MutationObserver(() => {
+            if (queued) return;
+            queued = true;
+            Promise.resolve().then(() => {
+                queued = false;
+                decorate();
+            });
+        }) : null;
+        if (observer) observer.observe(container, { childList: true, subtree: true, attributes: true, attributeFilter: ['class'] });
+
+        // ---------- Carrying
+
+        function setOver(target) {
+            if (!lifted || lifted.target === target) return;
+            if (lifted.target) {
+                lifted.target.classList.remove(opts.overClass);
+                if (opts.onOver) opts.onOver(lifted.target, false);
+            }
+            lifted.target = target;
+            if (target) {
+                target.classList.add(opts.overClass);
+                if (opts.onOver) opts.onOver(target, true);
+            }
+        }
+
+        function lift(item, via) {
+            const targets = candidates(item);
+            if (!targets.length) {
+                announce(`There is nowhere to put ${opts.label(item)} right now.`);
+                return false;
+            }
+            lifted = { item, via, targets, index: -1, target: null };
+            item.classList.add(via === 'keyboard' ? 'qihs-dnd-lifted' : opts.draggingClass);
+            targets.forEach(t => t.classList.add('qihs-dnd-candidate'));
+            if (via === 'mouse') return true;
+            if (targets.length === 1) {
+                // Nothing to choose between, so the one place is ready to drop on
+                lifted.index = 0;
+                setOver(targets[0]);
+                announce(`Picked up ${opts.label(item)}. Press Space to drop it on ${opts.targetLabel(targets[0])}, or Escape to cancel.`);
+            } else {
+                announce(`Picked up ${opts.label(item)}. ${targets.length} places to put it: use the arrow keys to choose, Space to drop, Escape to cancel.`);
+            }
+            return true;
+        }
+
+        function end() {
+            if (!lifted) return null;
+            const item = lifted.item;
+            setOver(null);
+            item.classList.remove('qihs-dnd-lifted', opts.draggingClass);
+            lifted.targets.forEach(t => t.classList.remove('qihs-dnd-candidate'));
+            lifted = null;
+            if (touch && touch.ghost) touch.ghost.remove();
+            touch = null;
+            return item;
+        }
+
+        function cancel(say) {
+            const item = end();
+            if (item && say) announce(`Cancelled. ${opts.label(item)} is back where it was.`);
+        }
+
+        function step(delta) {
+            const n = lifted.targets.length;
+            if (delta === Infinity) lifted.index = n - 1;
+            else if (delta === -Infinity) lifted.index = 0;
+            else lifted.index = lifted.index < 0 && delta < 0 ? n - 1 : (lifted.index + delta + n) % n;
+            const target = lifted.targets[lifted.index];
+            setOver(target);
+            if (target.scrollIntoView) target.scrollIntoView({ block: 'nearest' });
+            announce(`${opts.targetLabel(target)}, ${lifted.index + 1} of ${n}. Press Space to drop here.`);
+        }
+
+        // Hands the drop to the page, announces it and keeps keyboard focus
+        // somewhere sensible when the page re-renders or removes the item
+        function finish(item, target, point, via) {
+            const label = opts.label(item);
+            const where = opts.targetLabel(target);
+            const key = opts.key ? opts.key(item) : null;
+            const position = allItems().filter(el => opts.enabled(el)).indexOf(item);
+            end();
+            const result = opts.onDrop(item, target, point);
+            if (result === false) announce(`${label} can't go in ${where}.`);
+            else announce(typeof result === 'string' ? result : `${opts.effect === 'copy' ? 'Added' : 'Moved'} ${label} to ${where}.`);
+            if (via === 'mouse' || via === 'touch') return;
+            decorate();
+            const after = allItems().filter(el => opts.enabled(el));
+            const same = item.isConnected ? item : key != null ? after.find(el => opts.key(el) === key) : null;
+            const next = same && opts.enabled(same) ? same : after[Math.min(Math.max(position, 0), after.length - 1)];
+            if (next) return next.focus();
+            if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+            target.focus();
+        }
+
+        function point(target, clientX, clientY) {
+            const rect = target.getBoundingClientRect();
+            return { x: clientX - rect.left, y: clientY - rect.top, clientX, clientY };
+        }
+
+        // ---------- Keyboard
+
+        function onKeydown(e) {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+            const item = itemOf(e.target);
+            if (!item || e.target !== item) return;
+            if (!lifted) {
+                if ((e.key === ' ' || e.key === 'Enter') && opts.enabled(item)) {
+                    e.preventDefault();
+                    lift(item, 'keyboard');
+                }
+                return;
+            }
+            if (lifted.item !== item || lifted.via !== 'keyboard') return;
+            if (e.key === 'ArrowRight' || e.key === 'ArrowDown') step(1);
+            else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') step(-1);
+            else if (e.key === 'Home') step(-Infinity);
+            else if (e.key === 'End') step(Infinity);
+            else if (e.key === ' ' || e.key === 'Enter') {
+                if (lifted.target) finish(item, lifted.target, null, 'keyboard');
+                else announce('Choose a place with the arrow keys first.');
+            } else if (e.key === 'Escape') cancel(true);
+            else return;
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        function onFocusout(e) {
+            if (lifted && lifted.via === 'keyboard' && e.target === lifted.item) cancel(true);
+        }
+
+        // ---------- Mouse (native drag and drop)
+
+        function onDragstart(e) {
+            const item = itemOf(e.target);
+            if (!item) return;
+            if (lifted || !opts.enabled(item)) return e.preventDefault();
+            closeMenu(false);
+            lift(item, 'mouse');
+            e.dataTransfer.effectAllowed = opts.effect;
+            try {
+                e.dataTransfer.setData('text/plain', opts.label(item));
+            } catch (err) {
+                // Some browsers refuse data types they don't know; the drag still works
+            }
+        }
+
+        function onDragover(e) {
+            if (!lifted || lifted.via !== 'mouse') return;
+            const target = targetOf(e.target);
+            if (target && lifted.targets.includes(target)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = opts.effect;
+                setOver(target);
+            } else {
+                setOver(null);
+            }
+        }
+
+        function onDragleave(e) {
+            if (!lifted || lifted.via !== 'mouse' || !lifted.target) return;
+            if (targetOf(e.target) === lifted.target && !lifted.target.contains(e.relatedTarget)) setOver(null);
+        }
+
+        function onDrop(e) {
+            if (!lifted || lifted.via !== 'mouse') return;
+            const target = targetOf(e.target);
+            if (!target || !lifted.targets.includes(target)) return;
+            e.preventDefault();
+            finish(lifted.item, target, point(target, e.clientX, e.clientY), 'mouse');
+        }
+
+        function onDragend() {
+            if (lifted && lifted.via === 'mouse') end();
+        }
+
+        // ---------- Touch (press and hold, then drag)
+
+        function onTouchstart(e) {
+            const item = itemOf(e.target);
+            if (!item || lifted || e.touches.length !== 1 || e.target.closest('.qihs-dnd-move') || !opts.enabled(item)) return;
+            const t = e.touches[0];
+            touch = { item, x: t.clientX, y: t.clientY, ghost: null };
+            touch.timer = setTimeout(() => {
+                if (!touch || touch.item !== item || !lift(item, 'touch')) return;
+                const rect = item.getBoundingClientRect();
+                const ghost = item.cloneNode(true);
+                ghost.removeAttribute('id');
+                ghost.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+                ghost.classList.add('qihs-dnd-ghost');
+                ghost.setAttribute('aria-hidden', 'true');
+                ghost.style.width = rect.width + 'px';
+                ghost.style.left = rect.left + 'px';
+                ghost.style.top = rect.top + 'px';
+                touch.ghost = ghost;
+                touch.dx = touch.x - rect.left;
+                touch.dy = touch.y - rect.top;
+                document.body.appendChild(ghost);
+                if (root.navigator && root.navigator.vibrate) root.navigator.vibrate(15);
+            }, HOLD_MS);
+        }
+
+        function onTouchmove(e) {
+            if (!touch) return;
+            const t = e.touches[0];
+            if (!lifted) {
+                if (Math.abs(t.clientX - touch.x) > HOLD_SLOP || Math.abs(t.clientY - touch.y) > HOLD_SLOP) {
+                    clearTimeout(touch.timer);
+                    touch = null;
+                }
+                return;
+            }
+            e.preventDefault();
+            touch.ghost.style.left = (t.clientX - touch.dx) + 'px';
+            touch.ghost.style.top = (t.clientY - touch.dy) + 'px';
+            touch.x = t.clientX;
+            touch.y = t.clientY;
+            // The first place under the finger, looking through anything laid over it
+            const stack = document.elementsFromPoint ? document.elementsFromPoint(t.clientX, t.clientY) : [document.elementFromPoint(t.clientX, t.clientY)];
+            setOver(stack.map(targetOf).find(target => target && lifted.targets.includes(target)) || null);
+        }
+
+        function onTouchend(e) {
+            if (!touch) return;
+            clearTimeout(touch.timer);
+            if (!lifted || lifted.via !== 'touch') {
+                touch = null;
+                return;
+            }
+            e.preventDefault();
+            if (lifted.target) finish(lifted.item, lifted.target, point(lifted.target, touch.x, touch.y), 'touch');
+            else cancel(true);
+        }
+
+        function onTouchcancel() {
+            if (touch) clearTimeout(touch.timer);
+            if (lifted && lifted.via === 'touch') cancel(false);
+            touch = null;
+        }
+
+        // ---------- Move to menu
+
+        function closeMenu(focusButton) {
+            if (!menu) return;
+            const { el, button } = menu;
+            menu = null;
+            el.remove();
+            document.removeEventListener('click', onOutside, true);
+            button.setAttribute('aria-expanded', 'false');
+            if (focusButton && button.isConnected) button.focus();
+        }
+
+        function onOutside(e) {
+            if (menu && !menu.el.contains(e.target) && e.target !== menu.button) closeMenu(false);
+        }
+
+        function openMenu(item, button) {
+            closeMenu(false);
+            if (lifted) cancel(false);
+            const targets = candidates(item);
+            const label = opts.label(item);
+            const el = document.createElement('div');
+            el.className = 'qihs-dnd-menu';
+            el.setAttribute('role', 'menu');
+            el.setAttribute('aria-label', `Move ${label} to`);
+            el.setAttribute('data-progress', 'off');
+            el.innerHTML = targets.map((t, i) => `
+                <button type="button" role="menuitem" data-index="${i}">${escapeHtml(opts.targetLabel(t))}</button>`).join('') + `
+                <button type="button" role="menuitem" data-cancel>${targets.length ? 'Cancel' : 'Nowhere to move it right now'}</button>`;
+            const rect = button.getBoundingClientRect();
+            const width = root.innerWidth || 1024;
+            el.style.left = Math.max(8, Math.min(rect.left, width - 328)) + 'px';
+            el.style.top = (rect.bottom + 4) + 'px';
+            document.body.appendChild(el);
+            // Open upwards when there is no room below
+            const height = el.getBoundingClientRect().height;
+            if (rect.bottom + 4 + height > (root.innerHeight || Infinity) && rect.top - 4 - height > 0) el.style.top = (rect.top - 4 - height) + 'px';
+            menu = { el, button, item, targets };
+            button.setAttribute('aria-expanded', 'true');
+
+            el.addEventListener('click', e => {
+                const choice = e.target.closest('button');
+                if (!choice || !menu) return;
+                e.stopPropagation();
+                const { item: chosen, targets: places } = menu;
+                if (choice.hasAttribute('data-cancel')) return closeMenu(true);
+                closeMenu(false);
+                finish(chosen, places[Number(choice.dataset.index)], null, 'menu');
+            });
+            el.addEventListener('keydown', e => {
+                const buttons = Array.from(el.querySelectorAll('button'));
+                const at = buttons.indexOf(document.activeElement);
+                let next = null;
+                if (e.key === 'ArrowDown') next = buttons[(at + 1) % buttons.length];
+                else if (e.key === 'ArrowUp') next = buttons[(at - 1 + buttons.length) % buttons.length];
+                else if (e.key === 'Home') next = buttons[0];
+                else if (e.key === 'End') next = buttons[buttons.length - 1];
+                else if (e.key === 'Escape') closeMenu(true);
+                else if (e.key === 'Tab') return closeMenu(false);
+                else return;
+                e.preventDefault();
+                e.stopPropagation();
+                if (next) next.focus();
+            });
+            document.addEventListener('click', onOutside, true);
+            el.querySelector('button').focus();
+        }
+
+        function onClick(e) {
+            const button = e.target.closest ? e.target.closest('.qihs-dnd-move') : null;
+            const item = button ? itemOf(button) : null;
+            if (!item) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (menu && menu.button === button) closeMenu(true);
+            else openMenu(item, button);
+        }
+
+        container.addEventListener('keydown', onKeydown);
+        container.addEventListener('focusout', onFocusout);
+        container.addEventListener('click', onClick);
+        container.addEventListener('dragstart', onDragstart);
+        container.addEventListener('dragover', onDragover);
+        container.addEventListener('dragleave', onDragleave);
+        container.addEventListener('drop', onDrop);
+        container.addEventListener('dragend', onDragend);
+        container.addEventListener('touchstart', onTouchstart, { passive: true });
+        container.addEventListener('touchmove', onTouchmove, { passive: false });
+        container.addEventListener('touchend', onTouchend);
+        container.addEventListener('touchcancel', onTouchcancel);
+        container.addEventListener('contextmenu', e => { if (touch) e.preventDefault(); });
+        decorate();
+
+        return {
+            // The item being dragged or carried, or null
+            get active() {
+                return lifted ? lifted.item : null;
+            },
+            // Decorates items added since the last change the module noticed
+            refresh: decorate,
+            cancel: () => {
+                closeMenu(false);
+                cancel(false);
+            }
+        };
+    }
+
+    return {
+        HELP,
+        create,
+        announce,
+        copy
+    };
+});
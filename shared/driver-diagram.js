@@ -0,0 +1,497 @@
+// Driver diagram model
+// The aim, primary drivers, secondary drivers and change ideas of a driver
+// diagram as nodes with many-to-many links, plus quality checks, layout, SVG
+// rendering and the JSON file format. Used by driver_diagram_activity.html
+// and, to link a PDSA cycle to one of the change ideas, by the PDSA
+// activities. Exposed as window.QIHS.driverDiagram.
+//
+//     const DD = QIHS.driverDiagram;
+//     const diagram = DD.create('Reduce CAUTI by 50% on Ward 4 by June');
+//     const p = DD.addNode(diagram, 'primary', 'Device management');
+//     const s = DD.addNode(diagram, 'secondary', 'Daily catheter review');
+//     DD.link(diagram, p.id, 'aim');
+//     DD.link(diagram, s.id, p.id);
+//     DD.toSvg(diagram);                 // standalone SVG markup
+//
+// Links always run from the more detailed node to the one it drives
+// (change idea -> secondary -> primary -> aim). A PDSA page that calls
+// `mountPicker()` saves the chosen change idea's id in the field
+// #change-idea-link, which is how `linkedCycles()` finds it again.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.driverDiagram = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-driver-diagram';
+    const VERSION = 1;
+    const ACTIVITY = 'driver-diagram';
+    const LINK_FIELD = 'change-idea-link';
+
+    const TYPES = ['aim', 'primary', 'secondary', 'change'];
+    const LABELS = { aim: 'Aim', primary: 'Primary drivers', secondary: 'Secondary drivers', change: 'Change ideas' };
+    const SINGULAR = { aim: 'Aim', primary: 'Primary driver', secondary: 'Secondary driver', change: 'Change idea' };
+    const COLOURS = {
+        aim: { fill: '#667eea', stroke: '#764ba2', text: '#ffffff' },
+        primary: { fill: '#e8f5e9', stroke: '#66bb6a', text: '#2c3e50' },
+        secondary: { fill: '#fff3e0', stroke: '#ffb74d', text: '#2c3e50' },
+        change: { fill: '#e3f2fd', stroke: '#42a5f5', text: '#2c3e50' }
+    };
+
+    // PDSA activities that can test a change idea, by progress-store id
+    const PDSA_ACTIVITIES = {
+        'pdsa-cycle-fix': { title: 'PDSA Cycle Development (Revised)', file: 'PDSA-Fix.html' },
+        'pdsa-cycle-development': { title: 'PDSA Cycle Development', file: 'activity4_pdsa.html' },
+        'pdsa-cycle-tool': { title: 'PDSA Cycle Development Tool', file: 'pdsa_cycle_fresh.html' }
+    };
+
+    // Layout, in SVG user units
+    const NODE_WIDTH = 190;
+    const COLUMN_GAP = 70;
+    const ROW_GAP = 20;
+    const TOP = 50;
+    const MARGIN = 30;
+    const LINE_HEIGHT = 16;
+    const WRAP = 26;
+    const MAX_LINES = 5;
+
+    const level = type => TYPES.indexOf(type);
+    const columnX = type => MARGIN + level(type) * (NODE_WIDTH + COLUMN_GAP);
+
+    function escapeXml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ---------- Model
+
+    function create(aim) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            nodes: [{ id: 'aim', type: 'aim', text: aim || '', x: columnX('aim'), y: TOP }],
+            links: []
+        };
+    }
+
+    const find = (diagram, id) => diagram.nodes.find(node => node.id === id) || null;
+    const ofType = (diagram, type) => diagram.nodes.filter(node => node.type === type);
+
+    function nextId(diagram, type) {
+        const prefix = type[0];
+        let n = ofType(diagram, type).length + 1;
+        while (find(diagram, prefix + n)) n++;
+        return prefix + n;
+    }
+
+    // New nodes go at the bottom of their column
+    function addNode(diagram, type, text) {
+        if (!TYPES.includes(type) || type === 'aim') throw new Error(`Unknown node type "${type}"`);
+        const column = ofType(diagram, type);
+        const y = column.reduce((bottom, node) => Math.max(bottom, node.y + nodeHeight(node) + ROW_GAP), TOP);
+        const node = { id: nextId(diagram, type), type, text: text || '', x: columnX(type), y };
+        diagram.nodes.push(node);
+        return node;
+    }
+
+    function removeNode(diagram, id) {
+        if (id === 'aim') return false;
+        const before = diagram.nodes.length;
+        diagram.nodes = diagram.nodes.filter(node => node.id !== id);
+        diagram.links = diagram.links.filter(l => l.from !== id && l.to !== id);
+        return diagram.nodes.length < before;
+    }
+
+    // Puts a pair in link order, detailed node first; null if they can't be linked
+    function linkEnds(diagram, a, b) {
+        const first = find(diagram, a);
+        const second = find(diagram, b);
+        if (!first || !second || level(first.type) === level(second.type)) return null;
+        return level(first.type) > level(second.type) ? { from: first.id, to: second.id } : { from: second.id, to: first.id };
+    }
+
+    const canLink = (diagram, a, b) => !!linkEnds(diagram, a, b);
+    const hasLink = (diagram, a, b) => diagram.links.some(l => (l.from === a && l.to === b) || (l.from === b && l.to === a));
+
+    function link(diagram, a, b) {
+        const ends = linkEnds(diagram, a, b);
+        if (!ends || hasLink(diagram, a, b)) return false;
+        diagram.links.push(ends);
+        return true;
+    }
+
+    function unlink(diagram, a, b) {
+        const before = diagram.links.length;
+        diagram.links = diagram.links.filter(l => !((l.from === a && l.to === b) || (l.from === b && l.to === a)));
+        return diagram.links.length < before;
+    }
+
+    // Nodes a node drives (towards the aim) and nodes that drive it
+    const targets = (diagram, id) => diagram.links.filter(l => l.from === id).map(l => find(diagram, l.to)).filter(Boolean);
+    const sources = (diagram, id) => diagram.links.filter(l => l.to === id).map(l => find(diagram, l.from)).filter(Boolean);
+
+    // Every node with a chain of links leading to the aim
+    function reachesAim(diagram) {
+        const reached = new Set(['aim']);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            diagram.links.forEach(l => {
+                if (reached.has(l.to) && !reached.has(l.from)) {
+                    reached.add(l.from);
+                    grew = true;
+                }
+            });
+        }
+        return reached;
+    }
+
+    // The activity's quality checks, keyed as in the page's checklist
+    function check(diagram) {
+        const aim = (find(diagram, 'aim') || {}).text || '';
+        const named = type => ofType(diagram, type).filter(node => node.text.trim());
+        const primaries = named('primary');
+        const changes = named('change');
+        const reached = reachesAim(diagram);
+        const orphans = diagram.nodes.filter(node => node.text.trim() && !reached.has(node.id));
+        return {
+            aim: aim.trim().length > 20 && /\d/.test(aim),
+            primaries: primaries.length >= 3,
+            secondaries: primaries.length > 0 &&
+                primaries.every(p => sources(diagram, p.id).filter(s => s.type === 'secondary' && s.text.trim()).length >= 2),
+            connected: primaries.length >= 3 && orphans.length === 0,
+            changes: changes.length > 0 && changes.every(c => targets(diagram, c.id).length > 0),
+            orphans: orphans.map(node => node.id)
+        };
+    }
+
+    // ---------- Layout
+
+    function wrap(text, width) {
+        const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = '';
+        words.forEach(word => {
+            while (word.length > width) {
+                if (line) lines.push(line);
+                lines.push(word.slice(0, width - 1) + '-');
+                word = word.slice(width - 1);
+                line = '';
+            }
+            if (!line) line = word;
+            else if ((line + ' ' + word).length <= width) line += ' ' + word;
+            else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+        if (lines.length > MAX_LINES) {
+            lines.length = MAX_LINES;
+            lines[MAX_LINES - 1] = lines[MAX_LINES - 1].slice(0, width - 1) + '…';
+        }
+        return lines;
+    }
+
+    function nodeLines(node) {
+        const lines = wrap(node.text, node.type === 'aim' ? WRAP - 2 : WRAP);
+        return lines.length ? lines : [`(${SINGULAR[node.type].toLowerCase()})`];
+    }
+
+    const nodeHeight = node => 24 + nodeLines(node).length * LINE_HEIGHT;
+
+    // Columns by type, each ordered by where the nodes it drives sit, which
+    // keeps most links from crossing
+    function layout(diagram) {
+        const centre = node => node.y + nodeHeight(node) / 2;
+        TYPES.forEach(type => {
+            const column = ofType(diagram, type);
+            const key = node => {
+                const driven = targets(diagram, node.id);
+                return driven.length ? driven.reduce((sum, t) => sum + centre(t), 0) / driven.length : Infinity;
+            };
+            column
+                .map((node, index) => ({ node, index, key: key(node) }))
+                .sort((a, b) => a.key - b.key || a.index - b.index)
+                .reduce((y, { node }) => {
+                    node.x = columnX(type);
+                    node.y = y;
+                    return y + nodeHeight(node) + ROW_GAP;
+                }, TOP);
+        });
+        // Centre the aim against its primary drivers
+        const aim = find(diagram, 'aim');
+        const primaries = ofType(diagram, 'primary');
+        if (aim && primaries.length) {
+            const top = Math.min(...primaries.map(p => p.y));
+            const bottom = Math.max(...primaries.map(p => p.y + nodeHeight(p)));
+            aim.y = Math.max(TOP, Math.round((top + bottom - nodeHeight(aim)) / 2));
+        }
+        return diagram;
+    }
+
+    function size(diagram) {
+        const right = Math.max(columnX('change') + NODE_WIDTH, ...diagram.nodes.map(n => n.x + NODE_WIDTH));
+        const bottom = Math.max(300, ...diagram.nodes.map(n => n.y + nodeHeight(n)));
+        return { width: right + MARGIN, height: bottom + MARGIN };
+    }
+
+    // ---------- SVG
+
+    function linkPath(from, to) {
+        const x1 = from.x;
+        const y1 = from.y + nodeHeight(from) / 2;
+        const x2 = to.x + NODE_WIDTH;
+        const y2 = to.y + nodeHeight(to) / 2;
+        const bend = Math.max(30, Math.abs(x1 - x2) / 2);
+        return `M${x1},${y1} C${x1 - bend},${y1} ${x2 + bend},${y2} ${x2},${y2}`;
+    }
+
+    // `options.interactive` adds focus and selection hooks for the editor;
+    // `options.cycles` maps change idea ids to their linked PDSA cycles
+    function toSvg(diagram, options) {
+        const opts = Object.assign({ interactive: false, selected: null, cycles: {}, title: 'Driver diagram' }, options);
+        const { width, height } = size(diagram);
+        const parts = [];
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"` +
+            ` font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif" font-size="13"` +
+            ` role="${opts.interactive ? 'group' : 'img'}" aria-label="${escapeXml(opts.title)}">`);
+        parts.push(`<title>${escapeXml(opts.title)}</title>`);
+        if (!opts.interactive) parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+        TYPES.forEach(type => {
+            parts.push(`<text x="${columnX(type) + NODE_WIDTH / 2}" y="28" text-anchor="middle" font-weight="bold" fill="#546e7a">${LABELS[type]}</text>`);
+        });
+
+        const selected = opts.selected;
+        parts.push('<g class="dd-links" fill="none">');
+        diagram.links.forEach(l => {
+            const from = find(diagram, l.from);
+            const to = find(diagram, l.to);
+            if (!from || !to) return;
+            const active = selected && (l.from === selected || l.to === selected);
+            parts.push(`<path d="${linkPath(from, to)}" stroke="${active ? '#11998e' : '#90a4ae'}" stroke-width="${active ? 3 : 2}"/>`);
+        });
+        parts.push('</g>');
+
+        parts.push('<g class="dd-nodes">');
+        diagram.nodes.forEach(node => {
+            const colour = COLOURS[node.type];
+            const lines = nodeLines(node);
+            const h = nodeHeight(node);
+            const isSelected = node.id === selected;
+            const cycles = (opts.cycles[node.id] || []).length;
+            const label = `${SINGULAR[node.type]}: ${node.text || 'untitled'}`;
+            const attrs = opts.interactive
+                ? ` data-node="${escapeXml(node.id)}" tabindex="0" role="button" aria-pressed="${isSelected}" aria-label="${escapeXml(label)}"`
+                : '';
+            parts.push(`<g class="dd-node" transform="translate(${node.x},${node.y})"${attrs}>`);
+            parts.push(`<rect width="${NODE_WIDTH}" height="${h}" rx="8" fill="${colour.fill}" stroke="${isSelected ? '#2c3e50' : colour.stroke}" stroke-width="${isSelected ? 3 : 2}"/>`);
+            parts.push(`<text x="${NODE_WIDTH / 2}" y="${12 + LINE_HEIGHT - 3}" text-anchor="middle" fill="${node.text ? colour.text : '#9e9e9e'}"` +
+                `${node.type === 'aim' ? ' font-weight="bold"' : ''}>`);
+            lines.forEach((line, i) => {
+                parts.push(`<tspan x="${NODE_WIDTH / 2}" dy="${i ? LINE_HEIGHT : 0}">${escapeXml(line)}</tspan>`);
+            });
+            parts.push('</text>');
+            if (cycles) {
+                parts.push(`<g transform="translate(${NODE_WIDTH - 22},-8)"><rect width="30" height="16" rx="8" fill="#11998e"/>` +
+                    `<text x="15" y="12" text-anchor="middle" font-size="10" fill="#ffffff">PDSA${cycles > 1 ? ' ' + cycles : ''}</text></g>`);
+            }
+            parts.push('</g>');
+        });
+        parts.push('</g></svg>');
+        return parts.join('');
+    }
+
+    // ---------- JSON
+
+    function serialize(diagram) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            nodes: diagram.nodes.map(({ id, type, text, x, y }) => ({ id, type, text, x: Math.round(x), y: Math.round(y) })),
+            links: diagram.links.map(({ from, to }) => ({ from, to }))
+        }, null, 2);
+    }
+
+    // Accepts a parsed object or JSON text; positions are optional and
+    // missing ones trigger an automatic layout
+    function parse(input) {
+        let data = input;
+        const errors = [];
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (e) {
+                return { diagram: null, errors: [`Not valid JSON: ${e.message}`] };
+            }
+        }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+            return { diagram: null, errors: ['Not a driver diagram - expected a "nodes" list'] };
+        }
+        if (data.format && data.format !== FORMAT) errors.push(`Unexpected format "${data.format}"`);
+        if (data.version > VERSION) errors.push(`File is from a newer version (${data.version}) - some details may be lost`);
+
+        const diagram = { format: FORMAT, version: VERSION, nodes: [], links: [] };
+        let positioned = true;
+        data.nodes.forEach((raw, i) => {
+            if (!raw || !TYPES.includes(raw.type)) return errors.push(`Node ${i + 1}: unknown type "${raw && raw.type}"`);
+            const id = raw.type === 'aim' ? 'aim' : String(raw.id || '');
+            if (!id || find(diagram, id)) return errors.push(`Node ${i + 1}: missing or duplicate id "${id}"`);
+            const node = { id, type: raw.type, text: typeof raw.text === 'string' ? raw.text : '', x: Number(raw.x), y: Number(raw.y) };
+            if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                positioned = false;
+                node.x = columnX(node.type);
+                node.y = TOP;
+            }
+            diagram.nodes.push(node);
+        });
+        if (!find(diagram, 'aim')) diagram.nodes.unshift(create('').nodes[0]);
+
+        (Array.isArray(data.links) ? data.links : []).forEach((raw, i) => {
+            if (!raw || !canLink(diagram, raw.from, raw.to)) {
+                return errors.push(`Link ${i + 1}: cannot link "${raw && raw.from}" to "${raw && raw.to}"`);
+            }
+            link(diagram, raw.from, raw.to);
+        });
+        if (!positioned) layout(diagram);
+        return { diagram, errors };
+    }
+
+    // ---------- Links to PDSA cycles
+
+    function progressStore() {
+        return root.QIHS && root.QIHS.progress;
+    }
+
+    // The learner's diagram as last saved by the driver diagram activity
+    function saved() {
+        const store = progressStore();
+        const record = store && store.read(ACTIVITY);
+        const state = record && record.state;
+        return state && state.diagram ? parse(state.diagram).diagram : null;
+    }
+
+    function changeIdeas(diagram) {
+        const source = diagram || saved();
+        if (!source) return [];
+        return ofType(source, 'change').filter(node => node.text.trim()).map(node => ({
+            id: node.id,
+            text: node.text.trim(),
+            drivers: targets(source, node.id).map(t => t.text)
+        }));
+    }
+
+    // Saved PDSA work that names a change idea, grouped by change idea id.
+    // PDSA ramps (pdsa-ramp.js) count once per ramp, with how many cycles it has.
+    function linkedCycles() {
+        const store = progressStore();
+        const byIdea = {};
+        if (!store) return byIdea;
+        Object.values(store.readAll()).forEach(record => {
+            const known = PDSA_ACTIVITIES[record.activity] || {};
+            const add = (idea, cycles) => (byIdea[idea] = byIdea[idea] || []).push({
+                activity: record.activity,
+                title: known.title || record.title || record.activity,
+                file: known.file || null,
+                savedAt: record.savedAt,
+                cycles
+            });
+            const idea = record.fields && record.fields['#' + LINK_FIELD];
+            if (idea) add(idea, 1);
+            const ramps = record.state && record.state.ramp && record.state.ramp.ramps;
+            (Array.isArray(ramps) ? ramps : []).forEach(ramp => {
+                if (ramp.changeIdea && ramp.changeIdea.id) add(ramp.changeIdea.id, (ramp.cycles || []).length);
+            });
+        });
+        return byIdea;
+    }
+
+    // Adds a "change idea from your driver diagram" choice above a PDSA
+    // page's plan box. ?changeIdea=<id> preselects one. Choosing an idea
+    // fills the plan box if it is still empty.
+    function mountPicker(options) {
+        const opts = Object.assign({ before: null, fill: null, diagramPage: 'driver_diagram_activity.html' }, options);
+        const anchor = opts.before;
+        if (!anchor || !anchor.parentNode) return null;
+        const doc = anchor.ownerDocument;
+        const ideas = changeIdeas();
+
+        const wrapper = doc.createElement('div');
+        wrapper.className = 'qihs-change-idea';
+        wrapper.style.cssText = 'margin: 0 0 10px; font-size: 14px;';
+        if (!ideas.length) {
+            wrapper.innerHTML = `<a href="${escapeXml(opts.diagramPage)}">Build a driver diagram</a> to link this cycle to one of its change ideas.`;
+            anchor.parentNode.insertBefore(wrapper, anchor);
+            return null;
+        }
+        wrapper.innerHTML = `<label for="${LINK_FIELD}" style="display: block; font-weight: 600; margin-bottom: 4px;">Change idea from your driver diagram</label>
+            <select id="${LINK_FIELD}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px;">
+                <option value="">- not linked -</option>
+                ${ideas.map(idea => `<option value="${escapeXml(idea.id)}">${escapeXml(idea.text)}${idea.drivers.length ? ` (${escapeXml(idea.drivers.join(', '))})` : ''}</option>`).join('')}
+            </select>`;
+        anchor.parentNode.insertBefore(wrapper, anchor);
+        const select = wrapper.querySelector('select');
+
+        select.addEventListener('change', () => {
+            const idea = ideas.find(i => i.id === select.value);
+            if (idea && opts.fill && !opts.fill.value.trim()) {
+                opts.fill.value = idea.text;
+                opts.fill.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        });
+
+        // Applied after saved work is restored, so the link from the diagram wins
+        const requested = new URLSearchParams(root.location.search).get('changeIdea');
+        if (requested && ideas.some(i => i.id === requested)) {
+            const apply = () => {
+                select.value = requested;
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            };
+            if (doc.readyState === 'complete') setTimeout(apply, 0);
+            else root.addEventListener('load', apply);
+        }
+        return select;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        ACTIVITY,
+        LINK_FIELD,
+        TYPES,
+        LABELS,
+        SINGULAR,
+        PDSA_ACTIVITIES,
+        NODE_WIDTH,
+        create,
+        find,
+        ofType,
+        addNode,
+        removeNode,
+        canLink,
+        hasLink,
+        link,
+        unlink,
+        targets,
+        sources,
+        reachesAim,
+        check,
+        nodeHeight,
+        layout,
+        size,
+        toSvg,
+        serialize,
+        parse,
+        saved,
+        changeIdeas,
+        linkedCycles,
+        mountPicker
+    };
+});
@@ -0,0 +1,200 @@
+// Contact enquiries
+// The rules for the site's contact form, shared by the form
+// (useContactForm in interactive_learning_pro_site_refactor_a_11_y_perf.jsx)
+// and the reference endpoint (server/enquiries.js), so a message the form
+// accepts is one the server accepts. Also the submission adapters the form
+// posts through. Exposed as window.QIHS.enquiry.
+//
+//     const enquiry = QIHS.enquiry;
+//     const errors = enquiry.validate(values);          // {} when valid
+//     const adapter = enquiry.httpAdapter('/api/enquiries');
+//     adapter.submit(enquiry.prepare(values, startedAt))
+//         .then(result => ...)                          // { id, message }
+//         .catch(err => ...);                           // err.errors, err.status
+//
+// An adapter is any object with `submit(payload)` returning a promise, so a
+// deployment can post to Formspree, a CRM or a serverless function instead.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.enquiry = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const ENDPOINT = '/api/enquiries';
+    const DEFAULT_PORT = 8789;
+    const EMAIL_RX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const HONEYPOT = 'website';
+
+    const LIMITS = {
+        name: 100,
+        email: 200,
+        organization: 150,
+        role: 60,
+        message: 5000,
+        interests: 10
+    };
+
+    const ROLES = ['Lecturer/Module Leader', 'Learning Technologist', 'CPD Lead', 'Administrator', 'Other'];
+
+    // Faster than a person can read and fill the form
+    const MIN_FILL_MS = 3000;
+    const SPAM_THRESHOLD = 5;
+
+    // ---------- Validation
+
+    const TEXT_FIELDS = ['name', 'email', 'organization', 'role', 'message'];
+
+    // Anything but a string reads as empty; validate reports it as a field error
+    const str = value => (typeof value === 'string' ? value : '');
+
+    // Field errors keyed by field name, worded for the person filling the form
+    function validate(values) {
+        const v = values || {};
+        const e = {};
+        const name = str(v.name).trim();
+        const email = str(v.email).trim();
+        const organization = str(v.organization).trim();
+        if (!name) e.name = 'Please enter your name.';
+        else if (name.length > LIMITS.name) e.name = `Please keep your name under ${LIMITS.name} characters.`;
+        if (!email || !EMAIL_RX.test(email) || email.length > LIMITS.email) e.email = 'Enter a valid email.';
+        if (!organization) e.organization = 'Organization is required.';
+        else if (organization.length > LIMITS.organization) e.organization = `Please keep this under ${LIMITS.organization} characters.`;
+        if (str(v.role) && !ROLES.some(r => r.toLowerCase() === str(v.role))) e.role = 'Choose a role from the list.';
+        if (str(v.message).length > LIMITS.message) e.message = `Please keep your message under ${LIMITS.message} characters.`;
+        if (v.interests != null && (!Array.isArray(v.interests) || v.interests.length > LIMITS.interests)) {
+            e.interests = 'Choose fewer interests.';
+        } else if (Array.isArray(v.interests) && v.interests.some(i => typeof i !== 'string')) {
+            e.interests = 'Choose interests from the list.';
+        }
+        // Only a hand-made request sends anything else, but it should hear why
+        TEXT_FIELDS.forEach(field => {
+            if (v[field] != null && typeof v[field] !== 'string') e[field] = 'Please enter text here.';
+        });
+        if (str(v[HONEYPOT])) e[HONEYPOT] = 'Spam detected.';
+        return e;
+    }
+
+    // Only the known fields, trimmed
+    function clean(values) {
+        const v = values || {};
+        return {
+            name: str(v.name).trim(),
+            email: str(v.email).trim(),
+            organization: str(v.organization).trim(),
+            role: str(v.role).trim(),
+            interests: Array.isArray(v.interests) ? v.interests.map(str).map(s => s.trim().slice(0, 60)).filter(Boolean) : [],
+            message: str(v.message).trim()
+        };
+    }
+
+    // What the form sends: its fields, the honeypot, and how long filling took
+    function prepare(values, startedAt) {
+        return Object.assign(clean(values), {
+            [HONEYPOT]: str((values || {})[HONEYPOT]),
+            elapsed: startedAt ? Date.now() - startedAt : null
+        });
+    }
+
+    // ---------- Spam scoring
+
+    // Adds up signs of an automated submission. The honeypot alone is enough;
+    // the others only count together. Returns { score, reasons, spam }.
+    function spamScore(payload) {
+        const p = payload || {};
+        const reasons = [];
+        let score = 0;
+        const add = (points, reason) => {
+            score += points;
+            reasons.push(reason);
+        };
+        const message = str(p.message);
+        if (str(p[HONEYPOT])) add(10, 'honeypot filled');
+        if (typeof p.elapsed !== 'number' || !isFinite(p.elapsed)) add(2, 'no fill time');
+        else if (p.elapsed < MIN_FILL_MS) add(5, `filled in ${Math.round(p.elapsed / 100) / 10}s`);
+        const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+        if (links > 2) add(3, `${links} links`);
+        else if (links) add(1, 'has a link');
+        if (/<a\s|\[url=/i.test(message)) add(3, 'link markup');
+        if (message.length > 40 && message === message.toUpperCase() && /[A-Z]/.test(message)) add(1, 'all capitals');
+        if (str(p.name) && str(p.name) === str(p.organization)) add(1, 'name repeated as organisation');
+        if (/(.)\1{9,}/.test(message)) add(1, 'repeated characters');
+        return { score, reasons, spam: score >= SPAM_THRESHOLD };
+    }
+
+    // ---------- Adapters
+
+    // A failed submission: `errors` are field errors from the server, if any
+    class SubmissionError extends Error {
+        constructor(message, status, errors) {
+            super(message);
+            this.name = 'SubmissionError';
+            this.status = status || 0;
+            this.errors = errors || {};
+        }
+    }
+
+    // Posts JSON to server/enquiries.js or anything that answers the same way:
+    // 2xx { id, message }, 422 { errors }, 429 with Retry-After
+    function httpAdapter(url, options) {
+        const opts = Object.assign({ timeout: 15000, headers: {} }, options);
+        return {
+            submit(payload) {
+                const controller = typeof AbortController === 'function' ? new AbortController() : null;
+                const timer = controller ? setTimeout(() => controller.abort(), opts.timeout) : null;
+                return root.fetch(url || ENDPOINT, {
+                    method: 'POST',
+                    headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, opts.headers),
+                    body: JSON.stringify(payload),
+                    signal: controller ? controller.signal : undefined
+                }).then(response => response.json().catch(() => ({})).then(body => {
+                    if (response.ok) return { id: body.id || null, message: body.message || '' };
+                    if (response.status === 429) {
+                        const wait = Number(response.headers.get('Retry-After')) || 60;
+                        throw new SubmissionError(`Too many messages from your network - please try again in ${Math.ceil(wait / 60)} minute(s).`, 429);
+                    }
+                    throw new SubmissionError(body.message || 'The server could not take your message.', response.status, body.errors);
+                }), err => {
+                    if (err instanceof SubmissionError) throw err;
+                    throw new SubmissionError(err && err.name === 'AbortError'
+                        ? 'The server took too long to answer.'
+                        : 'Could not reach the server - check your connection.', 0);
+                }).finally(() => clearTimeout(timer));
+            }
+        };
+    }
+
+    // Keeps enquiries in memory, for demos and previews with no backend
+    function memoryAdapter() {
+        const received = [];
+        return {
+            received,
+            submit(payload) {
+                received.push(JSON.parse(JSON.stringify(payload)));
+                return Promise.resolve({ id: `demo-${received.length}`, message: 'Demo mode: your message was not sent anywhere.' });
+            }
+        };
+    }
+
+    return {
+        ENDPOINT,
+        DEFAULT_PORT,
+        EMAIL_RX,
+        HONEYPOT,
+        LIMITS,
+        ROLES,
+        MIN_FILL_MS,
+        SPAM_THRESHOLD,
+        validate,
+        clean,
+        prepare,
+        spamScore,
+        SubmissionError,
+        httpAdapter,
+        memoryAdapter
+    };
+});
@@ -0,0 +1,395 @@
+// Fishbone diagram model
+// A cause-and-effect (Ishikawa) diagram as editable categories and causes,
+// each cause with a 5-Whys chain and a vote count for picking the root
+// cause, plus SVG rendering and the JSON file format. Used by
+// interactive-fishbone-rca.html. Exposed as window.QIHS.fishbone, or
+// required from Node.
+//
+//     const FB = QIHS.fishbone;
+//     const diagram = FB.create({ problem: 'Fall with hip fracture', set: 'healthcare' });
+//     const cause = FB.addCause(diagram, diagram.categories[0].id, 'Night shift understaffing');
+//     FB.addWhy(diagram, cause.id, 'Two carers called in sick');
+//     FB.vote(diagram, cause.id, 1);
+//     FB.ranking(diagram)[0].root;       // deepest answer of the most-voted cause
+//     FB.toSvg(diagram);                 // standalone SVG markup
+//
+// File format (version 1):
+//
+//     {
+//       "format": "qihs-fishbone",
+//       "version": 1,
+//       "problem": "Fall with hip fracture requiring surgery",   the effect at the head
+//       "scenario": "resident-fall",                              scenario pack case, or null
+//       "categories": [{ "id": "c1", "name": "People" }],
+//       "causes": [{
+//         "id": "k1", "category": "c1", "text": "Agency staff unfamiliar with routine",
+//         "factor": "f7",                                        scenario factor it came from, or null
+//         "whys": ["No handover sheet", "..."],                 up to five, each answering the one before
+//         "votes": 2
+//       }]
+//     }
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.fishbone = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-fishbone';
+    const VERSION = 1;
+    const MAX_WHYS = 5;
+    const MIN_CATEGORIES = 2;
+    const MAX_CATEGORIES = 8;
+    const MAX_TEXT = 300;
+
+    const CATEGORY_SETS = {
+        healthcare: { label: 'Healthcare', categories: ['People', 'Process', 'Equipment', 'Environment', 'Communication', 'Organization'] },
+        '6m': { label: 'The 6Ms', categories: ['Manpower', 'Methods', 'Machines', 'Materials', 'Measurement', 'Mother Nature'] },
+        vincent: {
+            label: "Vincent's framework",
+            categories: ['Patient', 'Task & Technology', 'Individual Staff', 'Team', 'Work Environment', 'Organization & Management', 'Institutional Context']
+        }
+    };
+
+    const COLOURS = ['#3498db', '#9b59b6', '#e67e22', '#27ae60', '#e74c3c', '#7f8c8d', '#16a085', '#d35400'];
+
+    // Layout, in SVG user units
+    const COLUMN = 280;
+    const SLANT = 0.45;
+    const ROW = 15;
+    const WRAP = 38;
+    const HEAD_WIDTH = 190;
+    const MARGIN = 30;
+
+    function escapeXml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    const clean = text => String(text == null ? '' : text).replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT);
+
+    // ---------- Model
+
+    function nextId(list, prefix) {
+        let n = list.length + 1;
+        while (list.some(item => item.id === prefix + n)) n++;
+        return prefix + n;
+    }
+
+    function create(options) {
+        const opts = Object.assign({ problem: '', scenario: null, set: 'healthcare', categories: null }, options);
+        const names = opts.categories && opts.categories.length ? opts.categories : CATEGORY_SETS[opts.set].categories;
+        const diagram = { format: FORMAT, version: VERSION, problem: clean(opts.problem), scenario: opts.scenario || null, categories: [], causes: [] };
+        names.slice(0, MAX_CATEGORIES).forEach(name => addCategory(diagram, name));
+        return diagram;
+    }
+
+    const category = (diagram, id) => diagram.categories.find(c => c.id === id) || null;
+    const cause = (diagram, id) => diagram.causes.find(c => c.id === id) || null;
+    const causesIn = (diagram, categoryId) => diagram.causes.filter(c => c.category === categoryId);
+    const colour = (diagram, categoryId) => COLOURS[Math.max(0, diagram.categories.findIndex(c => c.id === categoryId)) % COLOURS.length];
+
+    function addCategory(diagram, name) {
+        if (diagram.categories.length >= MAX_CATEGORIES) return null;
+        const added = { id: nextId(diagram.categories, 'c'), name: clean(name) || `Category ${diagram.categories.length + 1}` };
+        diagram.categories.push(added);
+        return added;
+    }
+
+    function renameCategory(diagram, id, name) {
+        const found = category(diagram, id);
+        if (!found || !clean(name)) return false;
+        found.name = clean(name);
+        return true;
+    }
+
+    // Only an empty category can go, so no cause is lost without the learner seeing it
+    function removeCategory(diagram, id) {
+        if (diagram.categories.length <= MIN_CATEGORIES || causesIn(diagram, id).length) return false;
+        diagram.categories = diagram.categories.filter(c => c.id !== id);
+        return true;
+    }
+
+    // Renames the categories in order to a preset's; surplus categories are
+    // removed when empty and kept otherwise. Returns the names kept.
+    function applySet(diagram, key) {
+        const names = CATEGORY_SETS[key] ? CATEGORY_SETS[key].categories : [];
+        names.forEach((name, i) => {
+            if (diagram.categories[i]) diagram.categories[i].name = name;
+            else addCategory(diagram, name);
+        });
+        const surplus = diagram.categories.slice(names.length);
+        surplus.forEach(c => {
+            if (!causesIn(diagram, c.id).length) diagram.categories = diagram.categories.filter(k => k !== c);
+        });
+        return diagram.categories.slice(names.length).map(c => c.name);
+    }
+
+    function addCause(diagram, categoryId, text, factor) {
+        if (!category(diagram, categoryId) || !clean(text)) return null;
+        const added = { id: nextId(diagram.causes, 'k'), category: categoryId, text: clean(text), factor: factor || null, whys: [], votes: 0 };
+        diagram.causes.push(added);
+        return added;
+    }
+
+    function editCause(diagram, id, text) {
+        const found = cause(diagram, id);
+        if (!found || !clean(text)) return false;
+        found.text = clean(text);
+        return true;
+    }
+
+    function moveCause(diagram, id, categoryId) {
+        const found = cause(diagram, id);
+        if (!found || !category(diagram, categoryId)) return false;
+        found.category = categoryId;
+        return true;
+    }
+
+    function removeCause(diagram, id) {
+        const before = diagram.causes.length;
+        diagram.causes = diagram.causes.filter(c => c.id !== id);
+        return diagram.causes.length < before;
+    }
+
+    // ---------- 5 Whys
+
+    // Asks "why?" of the deepest answer so far; empty answers are allowed
+    // while the learner is typing, and dropped when the diagram is saved
+    function addWhy(diagram, id, text) {
+        const found = cause(diagram, id);
+        if (!found || found.whys.length >= MAX_WHYS) return false;
+        found.whys.push(String(text == null ? '' : text).slice(0, MAX_TEXT));
+        return true;
+    }
+
+    function setWhy(diagram, id, index, text) {
+        const found = cause(diagram, id);
+        if (!found || index < 0 || index >= found.whys.length) return false;
+        found.whys[index] = String(text == null ? '' : text).slice(0, MAX_TEXT);
+        return true;
+    }
+
+    // Removing an answer also removes the ones beneath it, which answered it
+    function removeWhy(diagram, id, index) {
+        const found = cause(diagram, id);
+        if (!found || index < 0 || index >= found.whys.length) return false;
+        found.whys.length = index;
+        return true;
+    }
+
+    // The deepest answer of a cause's chain, or the cause itself
+    function rootOf(found) {
+        const answers = found.whys.map(clean).filter(Boolean);
+        return answers.length ? answers[answers.length - 1] : found.text;
+    }
+
+    // ---------- Voting
+
+    function vote(diagram, id, change) {
+        const found = cause(diagram, id);
+        if (!found) return false;
+        found.votes = Math.max(0, found.votes + (change || 0));
+        return true;
+    }
+
+    // Causes with votes, most first: { cause, category, votes, depth, root }
+    function ranking(diagram) {
+        return diagram.causes
+            .filter(c => c.votes > 0)
+            .map(c => ({
+                cause: c,
+                category: (category(diagram, c.category) || {}).name || '',
+                votes: c.votes,
+                depth: c.whys.filter(w => clean(w)).length,
+                root: rootOf(c)
+            }))
+            .sort((a, b) => b.votes - a.votes || b.depth - a.depth);
+    }
+
+    // ---------- SVG
+
+    function wrap(text, width) {
+        const words = clean(text).split(' ').filter(Boolean);
+        const lines = [];
+        let line = '';
+        words.forEach(word => {
+            if (!line) line = word;
+            else if ((line + ' ' + word).length <= width) line += ' ' + word;
+            else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // The text rows drawn along one bone: causes, then their whys indented
+    function boneRows(diagram, categoryId) {
+        const rows = [];
+        causesIn(diagram, categoryId).forEach(c => {
+            const votes = c.votes ? ` (${c.votes} vote${c.votes === 1 ? '' : 's'})` : '';
+            wrap(c.text + votes, WRAP).forEach((line, i) => rows.push({ text: (i ? '  ' : '• ') + line, kind: 'cause' }));
+            c.whys.map(clean).filter(Boolean).forEach((why, depth) => {
+                wrap(`why ${depth + 1}: ${why}`, WRAP - 4).forEach((line, i) => rows.push({ text: (i ? '    ' : '  ') + line, kind: 'why' }));
+            });
+        });
+        return rows;
+    }
+
+    function size(diagram) {
+        const top = diagram.categories.filter((c, i) => i % 2 === 0);
+        const bottom = diagram.categories.filter((c, i) => i % 2 === 1);
+        const boneLength = list => Math.max(110, ...list.map(c => 50 + boneRows(diagram, c.id).length * ROW));
+        const columns = Math.max(1, top.length, bottom.length);
+        const upper = boneLength(top);
+        const lower = boneLength(bottom);
+        return {
+            width: MARGIN * 2 + columns * COLUMN + HEAD_WIDTH,
+            height: MARGIN * 2 + upper + lower + 40,
+            spine: MARGIN + upper + 20,
+            upper,
+            lower,
+            columns
+        };
+    }
+
+    function toSvg(diagram, options) {
+        const opts = Object.assign({ title: diagram.problem || 'Fishbone diagram' }, options);
+        const { width, height, spine, upper, lower, columns } = size(diagram);
+        const headX = MARGIN + columns * COLUMN;
+        const parts = [];
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"` +
+            ` font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif" font-size="11" role="img" aria-label="${escapeXml(opts.title)}">`);
+        parts.push(`<title>${escapeXml(opts.title)}</title>`);
+        parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+        parts.push(`<line x1="${MARGIN}" y1="${spine}" x2="${headX}" y2="${spine}" stroke="#2c3e50" stroke-width="4"/>`);
+        parts.push(`<polygon points="${headX},${spine} ${headX - 15},${spine - 7} ${headX - 15},${spine + 7}" fill="#2c3e50"/>`);
+
+        const problem = wrap(diagram.problem || 'Problem', 24);
+        const headHeight = 24 + problem.length * 16;
+        parts.push(`<rect x="${headX + 6}" y="${spine - headHeight / 2}" width="${HEAD_WIDTH - 12}" height="${headHeight}" rx="10" fill="#c0392b"/>`);
+        parts.push(`<text x="${headX + HEAD_WIDTH / 2}" y="${spine - headHeight / 2 + 26}" text-anchor="middle" font-size="13" font-weight="bold" fill="#ffffff">`);
+        problem.forEach((line, i) => parts.push(`<tspan x="${headX + HEAD_WIDTH / 2}" dy="${i ? 16 : 0}">${escapeXml(line)}</tspan>`));
+        parts.push('</text>');
+
+        diagram.categories.forEach((c, i) => {
+            const above = i % 2 === 0;
+            const column = Math.floor(i / 2);
+            const length = above ? upper : lower;
+            const joinX = MARGIN + (column + 1) * COLUMN - 20;
+            const tipX = joinX - length * SLANT;
+            const tipY = above ? spine - length : spine + length;
+            const stroke = colour(diagram, c.id);
+            parts.push(`<g class="fb-bone">`);
+            parts.push(`<line x1="${joinX}" y1="${spine}" x2="${tipX}" y2="${tipY}" stroke="${stroke}" stroke-width="3"/>`);
+            parts.push(`<text x="${tipX}" y="${above ? tipY - 8 : tipY + 18}" font-size="13" font-weight="bold" fill="${stroke}">${escapeXml(c.name.toUpperCase())}</text>`);
+            boneRows(diagram, c.id).forEach((row, r) => {
+                // Rows run from the tip towards the spine, each just right of the bone
+                const y = above ? tipY + 24 + r * ROW : spine + 24 + r * ROW;
+                const x = joinX - Math.abs(spine - y) * SLANT + 8;
+                parts.push(`<text x="${x}" y="${y}" fill="${row.kind === 'why' ? '#6b7280' : '#2c3e50'}"${row.kind === 'why' ? ' font-style="italic"' : ''}>${escapeXml(row.text)}</text>`);
+            });
+            parts.push('</g>');
+        });
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    // ---------- JSON
+
+    function serialize(diagram) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            problem: diagram.problem,
+            scenario: diagram.scenario,
+            categories: diagram.categories.map(({ id, name }) => ({ id, name })),
+            causes: diagram.causes.map(({ id, category, text, factor, whys, votes }) => ({
+                id, category, text, factor, whys: whys.map(clean).filter(Boolean), votes
+            }))
+        }, null, 2);
+    }
+
+    // Accepts a parsed object or JSON text: { diagram, errors }, where a
+    // diagram with errors is still usable and the errors say what was skipped
+    function parse(input) {
+        let data = input;
+        const errors = [];
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (e) {
+                return { diagram: null, errors: [`Not valid JSON: ${e.message}`] };
+            }
+        }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.categories)) {
+            return { diagram: null, errors: ['Not a fishbone diagram - expected a "categories" list'] };
+        }
+        if (data.format && data.format !== FORMAT) errors.push(`Unexpected format "${data.format}"`);
+        if (data.version > VERSION) errors.push(`File is from a newer version (${data.version}) - some details may be lost`);
+
+        const diagram = { format: FORMAT, version: VERSION, problem: clean(data.problem), scenario: typeof data.scenario === 'string' ? data.scenario : null, categories: [], causes: [] };
+        data.categories.forEach((raw, i) => {
+            const id = raw && String(raw.id || '');
+            if (!id || category(diagram, id)) return errors.push(`Category ${i + 1}: missing or duplicate id "${id}"`);
+            if (diagram.categories.length >= MAX_CATEGORIES) return errors.push(`Category ${i + 1}: a diagram has at most ${MAX_CATEGORIES} categories`);
+            diagram.categories.push({ id, name: clean(raw.name) || `Category ${i + 1}` });
+        });
+        if (diagram.categories.length < MIN_CATEGORIES) return { diagram: null, errors: errors.concat(`A diagram needs at least ${MIN_CATEGORIES} categories`) };
+
+        (Array.isArray(data.causes) ? data.causes : []).forEach((raw, i) => {
+            if (!raw || !category(diagram, raw.category)) return errors.push(`Cause ${i + 1}: unknown category "${raw && raw.category}"`);
+            const id = String(raw.id || '');
+            if (!id || cause(diagram, id)) return errors.push(`Cause ${i + 1}: missing or duplicate id "${id}"`);
+            if (!clean(raw.text)) return errors.push(`Cause ${i + 1}: no text`);
+            diagram.causes.push({
+                id,
+                category: raw.category,
+                text: clean(raw.text),
+                factor: typeof raw.factor === 'string' ? raw.factor : null,
+                whys: (Array.isArray(raw.whys) ? raw.whys : []).map(clean).filter(Boolean).slice(0, MAX_WHYS),
+                votes: Number.isInteger(raw.votes) && raw.votes > 0 ? raw.votes : 0
+            });
+        });
+        return { diagram, errors };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        MAX_WHYS,
+        MIN_CATEGORIES,
+        MAX_CATEGORIES,
+        CATEGORY_SETS,
+        create,
+        category,
+        cause,
+        causesIn,
+        colour,
+        addCategory,
+        renameCategory,
+        removeCategory,
+        applySet,
+        addCause,
+        editCause,
+        moveCause,
+        removeCause,
+        addWhy,
+        setWhy,
+        removeWhy,
+        rootOf,
+        vote,
+        ranking,
+        size,
+        toSvg,
+        serialize,
+        parse
+    };
+});
@@ -0,0 +1,321 @@
+// FMEA worksheet
+// Risk priority numbers, ranking against an action threshold, before/after
+// comparison, Pareto ordering and CSV import/export for a worksheet of any
+// size. Loaded by fmea-activity-simplified.html as window.QIHS.fmea, or
+// required from Node.
+//
+//     const worksheet = {
+//         process: 'Patient discharge',
+//         scale: 5,                 // ratings run 1-5 or 1-10
+//         threshold: 27,            // RPN at or above which action is required
+//         steps: [{ name: 'Medication reconciliation', modes: [{
+//             mode: 'Incorrect medications listed', effects: '...', causes: '...',
+//             controls: '...', s: 3, o: 2, d: 2,
+//             action: '...', owner: '...', due: '2025-03-01', status: 'planned',
+//             after: { s: 3, o: 1, d: 1 }
+//         }] }]
+//     };
+//     QIHS.fmea.rank(worksheet);     // failure modes, highest RPN first
+//     QIHS.fmea.toCsv(worksheet);    // one row per failure mode
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.fmea = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SCALES = [5, 10];
+    const STATUSES = ['', 'planned', 'in progress', 'done'];
+
+    // A mid-scale rating on all three: 3 x 3 x 3 and 5 x 5 x 5
+    const DEFAULT_THRESHOLD = { 5: 27, 10: 125 };
+
+    // Header, worksheet key, and other headers accepted on import
+    const COLUMNS = [
+        ['Process step', 'step', ['step', 'processstep', 'process']],
+        ['Failure mode', 'mode', ['failuremode', 'potentialfailuremode', 'mode']],
+        ['Effects', 'effects', ['effects', 'effect', 'potentialeffects', 'failureeffects']],
+        ['Causes', 'causes', ['causes', 'cause', 'potentialcauses', 'rootcauses']],
+        ['Current controls', 'controls', ['currentcontrols', 'controls', 'control']],
+        ['S', 's', ['s', 'sev', 'severity']],
+        ['O', 'o', ['o', 'occ', 'occurrence']],
+        ['D', 'd', ['d', 'det', 'detection', 'detectability']],
+        ['RPN', 'rpn', ['rpn']],
+        ['Recommended action', 'action', ['recommendedaction', 'recommendedactions', 'action', 'actions']],
+        ['Owner', 'owner', ['owner', 'responsibility', 'responsible']],
+        ['Due', 'due', ['due', 'duedate', 'targetdate']],
+        ['Status', 'status', ['status', 'actionstatus']],
+        ['S after', 'afterS', ['safter', 'newseverity', 'severityafter', 'news']],
+        ['O after', 'afterO', ['oafter', 'newoccurrence', 'occurrenceafter', 'newo']],
+        ['D after', 'afterD', ['dafter', 'newdetection', 'detectionafter', 'newd']],
+        ['RPN after', 'rpnAfter', ['rpnafter', 'newrpn']]
+    ];
+
+    function rating(value, scale) {
+        const n = typeof value === 'number' ? value : Number(String(value == null ? '' : value).trim());
+        if (value === '' || value == null || !Number.isInteger(n)) return null;
+        return n >= 1 && n <= (scale || 10) ? n : null;
+    }
+
+    // S x O x D, or null until all three ratings are given
+    function rpn(ratings, scale) {
+        if (!ratings) return null;
+        const s = rating(ratings.s, scale);
+        const o = rating(ratings.o, scale);
+        const d = rating(ratings.d, scale);
+        return s && o && d ? s * o * d : null;
+    }
+
+    function threshold(worksheet) {
+        const value = Number(worksheet.threshold);
+        return Number.isFinite(value) && value > 0 ? value : DEFAULT_THRESHOLD[worksheet.scale] || DEFAULT_THRESHOLD[5];
+    }
+
+    // Every failure mode with its RPNs, ordered highest risk first. Ties share
+    // a rank and are ordered by severity, since a catastrophic but rare failure
+    // matters more than a frequent trivial one with the same RPN.
+    function rank(worksheet) {
+        const scale = worksheet.scale || 5;
+        const limit = threshold(worksheet);
+        const entries = [];
+        (worksheet.steps || []).forEach((step, stepIndex) => {
+            (step.modes || []).forEach((mode, modeIndex) => {
+                const before = rpn(mode, scale);
+                const after = rpn(mode.after, scale);
+                entries.push({
+                    step: step.name || '',
+                    stepIndex,
+                    modeIndex,
+                    mode,
+                    rpn: before,
+                    after,
+                    current: after != null ? after : before,
+                    severity: rating(mode.s, scale) || 0,
+                    flagged: before != null && before >= limit,
+                    flaggedAfter: (after != null ? after : before) != null && (after != null ? after : before) >= limit,
+                    reduction: before != null && after != null ? before - after : null
+                });
+            });
+        });
+        entries.sort((a, b) => (b.rpn == null ? -1 : b.rpn) - (a.rpn == null ? -1 : a.rpn) || b.severity - a.severity);
+        entries.forEach((entry, i) => {
+            const previous = entries[i - 1];
+            entry.rank = entry.rpn == null ? null
+                : previous && previous.rpn === entry.rpn ? previous.rank : i + 1;
+        });
+        return entries;
+    }
+
+    function summary(worksheet) {
+        const entries = rank(worksheet);
+        const scored = entries.filter(e => e.rpn != null);
+        const total = list => list.reduce((sum, n) => sum + n, 0);
+        const totalBefore = total(scored.map(e => e.rpn));
+        const totalAfter = total(scored.map(e => e.current));
+        return {
+            modes: entries.length,
+            scored: scored.length,
+            threshold: threshold(worksheet),
+            flaggedBefore: entries.filter(e => e.flagged).length,
+            flaggedAfter: entries.filter(e => e.flaggedAfter).length,
+            flaggedWithoutAction: entries.filter(e => e.flagged && !String(e.mode.action || '').trim()).length,
+            actions: entries.filter(e => String(e.mode.action || '').trim()).length,
+            actionsDone: entries.filter(e => e.mode.status === 'done').length,
+            reassessed: entries.filter(e => e.after != null).length,
+            totalBefore,
+            totalAfter,
+            reductionPct: totalBefore ? Math.round((totalBefore - totalAfter) / totalBefore * 100) : 0
+        };
+    }
+
+    // Largest first with cumulative percentages; `vital` marks the few items
+    // that together make up the first `cutoff` percent of the total
+    function pareto(items, cutoff) {
+        const limit = cutoff == null ? 80 : cutoff;
+        const sorted = items.filter(item => item.value > 0).slice().sort((a, b) => b.value - a.value);
+        const total = sorted.reduce((sum, item) => sum + item.value, 0);
+        let running = 0;
+        return sorted.map(item => {
+            const reachedBefore = total ? running / total * 100 : 0;
+            running += item.value;
+            return Object.assign({}, item, {
+                cumulative: running,
+                cumulativePct: total ? running / total * 100 : 0,
+                vital: reachedBefore < limit
+            });
+        });
+    }
+
+    // ---------- CSV
+
+    // RFC 4180: quoted fields may hold commas, quotes and line breaks.
+    // Spreadsheets in some locales save with semicolons, detected from the
+    // header row.
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const input = String(text).replace(/^\ufeff/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+        for (let i = 0; i < input.length; i++) {
+            const c = input[i];
+            if (quoted) {
+                if (c === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"' && field === '') {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    // Spreadsheets run cells starting with = + - @ as formulas, so those are
+    // prefixed with an apostrophe, which `fromCsv` removes again
+    function csvCell(value) {
+        let text = value == null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = "'" + text;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(worksheet) {
+        const scale = worksheet.scale || 5;
+        const lines = [COLUMNS.map(c => csvCell(c[0])).join(',')];
+        (worksheet.steps || []).forEach(step => {
+            const modes = step.modes && step.modes.length ? step.modes : [{}];
+            modes.forEach(mode => {
+                const after = mode.after || {};
+                const values = {
+                    step: step.name,
+                    mode: mode.mode,
+                    effects: mode.effects,
+                    causes: mode.causes,
+                    controls: mode.controls,
+                    s: mode.s,
+                    o: mode.o,
+                    d: mode.d,
+                    rpn: rpn(mode, scale),
+                    action: mode.action,
+                    owner: mode.owner,
+                    due: mode.due,
+                    status: mode.status,
+                    afterS: after.s,
+                    afterO: after.o,
+                    afterD: after.d,
+                    rpnAfter: rpn(after, scale)
+                };
+                lines.push(COLUMNS.map(c => csvCell(values[c[1]])).join(','));
+            });
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    const normalise = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const unguard = value => String(value == null ? '' : value).replace(/^'(?=[=+\-@])/, '').trim();
+
+    // Builds a worksheet from CSV rows, grouping rows by process step; a row
+    // with a blank step belongs to the step above it. RPN columns are ignored and recalculated.
+    function fromCsv(text, options) {
+        const rows = parseCsv(text);
+        const errors = [];
+        if (!rows.length) return { worksheet: null, errors: ['The file is empty'] };
+
+        const header = rows[0].map(normalise);
+        const index = {};
+        COLUMNS.forEach(([, key, aliases]) => {
+            const at = header.findIndex(h => aliases.includes(h));
+            if (at >= 0) index[key] = at;
+        });
+        if (index.mode == null) {
+            return { worksheet: null, errors: ['No "Failure mode" column found in the first row'] };
+        }
+
+        const cell = (row, key) => (index[key] == null ? '' : unguard(row[index[key]]));
+        const ratingKeys = ['s', 'o', 'd', 'afterS', 'afterO', 'afterD'];
+        const highest = Math.max(0, ...rows.slice(1).flatMap(row => ratingKeys.map(k => Number(cell(row, k)) || 0)));
+        const scale = highest > 5 ? 10 : (options && options.scale) || 5;
+
+        const steps = [];
+        rows.slice(1).forEach((row, i) => {
+            const line = i + 2;
+            const name = cell(row, 'step') || (steps.length ? steps[steps.length - 1].name : 'Process step');
+            let step = steps.find(s => s.name === name);
+            if (!step) {
+                step = { name, modes: [] };
+                steps.push(step);
+            }
+            const read = key => {
+                const raw = cell(row, key);
+                if (raw === '') return '';
+                const value = rating(raw, scale);
+                if (value == null) errors.push(`Row ${line}: "${raw}" is not a rating from 1 to ${scale}`);
+                return value == null ? '' : value;
+            };
+            let status = cell(row, 'status').toLowerCase();
+            if (!STATUSES.includes(status)) {
+                errors.push(`Row ${line}: unknown status "${status}" (use planned, in progress or done)`);
+                status = '';
+            }
+            const mode = {
+                mode: cell(row, 'mode'),
+                effects: cell(row, 'effects'),
+                causes: cell(row, 'causes'),
+                controls: cell(row, 'controls'),
+                s: read('s'),
+                o: read('o'),
+                d: read('d'),
+                action: cell(row, 'action'),
+                owner: cell(row, 'owner'),
+                due: cell(row, 'due'),
+                status,
+                after: { s: read('afterS'), o: read('afterO'), d: read('afterD') }
+            };
+            const empty = ['mode', 'effects', 'causes', 'controls', 's', 'o', 'd', 'action'].every(k => mode[k] === '');
+            if (!empty) step.modes.push(mode);
+        });
+
+        return { worksheet: { scale, steps: steps.filter(s => s.modes.length) }, errors };
+    }
+
+    return {
+        SCALES,
+        STATUSES,
+        DEFAULT_THRESHOLD,
+        COLUMNS: COLUMNS.map(c => c[0]),
+        rating,
+        rpn,
+        threshold,
+        rank,
+        summary,
+        pareto,
+        parseCsv,
+        toCsv,
+        fromCsv
+    };
+});
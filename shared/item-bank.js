@@ -0,0 +1,504 @@
+// Item banks
+// Practice items for the classification games, kept as JSON and tagged by
+// the concept each one tests (a waste type, a QI methodology, a contributory
+// factor). Every attempt draws a fresh, shuffled set pitched at the learner's
+// level, and concepts they miss come back: straight away in a review round,
+// then on a spaced schedule in later attempts. Exposed as
+// window.QIHS.itemBank, or required from Node.
+//
+//     const bank = QIHS.itemBank.load('lean-waste');
+//     let history = QIHS.itemBank.history('lean-waste');
+//     const round = QIHS.itemBank.draw(bank, history);      // { kind, level, items }
+//     const marked = QIHS.itemBank.mark(bank, round, { 'item-id': 'concept-id' });
+//     history = QIHS.itemBank.record(bank, history, marked);
+//     QIHS.itemBank.saveHistory('lean-waste', history);
+//     const review = QIHS.itemBank.review(bank, marked);   // missed concepts again, or null
+//
+// roundState(round, answers) and readRound(bank, state) carry a round in
+// progress through QIHS.progress, so a reload finds the same items.
+//
+// Each activity carries its built-in bank in
+// <script type="application/json" id="item-bank">. `load` returns a bank a
+// lecturer or learner loaded in this browser with the toolbar, or the
+// built-in one; the toolbar can also save the bank in use as a starting
+// point for writing a new one.
+//
+// Bank format (version 1):
+//
+//     {
+//       "format": "qihs-item-bank",
+//       "version": 1,
+//       "activity": "lean-waste",              activities.json id
+//       "title": "Outpatient clinic wastes",
+//       "author": "...", "description": "...", optional
+//       "size": 6,                             items per attempt, optional
+//       "concepts": [
+//         { "id": "waiting", "label": "Waiting", "description": "Delays for patients/staff", "icon": "⏳",
+//           "insight": "Invest in reliable IT systems" }   insight optional, listed in the summary
+//       ],
+//       "items": [
+//         {
+//           "id": "system-loading",            letters, digits and dashes
+//           "concept": "waiting",              the concept id that is correct
+//           "title": "...",                    optional heading
+//           "text": "Receptionist asks the patient to wait while the system loads",
+//           "hint": "...",                     optional, e.g. key indicators
+//           "difficulty": 1,                   1 easy, 2 moderate, 3 hard; default 2
+//           "feedback": "Why this is waiting"  or { "correct": "...", "incorrect": "..." }
+//         }
+//       ]
+//     }
+//
+// Learner history is kept per activity in this browser: the level (1-3) the
+// next attempt is drawn at, and a Leitner box for every concept. A concept
+// missed goes back to box 1 and is due next attempt; answered correctly it
+// moves up a box and waits twice as many attempts before it is due again.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.itemBank = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-item-bank';
+    const VERSION = 1;
+    const BANK_PREFIX = 'qihs.itembank.';
+    const HISTORY_PREFIX = 'qihs.itemhistory.';
+    const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+    const LEVELS = [1, 2, 3];
+    const DEFAULT_DIFFICULTY = 2;
+    const DEFAULT_SIZE = 6;
+    const MAX_BOX = 5;
+    // Round accuracy that moves the next attempt up or down a level
+    const LEVEL_UP = 0.8;
+    const LEVEL_DOWN = 0.5;
+    // At most this share of a round is spent on concepts due for review
+    const DUE_SHARE = 0.5;
+    const REVIEW_PER_CONCEPT = 2;
+
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const difficultyOf = item => (LEVELS.includes(item.difficulty) ? item.difficulty : DEFAULT_DIFFICULTY);
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ---------- Validation
+
+    // Returns { valid, errors, warnings }, each { path, message }
+    function validate(bank) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+        const warn = (path, message) => warnings.push({ path, message });
+
+        if (!isObject(bank)) return { valid: false, errors: [{ path: '', message: 'A bank must be a JSON object' }], warnings };
+        if (bank.format !== FORMAT) error('format', `format must be "${FORMAT}"`);
+        if (bank.version !== VERSION) error('version', `version must be ${VERSION}`);
+        if (typeof bank.activity !== 'string' || !ID_PATTERN.test(bank.activity)) error('activity', 'activity must be an activities.json id');
+        if (typeof bank.title !== 'string' || !bank.title.trim()) error('title', 'title is required');
+        if (bank.size != null && !(Number.isInteger(bank.size) && bank.size > 0)) error('size', 'size must be a whole number above 0');
+
+        const concepts = Array.isArray(bank.concepts) ? bank.concepts : [];
+        if (!Array.isArray(bank.concepts)) error('concepts', 'concepts must be a list');
+        else if (concepts.length < 2) error('concepts', 'A bank needs at least 2 concepts to choose between');
+        const conceptIds = new Set();
+        concepts.forEach((concept, i) => {
+            const path = `concepts[${i}]`;
+            if (!isObject(concept)) return error(path, 'Each concept must be an object');
+            if (typeof concept.id !== 'string' || !ID_PATTERN.test(concept.id)) error(`${path}.id`, 'id must use only letters, digits and dashes');
+            else if (conceptIds.has(concept.id)) error(`${path}.id`, `Duplicate concept id "${concept.id}"`);
+            else conceptIds.add(concept.id);
+            if (typeof concept.label !== 'string' || !concept.label.trim()) error(`${path}.label`, 'label is required');
+        });
+
+        const items = Array.isArray(bank.items) ? bank.items : [];
+        if (!Array.isArray(bank.items) || !items.length) error('items', 'items must be a list with at least one item');
+        const itemIds = new Set();
+        items.forEach((item, i) => {
+            const path = `items[${i}]`;
+            if (!isObject(item)) return error(path, 'Each item must be an object');
+            if (typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) error(`${path}.id`, 'id must use only letters, digits and dashes');
+            else if (itemIds.has(item.id)) error(`${path}.id`, `Duplicate item id "${item.id}"`);
+            else itemIds.add(item.id);
+            if (typeof item.text !== 'string' || !item.text.trim()) error(`${path}.text`, 'text is required');
+            if (!conceptIds.has(item.concept)) error(`${path}.concept`, `There is no concept with id "${item.concept}"`);
+            if (item.difficulty != null && !LEVELS.includes(item.difficulty)) error(`${path}.difficulty`, 'difficulty must be 1, 2 or 3');
+            if (item.feedback != null && typeof item.feedback !== 'string' &&
+                !(isObject(item.feedback) && ['correct', 'incorrect'].every(k => item.feedback[k] == null || typeof item.feedback[k] === 'string'))) {
+                error(`${path}.feedback`, 'feedback must be text, or { "correct", "incorrect" }');
+            }
+        });
+
+        concepts.forEach((concept, i) => {
+            if (isObject(concept) && conceptIds.has(concept.id) && !items.some(item => isObject(item) && item.concept === concept.id)) {
+                warn(`concepts[${i}]`, `No item tests "${concept.label || concept.id}"`);
+            }
+        });
+        if (Number.isInteger(bank.size) && bank.size > items.length) warn('size', `size is ${bank.size} but there are only ${items.length} items`);
+
+        return { valid: !errors.length, errors, warnings };
+    }
+
+    // ---------- Looking things up
+
+    const concept = (bank, id) => bank.concepts.find(c => c.id === id) || null;
+    const item = (bank, id) => bank.items.find(i => i.id === id) || null;
+
+    // The feedback for an answer, whichever form the bank gives it in
+    function feedbackFor(entry, correct) {
+        const feedback = entry.feedback;
+        if (!feedback) return '';
+        if (typeof feedback === 'string') return feedback;
+        return (correct ? feedback.correct : feedback.incorrect) || feedback.correct || feedback.incorrect || '';
+    }
+
+    // ---------- Drawing rounds
+
+    // Fisher-Yates; `random` can be seeded for previews and checks
+    function shuffle(list, random) {
+        const next = random || Math.random;
+        const out = list.slice();
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+
+    // Picks one entry with probability proportional to its weight
+    function pick(entries, random) {
+        const total = entries.reduce((sum, e) => sum + e.weight, 0);
+        let at = random() * total;
+        for (const e of entries) {
+            at -= e.weight;
+            if (at <= 0) return e;
+        }
+        return entries[entries.length - 1];
+    }
+
+    function freshHistory() {
+        return { attempts: 0, level: 1, concepts: {}, lastItems: [] };
+    }
+
+    const roundSize = (bank, options) => Math.min(bank.items.length, (options && options.size) || bank.size || DEFAULT_SIZE);
+
+    // Concepts whose spaced review falls on this attempt, most overdue first
+    function dueConcepts(bank, history) {
+        return Object.keys(history.concepts)
+            .filter(id => concept(bank, id) && history.concepts[id].due <= history.attempts)
+            .sort((a, b) => history.concepts[a].due - history.concepts[b].due);
+    }
+
+    // Items near the learner's level are likeliest, concepts they get wrong
+    // come up more often, and items from their last attempt are avoided
+    function weight(entry, history, level) {
+        const stats = history.concepts[entry.concept];
+        const struggle = stats && stats.seen ? stats.wrong / stats.seen : 0;
+        const distance = Math.abs(difficultyOf(entry) - level);
+        const recent = history.lastItems.includes(entry.id) ? 0.2 : 1;
+        return Math.pow(3, -distance) * (1 + struggle * 2) * recent;
+    }
+
+    // A shuffled practice round: one item for each concept due for review,
+    // up to half the round and no harder than the current level, then a
+    // weighted draw for the rest, covering as many concepts as possible
+    function draw(bank, history, options) {
+        const opts = Object.assign({ random: Math.random }, options);
+        const past = Object.assign(freshHistory(), history);
+        const level = LEVELS.includes(past.level) ? past.level : 1;
+        const size = roundSize(bank, opts);
+        const chosen = [];
+        const reviewFor = new Set();
+        const taken = entry => chosen.some(c => c.id === entry.id);
+
+        dueConcepts(bank, past).slice(0, Math.floor(size * DUE_SHARE)).forEach(id => {
+            const candidates = bank.items.filter(i => i.concept === id && difficultyOf(i) <= level);
+            const pool = candidates.length ? candidates : bank.items.filter(i => i.concept === id);
+            if (!pool.length) return;
+            const entry = pick(pool.map(e => ({ entry: e, weight: weight(e, past, level) })), opts.random).entry;
+            chosen.push(entry);
+            reviewFor.add(entry.id);
+        });
+
+        while (chosen.length < size) {
+            const covered = new Set(chosen.map(c => c.concept));
+            const remaining = bank.items.filter(i => !taken(i));
+            const unseen = remaining.filter(i => !covered.has(i.concept));
+            const pool = unseen.length ? unseen : remaining;
+            chosen.push(pick(pool.map(entry => ({ entry, weight: weight(entry, past, level) })), opts.random).entry);
+        }
+
+        return {
+            kind: 'practice',
+            level,
+            items: shuffle(chosen, opts.random).map(entry => Object.assign({}, entry, { review: reviewFor.has(entry.id) }))
+        };
+    }
+
+    // ---------- Marking and recording
+
+    // answers maps item id -> the concept id the learner chose first
+    function mark(bank, round, answers) {
+        const given = answers || {};
+        const results = round.items.map(entry => {
+            const answer = given[entry.id] || null;
+            return { item: entry, answer, correct: answer === entry.concept };
+        });
+        const missed = [];
+        results.forEach(r => {
+            if (!r.correct && !missed.includes(r.item.concept)) missed.push(r.item.concept);
+        });
+        return { kind: round.kind, level: round.level, score: results.filter(r => r.correct).length, max: results.length, results, missed };
+    }
+
+    // The history after a marked round. Practice rounds move the level and
+    // the spaced schedule; review rounds only add to the concept tallies.
+    function record(bank, history, marked) {
+        const next = JSON.parse(JSON.stringify(Object.assign(freshHistory(), history)));
+        const practice = marked.kind !== 'review';
+        if (practice) next.attempts++;
+        const byConcept = {};
+        marked.results.forEach(r => {
+            const id = r.item.concept;
+            byConcept[id] = byConcept[id] || { seen: 0, wrong: 0 };
+            byConcept[id].seen++;
+            if (!r.correct) byConcept[id].wrong++;
+        });
+        Object.keys(byConcept).forEach(id => {
+            const stats = next.concepts[id] || { seen: 0, wrong: 0, box: 1, due: next.attempts };
+            stats.seen += byConcept[id].seen;
+            stats.wrong += byConcept[id].wrong;
+            if (practice) {
+                stats.box = byConcept[id].wrong ? 1 : Math.min(MAX_BOX, stats.box + 1);
+                stats.due = next.attempts + (byConcept[id].wrong ? 0 : Math.pow(2, stats.box - 1));
+            }
+            next.concepts[id] = stats;
+        });
+        if (practice) {
+            const accuracy = marked.max ? marked.score / marked.max : 0;
+            if (accuracy >= LEVEL_UP) next.level = Math.min(LEVELS[LEVELS.length - 1], next.level + 1);
+            else if (accuracy < LEVEL_DOWN) next.level = Math.max(LEVELS[0], next.level - 1);
+            next.lastItems = marked.results.map(r => r.item.id);
+        }
+        return next;
+    }
+
+    // A round straight after practice on the concepts just missed, with
+    // items not in that round where the bank has them; null when none missed
+    function review(bank, marked, options) {
+        if (!marked.missed.length) return null;
+        const opts = Object.assign({ random: Math.random, perConcept: REVIEW_PER_CONCEPT }, options);
+        const used = new Set(marked.results.map(r => r.item.id));
+        const items = [];
+        marked.missed.forEach(id => {
+            const all = bank.items.filter(i => i.concept === id);
+            const fresh = all.filter(i => !used.has(i.id));
+            shuffle(fresh.length ? fresh : all, opts.random).slice(0, opts.perConcept).forEach(entry => items.push(entry));
+        });
+        return { kind: 'review', level: marked.level, items: shuffle(items, opts.random).map(entry => Object.assign({}, entry, { review: true })) };
+    }
+
+    // A round in the shape the progress store saves; answers ride along
+    function roundState(round, answers) {
+        return { kind: round.kind, level: round.level, items: round.items.map(i => ({ id: i.id, review: !!i.review })), answers: Object.assign({}, answers) };
+    }
+
+    // The saved round back, dropping items the bank no longer has; null when none are left
+    function readRound(bank, state) {
+        if (!isObject(state) || !Array.isArray(state.items)) return null;
+        const items = state.items
+            .map(saved => saved && item(bank, saved.id) && Object.assign({}, item(bank, saved.id), { review: !!saved.review }))
+            .filter(Boolean);
+        if (!items.length) return null;
+        const answers = {};
+        Object.keys(isObject(state.answers) ? state.answers : {}).forEach(id => {
+            if (items.some(i => i.id === id) && concept(bank, state.answers[id])) answers[id] = state.answers[id];
+        });
+        return { round: { kind: state.kind === 'review' ? 'review' : 'practice', level: LEVELS.includes(state.level) ? state.level : 1, items }, answers };
+    }
+
+    // ---------- Storage
+
+    function storage() {
+        try {
+            return root.localStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function readJson(key) {
+        const s = storage();
+        try {
+            const raw = s && s.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function history(activity) {
+        const saved = readJson(HISTORY_PREFIX + activity);
+        return isObject(saved) ? Object.assign(freshHistory(), saved) : freshHistory();
+    }
+
+    function saveHistory(activity, value) {
+        const s = storage();
+        try {
+            if (s) s.setItem(HISTORY_PREFIX + activity, JSON.stringify(value));
+            return !!s;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function forgetHistory(activity) {
+        const s = storage();
+        if (s) s.removeItem(HISTORY_PREFIX + activity);
+    }
+
+    // ---------- Loading
+
+    // Accepts bank JSON, or an activity's HTML with its built-in bank inside
+    function parse(text) {
+        let json = String(text).trim();
+        if (json.startsWith('<')) {
+            const match = /<script[^>]*id=["']item-bank["'][^>]*>([\s\S]*?)<\/script>/i.exec(json);
+            if (!match) throw new Error('That page has no built-in item bank');
+            json = match[1];
+        }
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+
+    function builtIn() {
+        const el = root.document && root.document.getElementById('item-bank');
+        return el ? parse(el.textContent) : null;
+    }
+
+    // Keeps a custom bank for this activity in this browser
+    function use(bank, source) {
+        const s = storage();
+        if (!s) throw new Error('This browser is blocking storage, so the bank cannot be kept');
+        s.setItem(BANK_PREFIX + bank.activity, JSON.stringify({ source: source || null, loadedAt: new Date().toISOString(), bank }));
+    }
+
+    function forget(activity) {
+        const s = storage();
+        if (s) s.removeItem(BANK_PREFIX + activity);
+    }
+
+    // Returns the bank the activity should run now
+    function load(activity, options) {
+        const opts = Object.assign({ toolbar: true }, options);
+        const fallback = opts.builtIn || builtIn();
+        const saved = readJson(BANK_PREFIX + activity);
+        let bank = fallback;
+        let notice = null;
+        if (saved && saved.bank && saved.bank.activity === activity && validate(saved.bank).valid) {
+            bank = saved.bank;
+        } else if (saved) {
+            forget(activity);
+            notice = 'The loaded item bank no longer validates; using the built-in items';
+        }
+        if (opts.toolbar && root.document) mountToolbar(activity, bank, saved && bank === saved.bank ? saved.source : null, notice);
+        return bank;
+    }
+
+    // ---------- Toolbar
+
+    // A new bank means new items, so the activity starts again
+    function restart() {
+        const progress = root.QIHS && root.QIHS.progress && root.QIHS.progress.current;
+        if (progress) progress.restart();
+        else root.location.reload();
+    }
+
+    // The bank's buttons go in the page toolbar the progress store keeps
+    function mountToolbar(activity, bank, source, notice) {
+        const document = root.document;
+        const mount = () => {
+            const progress = root.QIHS && root.QIHS.progress;
+            if (!progress) return;
+            const bar = progress.toolbarGroup('Item bank', `
+                <span class="qihs-items-status" role="status" aria-live="polite"></span>
+                <button type="button" data-action="load" title="Practise with items from an item bank file">Load items…</button>
+                <button type="button" data-action="save" title="Download the items in use, to edit into a new bank">Save items</button>
+                <button type="button" data-action="reset" title="Go back to the items this activity came with"${source ? '' : ' hidden'}>Built-in items</button>
+                <input type="file" accept=".json,application/json" hidden>
+            `);
+
+            const status = bar.querySelector('.qihs-items-status');
+            status.textContent = notice || `Items: ${bank ? `${bank.title} (${bank.items.length})` : 'none'}${source ? ` from ${source}` : ''}`;
+            const fileInput = bar.querySelector('input[type="file"]');
+            bar.querySelector('[data-action="load"]').addEventListener('click', () => fileInput.click());
+            bar.querySelector('[data-action="save"]').addEventListener('click', () => {
+                const url = URL.createObjectURL(new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `${activity}-items.json`;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                URL.revokeObjectURL(url);
+            });
+            bar.querySelector('[data-action="reset"]').addEventListener('click', () => {
+                if (!confirm('Switch back to the built-in items? This starts the activity again.')) return;
+                forget(activity);
+                restart();
+            });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                file.text().then(text => {
+                    const loaded = parse(text);
+                    if (loaded.activity !== activity) throw new Error(`That bank is for "${loaded.activity}", not this activity`);
+                    const result = validate(loaded);
+                    if (!result.valid) throw new Error(`${result.errors.length} problem(s), first: ${result.errors[0].path} ${result.errors[0].message}`);
+                    if (!confirm(`Use "${loaded.title}" (${loaded.items.length} items)? This starts the activity again.`)) return;
+                    use(loaded, file.name);
+                    restart();
+                }).catch(err => { status.textContent = err.message || 'Could not read that file'; });
+            });
+        };
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mount);
+        else mount();
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        LEVELS,
+        validate,
+        concept,
+        item,
+        feedbackFor,
+        shuffle,
+        draw,
+        mark,
+        record,
+        review,
+        roundState,
+        readRound,
+        history,
+        saveHistory,
+        forgetHistory,
+        parse,
+        builtIn,
+        use,
+        forget,
+        load,
+        escapeHtml
+    };
+});
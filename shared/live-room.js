@@ -0,0 +1,235 @@
+// Live room client
+// Connects an activity to the live polling server (server/live-poll.js) so a
+// facilitator and a class can share one room. Exposed as window.QIHS.liveRoom.
+//
+//     const live = QIHS.liveRoom.connect();
+//     live.on('state', state => { ... });   // counts and averages for the room
+//     live.join('ABC123');                  // or live.create('Workshop 3')
+//     live.vote('systems-vulnerability', 'staffing', allOptions);
+//     live.publish('culture-pulse', { safety: 75, systems: 50 });
+//
+// The server is found from ?server=host:port, else the page's own host when
+// it was served over HTTP, else ws://localhost:8787. ?room=CODE is read by
+// `roomFromUrl()` so a join link can be shared on a slide.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.liveRoom = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const DEFAULT_PORT = 8787;
+    const PATH = '/live';
+    const VOTER_KEY = 'qihs.live.voter';
+    const HOST_KEY = 'qihs.live.host.';
+
+    function storage(kind) {
+        try {
+            return root[kind];
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function remember(kind, key, value) {
+        const s = storage(kind);
+        try {
+            if (s && value != null) s.setItem(key, value);
+            return s ? s.getItem(key) : null;
+        } catch (e) {
+            return value || null;
+        }
+    }
+
+    // A random id per browser, so voting again replaces the earlier vote
+    function voterId() {
+        let id = remember('localStorage', VOTER_KEY);
+        if (!id) {
+            id = Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 8)).join('-');
+            remember('localStorage', VOTER_KEY, id);
+        }
+        return id;
+    }
+
+    function serverUrl() {
+        const params = new URLSearchParams(root.location.search);
+        const explicit = params.get('server');
+        if (explicit) {
+            if (/^wss?:\/\//.test(explicit)) return explicit;
+            return `ws://${explicit.replace(/\/+$/, '')}${PATH}`;
+        }
+        if (/^https?:$/.test(root.location.protocol)) {
+            return `${root.location.protocol === 'https:' ? 'wss' : 'ws'}://${root.location.host}${PATH}`;
+        }
+        return `ws://localhost:${DEFAULT_PORT}${PATH}`;
+    }
+
+    function roomFromUrl() {
+        const code = new URLSearchParams(root.location.search).get('room');
+        return code ? code.trim().toUpperCase() : null;
+    }
+
+    // Share link for a room, pointing at the same page
+    function joinLink(code) {
+        const url = new URL(root.location.href);
+        url.searchParams.set('room', code);
+        return url.toString();
+    }
+
+    function connect(options) {
+        const opts = Object.assign({ url: null }, options);
+        const listeners = {};
+        const voter = voterId();
+        let socket = null;
+        let retry = 1000;
+        let pending = [];
+        let joined = false;
+        let stopped = false;
+        let creating = null;
+
+        const emit = (event, ...args) => (listeners[event] || []).forEach(fn => fn(...args));
+
+        const live = {
+            room: null,
+            hostKey: null,
+            state: null,
+            url: opts.url || serverUrl(),
+
+            get connected() {
+                return !!socket && socket.readyState === 1;
+            },
+
+            get isHost() {
+                return !!live.hostKey;
+            },
+
+            on(event, fn) {
+                (listeners[event] = listeners[event] || []).push(fn);
+                return live;
+            },
+
+            create(title) {
+                creating = { type: 'create', title, voter };
+                live.room = null;
+                joined = false;
+                if (live.connected) socket.send(JSON.stringify(creating));
+                else open();
+            },
+
+            join(code) {
+                live.room = String(code || '').trim().toUpperCase();
+                live.hostKey = remember('sessionStorage', HOST_KEY + live.room);
+                joined = false;
+                creating = null;
+                if (live.connected) rejoin();
+                else open();
+            },
+
+            vote(question, option, options) {
+                send({ type: 'vote', question, option, options });
+            },
+
+            publish(source, scores) {
+                send({ type: 'publish', source, scores });
+            },
+
+            reset() {
+                send({ type: 'reset', hostKey: live.hostKey });
+            },
+
+            close() {
+                send({ type: 'close', hostKey: live.hostKey });
+            },
+
+            leave() {
+                stopped = true;
+                live.room = null;
+                live.hostKey = null;
+                if (socket) socket.close();
+                emit('status', 'left');
+            }
+        };
+
+        // Room messages wait until the room is (re)joined
+        function send(message) {
+            message.voter = voter;
+            if (live.connected && joined) socket.send(JSON.stringify(message));
+            else pending.push(message);
+        }
+
+        function rejoin() {
+            socket.send(JSON.stringify({ type: 'join', room: live.room, hostKey: live.hostKey || undefined, voter }));
+        }
+
+        function open() {
+            stopped = false;
+            if (socket && socket.readyState <= 1) return;
+            emit('status', 'connecting');
+            try {
+                socket = new root.WebSocket(live.url);
+            } catch (e) {
+                emit('status', 'offline', e.message);
+                return;
+            }
+            socket.onopen = () => {
+                retry = 1000;
+                emit('status', 'connected');
+                if (creating) socket.send(JSON.stringify(creating));
+                else if (live.room) rejoin();
+            };
+            socket.onmessage = event => {
+                let msg;
+                try {
+                    msg = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                if (msg.type === 'created') {
+                    creating = null;
+                    live.room = msg.room;
+                    live.hostKey = msg.hostKey;
+                    remember('sessionStorage', HOST_KEY + msg.room, msg.hostKey);
+                } else if (msg.type === 'joined') {
+                    live.room = msg.room;
+                    joined = true;
+                    const queued = pending;
+                    pending = [];
+                    queued.forEach(m => send(m));
+                    emit('joined', msg);
+                } else if (msg.type === 'state') {
+                    live.state = msg;
+                    emit('state', msg);
+                } else if (msg.type === 'closed') {
+                    joined = false;
+                    live.room = null;
+                    emit('closed', msg);
+                } else if (msg.type === 'error') {
+                    if (!joined && !creating) live.room = null; // the join itself failed
+                    emit('error', msg.message);
+                }
+            };
+            socket.onclose = () => {
+                joined = false;
+                if (stopped) return;
+                emit('status', 'offline');
+                // Reconnect with backoff and rejoin, so a dropped Wi-Fi connection recovers by itself
+                setTimeout(() => { if (!stopped && (live.room || creating)) open(); }, retry);
+                retry = Math.min(retry * 2, 15000);
+            };
+        }
+
+        return live;
+    }
+
+    return {
+        DEFAULT_PORT,
+        connect,
+        serverUrl,
+        roomFromUrl,
+        joinLink
+    };
+});
@@ -0,0 +1,530 @@
+// LMS adapter
+// Reports completion, score and interactions from an activity to whatever
+// learning platform launched it: a SCORM 1.2 or SCORM 2004 API found in a
+// parent or opener window, an xAPI LRS given by the launch URL, or both.
+// Exposed as window.QIHS.lms; every call is a safe no-op when the activity
+// is opened on its own or inside the site.
+//
+//     const lms = QIHS.lms.start({ id: 'methodology-matching', title: '...' });
+//     lms.interaction({ id: 'scenario-1', type: 'choice', response: 'lean',
+//                       correct: 'lean', result: 'correct' });
+//     lms.score(3, 4);                   // progress so far (optional)
+//     lms.complete({ score: 3, max: 4 }); // final result
+//
+// Pass `api` to use a specific SCORM API object (e.g. the mock in
+// tools/mock-lms.js), and `xapi: { endpoint, auth, actor, send }` to report
+// to an LRS without launch parameters; `send(statement)` replaces the HTTP
+// request, which is how the mock LRS captures statements.
+//
+// xAPI launch parameters follow the common convention:
+//     ?endpoint=https://lrs/xapi/&auth=Basic%20...&actor={...}&activity_id=...&registration=...
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.lms = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const XAPI_VERSION = '1.0.3';
+    const QUEUE_KEY = 'qihs.lms.xapi-queue';
+    const VERB_BASE = 'http://adlnet.gov/expapi/verbs/';
+    const INTERACTION_TYPES = ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching',
+        'performance', 'sequencing', 'likert', 'numeric', 'other'];
+
+    let current = null;
+
+    // ---------- Finding the LMS
+
+    // The standard ADL search: walk up the frames, then the opener's frames
+    function findApi(win) {
+        const search = start => {
+            let w = start;
+            for (let depth = 0; w && depth < 10; depth++) {
+                try {
+                    if (w.API_1484_11) return { api: w.API_1484_11, version: '2004' };
+                    if (w.API) return { api: w.API, version: '1.2' };
+                } catch (e) {
+                    return null; // cross-origin frame
+                }
+                if (!w.parent || w.parent === w) break;
+                w = w.parent;
+            }
+            return null;
+        };
+        win = win || root;
+        if (!win) return null;
+        let found = search(win);
+        try {
+            if (!found && win.top && win.top.opener) found = search(win.top.opener);
+        } catch (e) {
+            // cross-origin opener
+        }
+        return found;
+    }
+
+    function apiVersion(api) {
+        return typeof api.Initialize === 'function' ? '2004' : '1.2';
+    }
+
+    function launchParams() {
+        try {
+            const params = new URLSearchParams(root.location.search);
+            if (!params.get('endpoint')) return null;
+            let actor = null;
+            try {
+                actor = JSON.parse(params.get('actor'));
+            } catch (e) {
+                actor = null;
+            }
+            // Some launchers send actor.name and actor.mbox as arrays
+            if (actor && Array.isArray(actor.name)) actor.name = actor.name[0];
+            if (actor && Array.isArray(actor.mbox)) actor.mbox = actor.mbox[0];
+            return {
+                endpoint: params.get('endpoint'),
+                auth: params.get('auth'),
+                actor,
+                activityId: params.get('activity_id'),
+                registration: params.get('registration')
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ---------- Value formatting
+
+    function identifier(value) {
+        return String(value).trim().replace(/[^A-Za-z0-9_.:-]+/g, '-').slice(0, 250) || 'item';
+    }
+
+    // Choice and matching answers are lists of identifiers in both SCORM and
+    // xAPI; the delimiters differ between SCORM 1.2 and everything later.
+    function formatResponse(type, response, version) {
+        if (response == null) return '';
+        const legacy = version === '1.2';
+        const list = Array.isArray(response) ? response : [response];
+        if (type === 'choice' || type === 'sequencing') {
+            return list.map(identifier).join(legacy ? ',' : '[,]');
+        }
+        if (type === 'matching') {
+            return list.map(pair => [].concat(pair).map(identifier).join(legacy ? '.' : '[.]'))
+                .join(legacy ? ',' : '[,]');
+        }
+        if (type === 'true-false') {
+            const value = list[0] === true || list[0] === 'true' || list[0] === 't';
+            return legacy ? (value ? 't' : 'f') : String(value);
+        }
+        return list.join(', ').slice(0, legacy ? 255 : 4000);
+    }
+
+    function resultValue(result, version) {
+        if (result === true || result === 'correct') return 'correct';
+        if (result === false || result === 'incorrect' || result === 'wrong') return version === '1.2' ? 'wrong' : 'incorrect';
+        if (result === 'neutral' || result === 'partial') return 'neutral';
+        return null;
+    }
+
+    function interactionType(type, version) {
+        const t = INTERACTION_TYPES.includes(type) ? type : 'other';
+        // SCORM 1.2 has no free-text or catch-all type of its own
+        if (version === '1.2' && (t === 'other' || t === 'long-fill-in')) return 'fill-in';
+        return t;
+    }
+
+    function pad(n, width) {
+        return String(Math.floor(n)).padStart(width || 2, '0');
+    }
+
+    function timespan12(ms) {
+        const s = ms / 1000;
+        return `${pad(s / 3600)}:${pad((s % 3600) / 60)}:${pad(s % 60)}`;
+    }
+
+    function duration(ms) {
+        return `PT${Math.round(ms / 10) / 100}S`;
+    }
+
+    function time12(date) {
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    function scaled(score) {
+        const range = score.max - score.min;
+        return range > 0 ? Math.max(-1, Math.min(1, (score.raw - score.min) / range)) : 0;
+    }
+
+    function uuid() {
+        if (root.crypto && typeof root.crypto.randomUUID === 'function') return root.crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // ---------- SCORM transports
+
+    function scormTransport(api, version, errors) {
+        const v12 = version === '1.2';
+        const call = (name12, name2004, ...args) => {
+            const name = v12 ? name12 : name2004;
+            try {
+                const result = api[name](...args);
+                if (String(result) === 'false') {
+                    const code = api[v12 ? 'LMSGetLastError' : 'GetLastError']();
+                    errors.push(`${name}(${args.join(', ')}) failed with error ${code}`);
+                }
+                return result;
+            } catch (e) {
+                errors.push(`${name} threw: ${e.message}`);
+                return '';
+            }
+        };
+        const get = element => String(call('LMSGetValue', 'GetValue', element) || '');
+        const set = (element, value) => call('LMSSetValue', 'SetValue', element, String(value));
+        const commit = () => call('LMSCommit', 'Commit', '');
+        let interactions = 0;
+        let masteryScore = null;
+
+        return {
+            mode: v12 ? 'scorm12' : 'scorm2004',
+
+            initialize() {
+                call('LMSInitialize', 'Initialize', '');
+                interactions = parseInt(get('cmi.interactions._count'), 10) || 0;
+                if (v12) {
+                    const mastery = parseFloat(get('cmi.student_data.mastery_score'));
+                    if (!isNaN(mastery)) masteryScore = mastery / 100;
+                    if (get('cmi.core.lesson_status') === 'not attempted') set('cmi.core.lesson_status', 'incomplete');
+                } else {
+                    const mastery = parseFloat(get('cmi.scaled_passing_score'));
+                    if (!isNaN(mastery)) masteryScore = mastery;
+                    const status = get('cmi.completion_status');
+                    if (status === 'not attempted' || status === 'unknown' || !status) set('cmi.completion_status', 'incomplete');
+                }
+                commit();
+            },
+
+            mastery() {
+                return masteryScore;
+            },
+
+            interaction(item) {
+                const prefix = `cmi.interactions.${interactions++}.`;
+                const type = interactionType(item.type, version);
+                set(prefix + 'id', identifier(item.id));
+                set(prefix + 'type', type);
+                if (v12) {
+                    set(prefix + 'time', time12(item.timestamp));
+                } else {
+                    set(prefix + 'timestamp', item.timestamp.toISOString().replace(/\.\d+Z$/, 'Z'));
+                    if (item.description) set(prefix + 'description', String(item.description).slice(0, 250));
+                }
+                if (item.correct != null) {
+                    set(prefix + 'correct_responses.0.pattern', formatResponse(item.type, item.correct, version));
+                }
+                set(prefix + (v12 ? 'student_response' : 'learner_response'), formatResponse(item.type, item.response, version));
+                const result = resultValue(item.result, version);
+                if (result) set(prefix + 'result', result);
+                commit();
+            },
+
+            score(score) {
+                const base = v12 ? 'cmi.core.score.' : 'cmi.score.';
+                set(base + 'min', score.min);
+                set(base + 'max', score.max);
+                set(base + 'raw', score.raw);
+                if (!v12) set('cmi.score.scaled', Math.round(scaled(score) * 10000) / 10000);
+                commit();
+            },
+
+            complete(score, passed) {
+                if (score) this.score(score);
+                if (v12) {
+                    set('cmi.core.lesson_status', passed == null ? 'completed' : (passed ? 'passed' : 'failed'));
+                } else {
+                    set('cmi.completion_status', 'completed');
+                    set('cmi.success_status', passed == null ? 'unknown' : (passed ? 'passed' : 'failed'));
+                }
+                commit();
+            },
+
+            finish(elapsed) {
+                if (v12) {
+                    set('cmi.core.session_time', timespan12(elapsed));
+                    set('cmi.core.exit', '');
+                } else {
+                    set('cmi.session_time', duration(elapsed));
+                    set('cmi.exit', 'normal');
+                }
+                commit();
+                call('LMSFinish', 'Terminate', '');
+            }
+        };
+    }
+
+    // ---------- xAPI transport
+
+    function readQueue() {
+        try {
+            return JSON.parse(root.localStorage.getItem(QUEUE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeQueue(queue) {
+        try {
+            if (queue.length) root.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+            else root.localStorage.removeItem(QUEUE_KEY);
+        } catch (e) {
+            // storage blocked; statements stay queued in memory only
+        }
+    }
+
+    function headersFor(auth) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': XAPI_VERSION
+        };
+        if (auth) headers.Authorization = auth;
+        return headers;
+    }
+
+    function post(endpoint, auth, statement) {
+        return root.fetch(endpoint + 'statements', {
+            method: 'POST',
+            headers: headersFor(auth),
+            body: JSON.stringify(statement)
+        }).then(response => {
+            if (!response.ok) throw new Error(`LRS responded ${response.status}`);
+        });
+    }
+
+    // In the offline app bundle (shared/offline.js) a statement that could not
+    // be sent goes to the service worker's outbox, which sends it when the
+    // connection returns even if the page has been closed. Elsewhere it waits
+    // in localStorage for the next flush.
+    function keep(entry) {
+        const offline = root.QIHS && root.QIHS.offline;
+        const store = () => writeQueue(readQueue().concat(entry));
+        if (!offline || !root.navigator || !root.navigator.serviceWorker || !root.navigator.serviceWorker.controller) return store();
+        offline.queue({
+            url: entry.endpoint + 'statements',
+            method: 'POST',
+            headers: headersFor(entry.auth),
+            body: JSON.stringify(entry.statement)
+        }).catch(store);
+    }
+
+    // Statements that could not be sent are kept and retried, so results
+    // recorded offline still reach the LRS. Statement ids make resends safe.
+    function flush() {
+        const queue = readQueue();
+        if (!queue.length || typeof root.fetch !== 'function') return Promise.resolve(0);
+        writeQueue([]);
+        const failed = [];
+        return Promise.all(queue.map(entry => post(entry.endpoint, entry.auth, entry.statement)
+            .catch(() => failed.push(entry))))
+            .then(() => {
+                writeQueue(readQueue().concat(failed));
+                return queue.length - failed.length;
+            });
+    }
+
+    function xapiTransport(cfg, config, errors) {
+        const endpoint = cfg.endpoint ? cfg.endpoint.replace(/\/?$/, '/') : '';
+        const activityId = cfg.activityId || config.activityId ||
+            String(root.location && root.location.href || `urn:qihs:${config.id}`).split(/[?#]/)[0];
+        const actor = cfg.actor || {
+            objectType: 'Agent',
+            name: 'Anonymous learner',
+            account: { homePage: root.location ? root.location.origin : 'urn:qihs', name: 'anonymous' }
+        };
+        const lang = config.lang || 'en-GB';
+        const send = cfg.send || (statement => post(endpoint, cfg.auth, statement).catch(err => {
+            errors.push(`xAPI: ${err.message}`);
+            keep({ endpoint, auth: cfg.auth, statement });
+        }));
+        let masteryScore = null;
+
+        const statement = (verb, object, result) => {
+            const s = {
+                id: uuid(),
+                actor,
+                verb: { id: VERB_BASE + verb, display: { [lang]: verb } },
+                object: object || {
+                    objectType: 'Activity',
+                    id: activityId,
+                    definition: {
+                        type: 'http://adlnet.gov/expapi/activities/lesson',
+                        name: { [lang]: config.title || config.id }
+                    }
+                },
+                context: { contextActivities: {} },
+                timestamp: new Date().toISOString()
+            };
+            if (object) s.context.contextActivities.parent = [{ id: activityId, objectType: 'Activity' }];
+            if (cfg.registration) s.context.registration = cfg.registration;
+            if (result) s.result = result;
+            return Promise.resolve(send(s));
+        };
+
+        const scoreResult = score => ({
+            raw: score.raw,
+            min: score.min,
+            max: score.max,
+            scaled: Math.round(scaled(score) * 10000) / 10000
+        });
+
+        return {
+            mode: 'xapi',
+
+            initialize() {
+                statement('initialized');
+                flush();
+            },
+
+            mastery() {
+                return masteryScore;
+            },
+
+            interaction(item) {
+                const type = interactionType(item.type, '2004');
+                const definition = {
+                    type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                    interactionType: type
+                };
+                if (item.description) definition.description = { [lang]: String(item.description) };
+                if (item.correct != null) definition.correctResponsesPattern = [formatResponse(item.type, item.correct, '2004')];
+                const result = { response: formatResponse(item.type, item.response, '2004') };
+                const outcome = resultValue(item.result, '2004');
+                if (outcome === 'correct') result.success = true;
+                if (outcome === 'incorrect') result.success = false;
+                statement('answered', {
+                    objectType: 'Activity',
+                    id: `${activityId}#${encodeURIComponent(identifier(item.id))}`,
+                    definition
+                }, result);
+            },
+
+            score(score) {
+                statement('progressed', null, { score: scoreResult(score) });
+            },
+
+            complete(score, passed) {
+                const result = { completion: true };
+                if (score) result.score = scoreResult(score);
+                if (passed != null) result.success = passed;
+                statement('completed', null, result);
+                if (passed != null) statement(passed ? 'passed' : 'failed', null, { score: result.score, success: passed });
+            },
+
+            finish(elapsed) {
+                statement('terminated', null, { duration: duration(elapsed) });
+            }
+        };
+    }
+
+    // ---------- Session
+
+    function normaliseScore(raw, max, min) {
+        const score = { raw: Number(raw), max: max == null ? 100 : Number(max), min: min == null ? 0 : Number(min) };
+        if (!Number.isFinite(score.raw)) return null;
+        return score;
+    }
+
+    function start(config) {
+        if (!config || !config.id) throw new Error('QIHS.lms.start needs an activity id');
+        if (current) current.finish();
+
+        const errors = [];
+        const transports = [];
+        const found = config.api
+            ? { api: config.api, version: apiVersion(config.api) }
+            : (config.scorm === false ? null : findApi(config.window));
+        if (found) transports.push(scormTransport(found.api, found.version, errors));
+        const xapi = config.xapi || launchParams();
+        if (xapi && (xapi.endpoint || xapi.send)) transports.push(xapiTransport(xapi, config, errors));
+
+        const startedAt = Date.now();
+        let finished = false;
+        let completed = false;
+        const each = (method, ...args) => transports.forEach(t => {
+            try {
+                t[method](...args);
+            } catch (e) {
+                errors.push(`${t.mode} ${method}: ${e.message}`);
+            }
+        });
+
+        const session = {
+            id: config.id,
+            mode: transports.length ? transports.map(t => t.mode).join('+') : 'none',
+            connected: transports.length > 0,
+            errors,
+
+            // Pass mark as a fraction: the LMS's mastery score wins over config
+            get passMark() {
+                for (const t of transports) {
+                    const m = t.mastery();
+                    if (m != null) return m;
+                }
+                return config.passMark != null ? config.passMark : null;
+            },
+
+            get completed() {
+                return completed;
+            },
+
+            interaction(item) {
+                if (finished || !item || item.id == null) return;
+                each('interaction', Object.assign({ timestamp: new Date() }, item));
+            },
+
+            score(raw, max, min) {
+                const score = normaliseScore(raw, max, min);
+                if (finished || !score) return;
+                each('score', score);
+            },
+
+            // `passed` defaults to comparing the score with the pass mark, if any
+            complete(result) {
+                if (finished) return;
+                result = result || {};
+                const score = result.score != null ? normaliseScore(result.score, result.max, result.min) : null;
+                let passed = result.passed;
+                const mark = session.passMark;
+                if (passed == null && score && mark != null) passed = scaled(score) >= mark;
+                completed = true;
+                each('complete', score, passed == null ? null : !!passed);
+            },
+
+            finish() {
+                if (finished) return;
+                finished = true;
+                each('finish', Date.now() - startedAt);
+                if (current === session) current = null;
+            }
+        };
+
+        each('initialize');
+        if (root.addEventListener) root.addEventListener('pagehide', session.finish);
+        current = session;
+        return session;
+    }
+
+    if (root.addEventListener) root.addEventListener('online', () => { flush(); });
+
+    return {
+        XAPI_VERSION,
+        start,
+        findApi,
+        flush,
+        formatResponse,
+        get current() { return current; }
+    };
+});
@@ -0,0 +1,240 @@
+// Offline support
+// The page side of the offline app bundle that tools/pwa-build.js builds:
+// registers the service worker, offers a reload when a new version of the
+// library has been downloaded, and keeps an outbox of requests that failed
+// for want of a connection (xAPI results from shared/lms-adapter.js). The
+// service worker replays the outbox through Background Sync when the
+// connection returns, even if the learner has closed the activity; browsers
+// without Background Sync replay it from the page when they come back online.
+// Exposed as window.QIHS.offline, and loaded into the service worker with
+// importScripts so both sides share the outbox code.
+//
+//     QIHS.offline.register();                 // the build adds this to every page
+//     QIHS.offline.queue({ url, method: 'POST', headers, body });
+//     QIHS.offline.replay();                   // resolves to { sent, dropped, left }
+//
+// The outbox is kept in IndexedDB (database qihs-offline, store outbox),
+// the one store that pages and the service worker can both reach. Saved
+// activity work needs no outbox: QIHS.progress keeps it in this browser,
+// which works the same offline.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.offline = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const DB_NAME = 'qihs-offline';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+    const SYNC_TAG = 'qihs-outbox';
+    const SCRIPT = 'sw.js';
+    // Client errors that resending will not fix; 408 and 429 are worth retrying
+    const permanent = status => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+    // ---------- Outbox
+
+    function open() {
+        return new Promise((resolve, reject) => {
+            if (!root.indexedDB) return reject(new Error('This browser has no IndexedDB, so requests cannot be kept for later'));
+            const request = root.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Runs `work(store)` in one transaction and resolves with its request's result
+    function withStore(mode, work) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = work(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            tx.onerror = tx.onabort = () => {
+                db.close();
+                reject(tx.error);
+            };
+        }));
+    }
+
+    const entries = () => withStore('readonly', store => store.getAll());
+    const remove = id => withStore('readwrite', store => store.delete(id));
+
+    // Keeps a request to send once there is a connection; resolves to its outbox id
+    function queue(request) {
+        if (!request || typeof request.url !== 'string' || !request.url) return Promise.reject(new Error('A queued request needs a url'));
+        const entry = {
+            url: request.url,
+            method: request.method || 'POST',
+            headers: Object.assign({}, request.headers),
+            body: request.body == null ? null : String(request.body),
+            queuedAt: new Date().toISOString()
+        };
+        return withStore('readwrite', store => store.add(entry)).then(id => {
+            requestSync();
+            return id;
+        });
+    }
+
+    // Sends every queued request in order. Delivered ones, and ones the
+    // server refuses outright, leave the outbox; the rest wait for next time.
+    function replay() {
+        const result = { sent: 0, dropped: 0, left: 0 };
+        if (typeof root.fetch !== 'function') return Promise.resolve(result);
+        return entries().then(list => list.reduce((done, entry) => done.then(() =>
+            root.fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body })
+                .then(response => {
+                    if (response.ok) result.sent++;
+                    else if (permanent(response.status)) result.dropped++;
+                    else throw new Error(`Server responded ${response.status}`);
+                    return remove(entry.id);
+                })
+                .catch(() => { result.left++; })
+        ), Promise.resolve())).then(() => result);
+    }
+
+    // Asks the service worker to replay when the connection is back, or
+    // replays from the page where Background Sync is not supported
+    function requestSync() {
+        const nav = root.navigator;
+        const replayHere = () => (nav && nav.onLine === false ? Promise.resolve(null) : replay());
+        if (!nav || !nav.serviceWorker || !nav.serviceWorker.controller) return replayHere();
+        return nav.serviceWorker.ready
+            .then(registration => (registration.sync ? registration.sync.register(SYNC_TAG) : replayHere()))
+            .catch(replayHere);
+    }
+
+    // ---------- Service worker registration
+
+    const PROMPT_CSS = `
+        .qihs-offline { position: fixed; left: 12px; bottom: 12px; z-index: 10000; display: flex; align-items: center; gap: 8px; max-width: calc(100vw - 24px);
+            padding: 8px 12px; background: #1f2937; color: #f9fafb; border-radius: 8px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+            font: 13px/1.4 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+        .qihs-offline button { font: inherit; padding: 4px 10px; border: 1px solid #9ca3af; border-radius: 6px; background: #f9fafb; color: #111827; cursor: pointer; }
+        .qihs-offline button[data-action="later"] { background: transparent; color: #f9fafb; }
+        .qihs-offline button:focus-visible { outline: 2px solid #93c5fd; outline-offset: 2px; }
+        @media print { .qihs-offline { display: none; } }
+    `;
+
+    let bar = null;
+
+    // One small bar at a time, bottom left so it clears the other toolbars
+    function notice(message, actions) {
+        const document = root.document;
+        if (!bar) {
+            const style = document.createElement('style');
+            style.textContent = PROMPT_CSS;
+            document.head.appendChild(style);
+            bar = document.createElement('div');
+            bar.className = 'qihs-offline';
+            bar.setAttribute('role', 'status');
+            bar.setAttribute('aria-live', 'polite');
+            bar.setAttribute('data-progress', 'off');
+            document.body.appendChild(bar);
+        }
+        bar.innerHTML = '<span></span>';
+        bar.firstChild.textContent = message;
+        (actions || []).forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action.id;
+            button.textContent = action.label;
+            button.addEventListener('click', action.run);
+            bar.appendChild(button);
+        });
+        bar.hidden = false;
+        return bar;
+    }
+
+    function dismiss() {
+        if (bar) bar.hidden = true;
+    }
+
+    // Saves the learner's work, then lets the waiting version take over;
+    // the page reloads when it does
+    function offerUpdate(worker) {
+        notice('New content is available.', [
+            {
+                id: 'reload',
+                label: 'Reload',
+                run: () => {
+                    const progress = root.QIHS && root.QIHS.progress && root.QIHS.progress.current;
+                    if (progress) progress.save();
+                    worker.postMessage({ type: 'skip-waiting' });
+                }
+            },
+            { id: 'later', label: 'Later', run: dismiss }
+        ]);
+    }
+
+    function watch(registration) {
+        const sw = root.navigator.serviceWorker;
+        if (registration.waiting && sw.controller) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+                if (sw.controller) {
+                    offerUpdate(worker);
+                } else {
+                    notice('This library is now saved for offline use.', [{ id: 'later', label: 'OK', run: dismiss }]);
+                    setTimeout(dismiss, 8000);
+                }
+            });
+        });
+    }
+
+    const inFrame = () => {
+        try {
+            return root.top !== root;
+        } catch (e) {
+            return true;
+        }
+    };
+
+    // Registers the bundle's service worker. Activities shown inside the
+    // site's frame leave the prompts to the site around them.
+    function register(options) {
+        const opts = Object.assign({ script: SCRIPT, prompt: !inFrame() }, options);
+        const nav = root.navigator;
+        if (!nav || !nav.serviceWorker || !root.isSecureContext) return Promise.resolve(null);
+        let reloading = false;
+        let controlled = !!nav.serviceWorker.controller;
+        nav.serviceWorker.addEventListener('controllerchange', () => {
+            // The first install takes control quietly; later ones are updates
+            if (!controlled) {
+                controlled = true;
+                return;
+            }
+            if (reloading || !opts.prompt) return;
+            reloading = true;
+            root.location.reload();
+        });
+        root.addEventListener('online', () => { requestSync(); });
+        return nav.serviceWorker.register(opts.script).then(registration => {
+            if (opts.prompt) watch(registration);
+            requestSync();
+            return registration;
+        }).catch(() => null);
+    }
+
+    return {
+        DB_NAME,
+        SYNC_TAG,
+        queue,
+        entries,
+        replay,
+        requestSync,
+        register
+    };
+});
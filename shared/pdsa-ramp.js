@@ -0,0 +1,717 @@
+// PDSA ramp tracker
+// Any number of linked PDSA cycles per change idea, each with a prediction,
+// its own measure data, the actual result and an adopt / adapt / abandon
+// decision. All the cycles' data feed one run chart of the ramp, with every
+// point annotated with the cycle it came from. Uses the run chart rule engine
+// (run-chart-rules.js) and, when loaded, the learner's driver diagram for
+// change ideas. Exposed as window.QIHS.pdsaRamp.
+//
+//     const ramp = QIHS.pdsaRamp.mount(document.getElementById('ramp'), {
+//         onChange: () => progress.changed()
+//     });
+//     ramp.value();            // { ramps: [...] } to save
+//     ramp.set(saved);         // restore
+//     ramp.evidence();         // plain-text evidence of iterative testing
+//
+// Measure data is typed one value per line, or "label, value" per line, the
+// same format as the run chart activity. A ramp's baseline data sets the
+// centre line, which is frozen and extended across the cycles.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.pdsaRamp = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-pdsa-ramp';
+    const VERSION = 1;
+    const MIN_CYCLES = 2;
+
+    const DECISIONS = {
+        adopt: { label: 'Adopt', hint: 'It worked - keep it and test at a larger scale' },
+        adapt: { label: 'Adapt', hint: 'Change it and test again' },
+        abandon: { label: 'Abandon', hint: 'Stop testing this idea' }
+    };
+
+    const COLOURS = ['#185a9d', '#e67e22', '#8e44ad', '#16a085', '#c0392b', '#2c3e50', '#d35400', '#27ae60'];
+    const BASELINE_COLOUR = '#95a5a6';
+
+    function runChart() {
+        if (root && root.QIHS && root.QIHS.runChart) return root.QIHS.runChart;
+        if (typeof require === 'function') return require('./run-chart-rules');
+        throw new Error('pdsa-ramp.js needs run-chart-rules.js');
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    const number = value => (value === '' || value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+    const cycleColour = index => COLOURS[index % COLOURS.length];
+
+    // ---------- Model
+
+    function createCycle(ramp) {
+        const previous = ramp.cycles[ramp.cycles.length - 1];
+        return {
+            id: `${ramp.id}-${ramp.cycles.length + 1}`,
+            title: '',
+            change: previous ? previous.change : ramp.changeIdea.text,
+            prediction: '',
+            predicted: '',
+            data: '',
+            actual: '',
+            learning: '',
+            decision: '',
+            reason: ''
+        };
+    }
+
+    function createRamp(ramps, changeIdea) {
+        let n = ramps.length + 1;
+        while (ramps.some(r => r.id === 'r' + n)) n++;
+        const ramp = {
+            id: 'r' + n,
+            changeIdea: { id: (changeIdea && changeIdea.id) || '', text: (changeIdea && changeIdea.text) || '' },
+            measure: { name: '', unit: '', better: 'up', baseline: '', target: '' },
+            cycles: []
+        };
+        ramp.cycles.push(createCycle(ramp));
+        return ramp;
+    }
+
+    // A ramp ends when its idea is abandoned
+    function canAddCycle(ramp) {
+        const last = ramp.cycles[ramp.cycles.length - 1];
+        return !last || (last.decision !== '' && last.decision !== 'abandon');
+    }
+
+    function addCycle(ramp) {
+        if (!canAddCycle(ramp)) return null;
+        const cycle = createCycle(ramp);
+        ramp.cycles.push(cycle);
+        return cycle;
+    }
+
+    function points(text) {
+        return runChart().parseSeries(text || '');
+    }
+
+    // The actual result of a cycle is the median of its measurements
+    function actual(cycle) {
+        const values = points(cycle.data).points.map(p => p.value);
+        return values.length ? runChart().median(values) : null;
+    }
+
+    // The ramp's data as one series, baseline first, each point tagged with
+    // the cycle it belongs to (-1 for baseline)
+    function series(ramp) {
+        const all = [];
+        points(ramp.measure.baseline).points.forEach(p => all.push({ label: p.label, value: p.value, cycle: -1 }));
+        ramp.cycles.forEach((cycle, index) => {
+            points(cycle.data).points.forEach(p => all.push({ label: p.label, value: p.value, cycle: index }));
+        });
+        return all;
+    }
+
+    // Run chart rules over the whole ramp, centred on the baseline median
+    // when there is baseline data
+    function analyse(ramp) {
+        const data = series(ramp);
+        if (!data.length) return null;
+        const rc = runChart();
+        const baseline = data.filter(p => p.cycle < 0).map(p => p.value);
+        const result = rc.analyse(data.map(p => p.value), baseline.length ? { median: rc.median(baseline) } : {});
+        result.baselineMedian = baseline.length ? result.median : null;
+        result.items = rc.describe(result, data.map(p => `${p.cycle < 0 ? 'baseline' : 'C' + (p.cycle + 1)} ${p.label}`), ramp.measure.unit);
+        return result;
+    }
+
+    // Whether a cycle's result moved in the better direction from the one before
+    function improved(ramp, index) {
+        const now = actual(ramp.cycles[index]);
+        const baseline = points(ramp.measure.baseline).points.map(p => p.value);
+        const before = index > 0 ? actual(ramp.cycles[index - 1]) : baseline.length ? runChart().median(baseline) : null;
+        if (now == null || before == null || now === before) return null;
+        return ramp.measure.better === 'down' ? now < before : now > before;
+    }
+
+    // What a marker needs to see before accepting a ramp as evidence
+    function check(ramp) {
+        const cycles = ramp.cycles;
+        const missing = [];
+        cycles.forEach((cycle, i) => {
+            const name = `Cycle ${i + 1}`;
+            if (!cycle.prediction.trim() && number(cycle.predicted) == null) missing.push(`${name}: add a prediction`);
+            if (!points(cycle.data).points.length) missing.push(`${name}: add measure data`);
+            if (!cycle.actual.trim() && !cycle.learning.trim()) missing.push(`${name}: record what happened and what you learned`);
+            if (!cycle.decision) missing.push(`${name}: choose adopt, adapt or abandon`);
+        });
+        const items = [
+            { id: 'idea', done: !!ramp.changeIdea.text.trim(), text: 'Change idea named' },
+            { id: 'measure', done: !!ramp.measure.name.trim(), text: 'Measure defined' },
+            { id: 'cycles', done: cycles.length >= MIN_CYCLES, text: `At least ${MIN_CYCLES} linked cycles` },
+            { id: 'predictions', done: cycles.every(c => c.prediction.trim() || number(c.predicted) != null), text: 'A prediction for every cycle' },
+            { id: 'data', done: cycles.every(c => points(c.data).points.length > 0), text: 'Measure data for every cycle' },
+            { id: 'decisions', done: cycles.every(c => c.decision), text: 'An adopt / adapt / abandon decision for every cycle' }
+        ];
+        return { items, missing, complete: items.every(item => item.done) };
+    }
+
+    function checkAll(ramps) {
+        const results = ramps.map(check);
+        return { ramps: results, complete: results.some(r => r.complete), cycles: ramps.reduce((n, r) => n + r.cycles.length, 0) };
+    }
+
+    // ---------- Evidence
+
+    function formatValue(value, unit) {
+        return value == null ? 'n/a' : `${runChart().formatNumber(value)}${unit ? ' ' + unit : ''}`;
+    }
+
+    function toText(ramps) {
+        const lines = ['PDSA RAMP EVIDENCE', '=================='];
+        ramps.forEach((ramp, r) => {
+            const unit = ramp.measure.unit;
+            lines.push('', `RAMP ${r + 1}: ${ramp.changeIdea.text || 'Unnamed change idea'}`);
+            lines.push(`Measure: ${ramp.measure.name || 'not defined'}${unit ? ` (${unit})` : ''}, ${ramp.measure.better === 'down' ? 'lower' : 'higher'} is better`);
+            if (number(ramp.measure.target) != null) lines.push(`Target: ${formatValue(number(ramp.measure.target), unit)}`);
+            const baseline = points(ramp.measure.baseline).points;
+            if (baseline.length) lines.push(`Baseline: ${baseline.length} points, median ${formatValue(runChart().median(baseline.map(p => p.value)), unit)}`);
+            ramp.cycles.forEach((cycle, i) => {
+                const data = points(cycle.data).points;
+                lines.push('', `  Cycle ${i + 1}${cycle.title ? `: ${cycle.title}` : ''}${i ? ` (builds on cycle ${i}, ${DECISIONS[ramp.cycles[i - 1].decision] ? DECISIONS[ramp.cycles[i - 1].decision].label.toLowerCase() : 'undecided'})` : ''}`);
+                lines.push(`  Change tested: ${cycle.change || 'not recorded'}`);
+                lines.push(`  Prediction: ${cycle.prediction || 'not recorded'}${number(cycle.predicted) != null ? ` [${formatValue(number(cycle.predicted), unit)}]` : ''}`);
+                lines.push(`  Data: ${data.length ? data.map(p => `${p.label}=${runChart().formatNumber(p.value)}`).join(', ') : 'none'}`);
+                lines.push(`  Actual result: median ${formatValue(actual(cycle), unit)}${cycle.actual ? ` - ${cycle.actual}` : ''}`);
+                if (cycle.learning) lines.push(`  Learning: ${cycle.learning}`);
+                lines.push(`  Decision: ${DECISIONS[cycle.decision] ? DECISIONS[cycle.decision].label : 'not decided'}${cycle.reason ? ` - ${cycle.reason}` : ''}`);
+            });
+            const result = analyse(ramp);
+            if (result) {
+                lines.push('', `  Run chart (${result.n} points, centre line ${formatValue(result.median, unit)}${result.baselineMedian != null ? ' from baseline' : ''}):`);
+                result.items.forEach(item => lines.push(`  - ${item.detected ? 'SIGNAL' : 'no signal'} (${item.rule}): ${item.text}`));
+            }
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Parsed copy of the ramps, with each cycle's points and actual result
+    function toJSON(ramps) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            ramps: ramps.map(ramp => Object.assign({}, ramp, {
+                baseline: points(ramp.measure.baseline).points,
+                cycles: ramp.cycles.map(cycle => Object.assign({}, cycle, {
+                    points: points(cycle.data).points,
+                    actualValue: actual(cycle)
+                }))
+            }))
+        };
+    }
+
+    // Saved ramps are trusted only as far as their shape
+    function read(saved) {
+        const text = value => (typeof value === 'string' ? value : value == null ? '' : String(value));
+        const list = saved && Array.isArray(saved.ramps) ? saved.ramps : [];
+        return list.map((raw, r) => {
+            const ramp = {
+                id: text(raw.id) || 'r' + (r + 1),
+                changeIdea: { id: text(raw.changeIdea && raw.changeIdea.id), text: text(raw.changeIdea && raw.changeIdea.text) },
+                measure: Object.assign({ name: '', unit: '', better: 'up', baseline: '', target: '' }, raw.measure),
+                cycles: []
+            };
+            ramp.measure.better = ramp.measure.better === 'down' ? 'down' : 'up';
+            (Array.isArray(raw.cycles) ? raw.cycles : []).forEach(c => {
+                const cycle = createCycle(ramp);
+                Object.keys(cycle).forEach(key => { if (key !== 'id' && c[key] != null) cycle[key] = text(c[key]); });
+                if (!DECISIONS[cycle.decision]) cycle.decision = '';
+                ramp.cycles.push(cycle);
+            });
+            if (!ramp.cycles.length) ramp.cycles.push(createCycle(ramp));
+            return ramp;
+        });
+    }
+
+    // ---------- Run chart
+
+    // Draws the whole ramp on a canvas and returns a text description of it
+    function drawChart(canvas, ramp, options) {
+        const opts = Object.assign({ title: null }, options);
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const left = 60, right = width - 20, top = 50, bottom = height - 60;
+        const data = series(ramp);
+        const unit = ramp.measure.unit;
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px Segoe UI, Arial, sans-serif';
+        ctx.textBaseline = 'alphabetic';
+
+        if (!data.length) {
+            ctx.fillStyle = '#6c757d';
+            ctx.textAlign = 'center';
+            ctx.fillText('Add measure data to a cycle to start the run chart', width / 2, height / 2);
+            return 'Run chart: no data yet';
+        }
+
+        const result = analyse(ramp);
+        const predicted = ramp.cycles.map(c => number(c.predicted));
+        const target = number(ramp.measure.target);
+        const extra = [result.median, target].concat(predicted).filter(v => v != null);
+        let min = Math.min(...data.map(p => p.value), ...extra);
+        let max = Math.max(...data.map(p => p.value), ...extra);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const pad = (max - min) * 0.1;
+        min -= pad;
+        max += pad;
+        const step = data.length > 1 ? (right - left) / (data.length - 1) : 0;
+        const x = i => (data.length > 1 ? left + i * step : (left + right) / 2);
+        const y = v => bottom - (v - min) / (max - min) * (bottom - top);
+        const half = Math.max(step / 2, 12);
+
+        // Cycle bands with their decisions
+        const groups = [];
+        data.forEach((p, i) => {
+            const group = groups[groups.length - 1];
+            if (group && group.cycle === p.cycle) group.end = i;
+            else groups.push({ cycle: p.cycle, start: i, end: i });
+        });
+        groups.forEach(group => {
+            const x1 = Math.max(left - 10, x(group.start) - half);
+            const x2 = Math.min(right + 10, x(group.end) + half);
+            const colour = group.cycle < 0 ? BASELINE_COLOUR : cycleColour(group.cycle);
+            ctx.fillStyle = colour;
+            ctx.globalAlpha = 0.08;
+            ctx.fillRect(x1, top - 20, x2 - x1, bottom - top + 20);
+            ctx.globalAlpha = 1;
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 11px Segoe UI, Arial, sans-serif';
+            let label = 'Baseline';
+            if (group.cycle >= 0) {
+                const cycle = ramp.cycles[group.cycle];
+                label = `Cycle ${group.cycle + 1}${DECISIONS[cycle.decision] ? ': ' + DECISIONS[cycle.decision].label : ''}`;
+            }
+            ctx.fillText(label, (x1 + x2) / 2, top - 26);
+            ctx.font = '12px Segoe UI, Arial, sans-serif';
+
+            // The cycle's prediction across its band
+            const p = group.cycle >= 0 ? predicted[group.cycle] : null;
+            if (p != null) {
+                ctx.strokeStyle = colour;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x1 + 4, y(p));
+                ctx.lineTo(x2 - 4, y(p));
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = colour;
+                ctx.textAlign = 'left';
+                ctx.fillText('predicted', x1 + 4, y(p) - 4);
+            }
+        });
+
+        // Axes
+        ctx.strokeStyle = '#adb5bd';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left - 10, top - 20);
+        ctx.lineTo(left - 10, bottom);
+        ctx.lineTo(right + 10, bottom);
+        ctx.stroke();
+        ctx.fillStyle = '#495057';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const value = min + (max - min) * i / 4;
+            ctx.fillText(runChart().formatNumber(Math.round(value * 10) / 10), left - 14, y(value) + 4);
+        }
+
+        // Centre line and target
+        ctx.strokeStyle = '#6c757d';
+        ctx.beginPath();
+        ctx.moveTo(left - 10, y(result.median));
+        ctx.lineTo(right + 10, y(result.median));
+        ctx.stroke();
+        if (target != null) {
+            ctx.strokeStyle = '#28a745';
+            ctx.setLineDash([8, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left - 10, y(target));
+            ctx.lineTo(right + 10, y(target));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Data line, then points annotated with their cycle
+        const flagged = new Set();
+        result.signals.filter(s => s.rule !== 'runs').forEach(s => {
+            for (let i = s.start; i <= s.end; i++) flagged.add(i);
+        });
+        ctx.strokeStyle = '#343a40';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        data.forEach((p, i) => (i ? ctx.lineTo(x(i), y(p.value)) : ctx.moveTo(x(i), y(p.value))));
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        const labelEvery = Math.ceil(data.length / 20);
+        data.forEach((p, i) => {
+            const colour = p.cycle < 0 ? BASELINE_COLOUR : cycleColour(p.cycle);
+            if (flagged.has(i)) {
+                ctx.strokeStyle = '#dc3545';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(x(i), y(p.value), 8, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.lineWidth = 1;
+            }
+            ctx.fillStyle = colour;
+            ctx.beginPath();
+            ctx.arc(x(i), y(p.value), 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 10px Segoe UI, Arial, sans-serif';
+            ctx.fillText(p.cycle < 0 ? 'B' : `C${p.cycle + 1}`, x(i), y(p.value) - 10);
+            ctx.font = '12px Segoe UI, Arial, sans-serif';
+            if (i % labelEvery === 0) {
+                ctx.fillStyle = '#495057';
+                ctx.fillText(p.label, x(i), bottom + 16);
+            }
+        });
+
+        // Legend
+        const legend = [
+            ['#6c757d', `Median ${formatValue(result.median, unit)}${result.baselineMedian != null ? ' (baseline, extended)' : ''}`]
+        ];
+        if (target != null) legend.push(['#28a745', `Target ${formatValue(target, unit)}`]);
+        legend.push(['#dc3545', 'Part of a shift, trend or astronomical point']);
+        ctx.textAlign = 'left';
+        let lx = left;
+        legend.forEach(([colour, text]) => {
+            ctx.fillStyle = colour;
+            ctx.fillRect(lx, height - 22, 12, 12);
+            ctx.fillStyle = '#343a40';
+            ctx.fillText(text, lx + 18, height - 12);
+            lx += 30 + ctx.measureText(text).width;
+        });
+        if (opts.title || ramp.measure.name) {
+            ctx.font = 'bold 13px Segoe UI, Arial, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(opts.title || `${ramp.measure.name}${unit ? ` (${unit})` : ''}`, left - 10, 16);
+        }
+
+        const cycles = ramp.cycles.filter(c => points(c.data).points.length).length;
+        const signals = result.items.filter(item => item.detected).map(item => item.rule);
+        return `Run chart of ${data.length} points across ${cycles} cycle${cycles === 1 ? '' : 's'}, median ${formatValue(result.median, unit)}. ` +
+            (signals.length ? `Signals: ${signals.join(', ')}.` : 'No signals of non-random change.');
+    }
+
+    // ---------- Tracker UI
+
+    const RAMP_CSS = `
+        .qihs-ramp { font-size: 14px; }
+        .qihs-ramp-tabs { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px; }
+        .qihs-ramp-tabs button { padding: 6px 12px; border: 1px solid #ced4da; border-radius: 15px; background: white; cursor: pointer; font: inherit; }
+        .qihs-ramp-tabs button[aria-selected="true"] { background: #185a9d; color: white; border-color: #185a9d; }
+        .qihs-ramp label { display: block; font-weight: 600; margin: 8px 0 4px; color: #2c3e50; }
+        .qihs-ramp input[type="text"], .qihs-ramp input[type="number"], .qihs-ramp select, .qihs-ramp textarea {
+            width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #ced4da; border-radius: 6px; font: inherit; }
+        .qihs-ramp textarea { min-height: 70px; resize: vertical; }
+        .qihs-ramp-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 0 15px; }
+        .qihs-ramp-cycles { list-style: none; padding: 0; margin: 15px 0; }
+        .qihs-cycle { border: 1px solid #dee2e6; border-left: 6px solid; border-radius: 8px; padding: 12px 15px; margin-bottom: 12px; background: #fcfcfd; }
+        .qihs-cycle-head { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; }
+        .qihs-cycle-head h4 { margin: 0; }
+        .qihs-cycle-head input { flex: 1; min-width: 180px; }
+        .qihs-cycle-link { font-size: 12px; color: #6c757d; margin: 4px 0 0; }
+        .qihs-cycle-result { font-size: 13px; color: #495057; margin-top: 4px; }
+        .qihs-decisions { display: flex; flex-wrap: wrap; gap: 8px; border: none; padding: 0; margin: 0; }
+        .qihs-decisions label { font-weight: normal; border: 1px solid #ced4da; border-radius: 6px; padding: 6px 10px; margin: 0; cursor: pointer; }
+        .qihs-decisions input { margin-right: 6px; }
+        .qihs-ramp button.qihs-ramp-action { padding: 8px 16px; border: none; border-radius: 20px; background: #185a9d; color: white; cursor: pointer; font: inherit; }
+        .qihs-ramp button.qihs-ramp-action:disabled { opacity: 0.5; cursor: not-allowed; }
+        .qihs-ramp button.qihs-ramp-remove { background: none; border: none; color: #dc3545; cursor: pointer; font: inherit; }
+        .qihs-ramp canvas { width: 100%; height: auto; display: block; margin-top: 15px; background: white; border: 1px solid #dee2e6; border-radius: 8px; }
+        .qihs-ramp-checks { list-style: none; padding: 0; margin: 10px 0 0; }
+        .qihs-ramp-checks li { margin: 4px 0; }
+        .qihs-ramp-hint { font-size: 12px; color: #6c757d; }
+    `;
+
+    let styled = false;
+
+    function changeIdeaOptions() {
+        const dd = root.QIHS && root.QIHS.driverDiagram;
+        return dd ? dd.changeIdeas() : [];
+    }
+
+    function mount(container, options) {
+        const opts = Object.assign({ onChange: () => {}, changeIdeas: changeIdeaOptions }, options);
+        const doc = container.ownerDocument;
+        if (!styled) {
+            const style = doc.createElement('style');
+            style.textContent = RAMP_CSS;
+            doc.head.appendChild(style);
+            styled = true;
+        }
+        container.classList.add('qihs-ramp');
+        container.setAttribute('data-progress', 'off');
+
+        let ramps = [];
+        let active = 0;
+        const ideas = opts.changeIdeas();
+
+        // A new ramp starts on the change idea linked above, if the page has one
+        const linkedIdea = () => {
+            const select = doc.getElementById('change-idea-link');
+            const idea = select && ideas.find(i => i.id === select.value);
+            return idea || null;
+        };
+
+        const ramp = () => ramps[active];
+        const id = (...parts) => 'qihs-ramp-' + parts.join('-');
+
+        function field(label, key, value, type, extra) {
+            const inputId = id(active, key.replace(/\./g, '-'));
+            const input = type === 'textarea'
+                ? `<textarea id="${inputId}" data-key="${key}"${extra || ''}>${escapeHtml(value)}</textarea>`
+                : `<input type="${type || 'text'}" id="${inputId}" data-key="${key}" value="${escapeHtml(value)}"${extra || ''}>`;
+            return `<div><label for="${inputId}">${label}</label>${input}</div>`;
+        }
+
+        function cycleField(label, index, key, value, type, extra) {
+            const inputId = id(active, index, key);
+            const input = type === 'textarea'
+                ? `<textarea id="${inputId}" data-cycle="${index}" data-key="${key}"${extra || ''}>${escapeHtml(value)}</textarea>`
+                : `<input type="${type || 'text'}" id="${inputId}" data-cycle="${index}" data-key="${key}" value="${escapeHtml(value)}"${extra || ''}>`;
+            return `<div><label for="${inputId}">${label}</label>${input}</div>`;
+        }
+
+        function resultText(r, index) {
+            const cycle = r.cycles[index];
+            const parsed = points(cycle.data);
+            if (!parsed.points.length) return parsed.errors.length ? escapeHtml(parsed.errors[0]) : 'No data yet.';
+            const unit = r.measure.unit;
+            const predicted = number(cycle.predicted);
+            const better = improved(r, index);
+            let text = `${parsed.points.length} point${parsed.points.length === 1 ? '' : 's'}, actual result (median) <strong>${escapeHtml(formatValue(actual(cycle), unit))}</strong>`;
+            if (predicted != null) text += ` against a prediction of ${escapeHtml(formatValue(predicted, unit))}`;
+            if (better != null) text += better ? ' - better than before' : ' - not better than before';
+            if (parsed.errors.length) text += `. ${escapeHtml(parsed.errors.join('; '))}`;
+            return text;
+        }
+
+        function cycleHtml(r, cycle, index) {
+            const previous = r.cycles[index - 1];
+            const decisionName = id(active, index, 'decision');
+            return `<li class="qihs-cycle" style="border-left-color: ${cycleColour(index)}">
+                <div class="qihs-cycle-head">
+                    <h4>Cycle ${index + 1}</h4>
+                    <input type="text" id="${id(active, index, 'title')}" data-cycle="${index}" data-key="title"
+                        value="${escapeHtml(cycle.title)}" placeholder="Scale of the test, e.g. one nurse, one shift" aria-label="Cycle ${index + 1} scale">
+                    ${index === r.cycles.length - 1 && index > 0 ? `<button type="button" class="qihs-ramp-remove" data-action="remove-cycle">Remove</button>` : ''}
+                </div>
+                ${previous ? `<p class="qihs-cycle-link">Builds on cycle ${index}${DECISIONS[previous.decision] ? ` (${DECISIONS[previous.decision].label.toLowerCase()})` : ''}</p>` : ''}
+                <div class="qihs-ramp-grid">
+                    ${cycleField('Plan: what will you test?', index, 'change', cycle.change, 'textarea')}
+                    ${cycleField('Prediction: what do you expect to happen?', index, 'prediction', cycle.prediction, 'textarea')}
+                </div>
+                <div class="qihs-ramp-grid">
+                    ${cycleField(`Predicted result${r.measure.unit ? ` (${escapeHtml(r.measure.unit)})` : ''}`, index, 'predicted', cycle.predicted, 'number', ' step="any"')}
+                    ${cycleField('Do: measure data (one value per line, or "label, value")', index, 'data', cycle.data, 'textarea', ' placeholder="Mon, 62&#10;Tue, 70&#10;Wed, 68"')}
+                </div>
+                <p class="qihs-cycle-result" id="${id(active, index, 'result')}" aria-live="polite">${resultText(r, index)}</p>
+                <div class="qihs-ramp-grid">
+                    ${cycleField('Study: what actually happened?', index, 'actual', cycle.actual, 'textarea')}
+                    ${cycleField('What did you learn?', index, 'learning', cycle.learning, 'textarea')}
+                </div>
+                <fieldset class="qihs-decisions">
+                    <legend style="font-weight: 600; margin: 8px 0 4px;">Act: decision</legend>
+                    ${Object.keys(DECISIONS).map(key => `<label title="${DECISIONS[key].hint}">
+                        <input type="radio" name="${decisionName}" value="${key}" data-cycle="${index}" data-key="decision"${cycle.decision === key ? ' checked' : ''}>${DECISIONS[key].label}</label>`).join('')}
+                </fieldset>
+                ${cycleField('Why?', index, 'reason', cycle.reason, 'text')}
+            </li>`;
+        }
+
+        function render() {
+            const focused = doc.activeElement && container.contains(doc.activeElement) ? doc.activeElement.id : null;
+            if (!ramps.length) ramps.push(createRamp(ramps, linkedIdea()));
+            active = Math.min(active, ramps.length - 1);
+            const r = ramp();
+            const known = ideas.some(i => i.id === r.changeIdea.id);
+
+            container.innerHTML = `
+                <div class="qihs-ramp-tabs" role="tablist" aria-label="Change ideas">
+                    ${ramps.map((item, i) => `<button type="button" role="tab" data-ramp="${i}" aria-selected="${i === active}">
+                        ${escapeHtml(item.changeIdea.text || `Change idea ${i + 1}`)} (${item.cycles.length})</button>`).join('')}
+                    <button type="button" data-action="add-ramp">+ Another change idea</button>
+                </div>
+                <div class="qihs-ramp-grid">
+                    ${ideas.length ? `<div><label for="${id(active, 'idea')}">Change idea from your driver diagram</label>
+                        <select id="${id(active, 'idea')}" data-key="changeIdea.id">
+                            <option value="">- my own -</option>
+                            ${ideas.map(idea => `<option value="${escapeHtml(idea.id)}"${idea.id === r.changeIdea.id ? ' selected' : ''}>${escapeHtml(idea.text)}</option>`).join('')}
+                        </select></div>` : ''}
+                    ${known ? '' : field('Change idea', 'changeIdea.text', r.changeIdea.text, 'text', ' placeholder="e.g. Hand gel at every bed space"')}
+                </div>
+                <div class="qihs-ramp-grid">
+                    ${field('Measure', 'measure.name', r.measure.name, 'text', ' placeholder="e.g. Hand hygiene compliance"')}
+                    ${field('Unit', 'measure.unit', r.measure.unit, 'text', ' placeholder="e.g. %"')}
+                    <div><label for="${id(active, 'measure-better')}">Better is</label>
+                        <select id="${id(active, 'measure-better')}" data-key="measure.better">
+                            <option value="up"${r.measure.better === 'up' ? ' selected' : ''}>Higher</option>
+                            <option value="down"${r.measure.better === 'down' ? ' selected' : ''}>Lower</option>
+                        </select></div>
+                    ${field('Target', 'measure.target', r.measure.target, 'number', ' step="any"')}
+                </div>
+                ${field('Baseline data before any change (optional; sets the run chart centre line)', 'measure.baseline', r.measure.baseline, 'textarea')}
+                <ol class="qihs-ramp-cycles">${r.cycles.map((cycle, i) => cycleHtml(r, cycle, i)).join('')}</ol>
+                <button type="button" class="qihs-ramp-action" data-action="add-cycle"${canAddCycle(r) ? '' : ' disabled'}>+ Add Linked Cycle</button>
+                <span class="qihs-ramp-hint">${r.cycles[r.cycles.length - 1].decision === 'abandon'
+                    ? 'This idea was abandoned - test a different change idea instead.'
+                    : canAddCycle(r) ? 'The next cycle starts from this one\'s plan.' : 'Decide adopt, adapt or abandon before starting the next cycle.'}</span>
+                ${r.cycles.length > 1 || ramps.length > 1 ? `<button type="button" class="qihs-ramp-remove" data-action="remove-ramp">Delete this ramp</button>` : ''}
+                <canvas width="900" height="360" role="img" aria-label="Run chart of the ramp"></canvas>
+                <p class="qihs-ramp-hint" data-role="chart-summary" aria-live="polite"></p>
+                <ul class="qihs-ramp-checks" data-role="checks" aria-label="Evidence checklist"></ul>
+            `;
+            refresh();
+            if (focused) {
+                const again = doc.getElementById(focused);
+                if (again) again.focus();
+            }
+        }
+
+        // Everything derived from the data, without rebuilding the inputs
+        function refresh() {
+            const r = ramp();
+            r.cycles.forEach((cycle, i) => {
+                const el = doc.getElementById(id(active, i, 'result'));
+                if (el) el.innerHTML = resultText(r, i);
+            });
+            const canvas = container.querySelector('canvas');
+            const summary = drawChart(canvas, r);
+            canvas.setAttribute('aria-label', summary);
+            container.querySelector('[data-role="chart-summary"]').textContent = summary;
+            const result = check(r);
+            container.querySelector('[data-role="checks"]').innerHTML = result.items
+                .map(item => `<li>${item.done ? '✅' : '⬜'} ${escapeHtml(item.text)}</li>`).join('');
+            container.querySelectorAll('[data-ramp]').forEach(tab => {
+                const item = ramps[tab.dataset.ramp];
+                tab.textContent = `${item.changeIdea.text || `Change idea ${Number(tab.dataset.ramp) + 1}`} (${item.cycles.length})`;
+            });
+        }
+
+        function set(target, key, value) {
+            const [head, tail] = key.split('.');
+            if (tail) target[head][tail] = value;
+            else target[head] = value;
+        }
+
+        function onEdit(event) {
+            const el = event.target;
+            const key = el.dataset && el.dataset.key;
+            if (!key) return;
+            const r = ramp();
+            if (el.dataset.cycle != null) {
+                set(r.cycles[el.dataset.cycle], key, el.value);
+            } else if (key === 'changeIdea.id') {
+                const idea = ideas.find(i => i.id === el.value);
+                r.changeIdea = { id: idea ? idea.id : '', text: idea ? idea.text : '' };
+                if (!r.cycles[0].change) r.cycles[0].change = r.changeIdea.text;
+            } else {
+                set(r, key, el.value);
+            }
+            // Structure depends on the decision, the idea and the unit, so those rebuild
+            if (event.type === 'change' && ['decision', 'changeIdea.id', 'measure.unit'].includes(key)) render();
+            else refresh();
+            if (event.type === 'change') opts.onChange();
+        }
+
+        container.addEventListener('input', onEdit);
+        container.addEventListener('change', onEdit);
+        container.addEventListener('click', event => {
+            const tab = event.target.closest('[data-ramp]');
+            const button = event.target.closest('[data-action]');
+            if (tab) {
+                active = Number(tab.dataset.ramp);
+                render();
+                return;
+            }
+            if (!button) return;
+            const r = ramp();
+            const action = button.dataset.action;
+            if (action === 'add-cycle') {
+                if (!addCycle(r)) return;
+            } else if (action === 'remove-cycle') {
+                if (!root.confirm('Remove the last cycle and its data?')) return;
+                r.cycles.pop();
+            } else if (action === 'add-ramp') {
+                ramps.push(createRamp(ramps, null));
+                active = ramps.length - 1;
+            } else if (action === 'remove-ramp') {
+                if (!root.confirm(`Delete the ramp for "${r.changeIdea.text || 'this change idea'}" and all its cycles?`)) return;
+                ramps.splice(active, 1);
+                active = Math.max(0, active - 1);
+            } else {
+                return;
+            }
+            render();
+            opts.onChange();
+        });
+
+        render();
+
+        return {
+            value: () => ({ format: FORMAT, version: VERSION, ramps }),
+            set(saved) {
+                ramps = read(saved);
+                active = 0;
+                render();
+            },
+            get ramps() {
+                return ramps;
+            },
+            check: () => checkAll(ramps),
+            evidence: () => toText(ramps),
+            toJSON: () => toJSON(ramps),
+            chartImage() {
+                const canvas = container.querySelector('canvas');
+                return canvas && canvas.toDataURL ? canvas.toDataURL('image/png') : null;
+            },
+            render
+        };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        MIN_CYCLES,
+        DECISIONS,
+        createRamp,
+        createCycle,
+        canAddCycle,
+        addCycle,
+        actual,
+        series,
+        analyse,
+        improved,
+        check,
+        checkAll,
+        toText,
+        toJSON,
+        read,
+        drawChart,
+        mount
+    };
+});
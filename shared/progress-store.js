@@ -0,0 +1,465 @@
+// Shared progress store
+// One persistence layer for every activity: versioned records in
+// localStorage, autosave, restore on reload, and export/import of a learner's
+// whole portfolio as a single JSON file. Exposed as window.QIHS.progress.
+//
+//     QIHS.progress.track({
+//         id: 'fmea',                 // activities.json id
+//         version: 2,                 // bump when the saved shape changes
+//         collect: () => ({ ... }),   // extra JS state to save (optional)
+//         apply: state => { ... },    // restore that state (optional)
+//         migrate: { 1: rec => rec }, // upgrade a version 1 record to 2
+//         legacy: { key: 'old-key', read: raw => ({ fields, state }) }
+//     });
+//
+// `legacy` imports work saved by an activity's own code before it used this
+// store; `key` may be an array, in which case `read` receives an array of raw
+// strings. The old keys are removed once the work has been re-saved here.
+//
+// Form fields (inputs, textareas, selects) are saved automatically unless
+// `fields: false` is passed or an element carries data-progress="off".
+//
+// The page has one toolbar, fixed to its foot. The store's autosave controls
+// sit in it unless `toolbar: false` is passed, and other modules add their
+// own buttons with toolbarGroup(label, html) instead of building a bar.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.progress = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const PREFIX = 'qihs.progress.';
+    const SCHEMA = 1;
+    const PORTFOLIO_FORMAT = 'qihs-portfolio';
+    const SAVE_DELAY = 1000;
+
+    // Falls back to memory when storage is blocked (sandboxed iframes, private mode)
+    const memory = {};
+    const storage = (() => {
+        try {
+            const s = root.localStorage;
+            s.setItem(PREFIX + '__test', '1');
+            s.removeItem(PREFIX + '__test');
+            return s;
+        } catch (e) {
+            return null;
+        }
+    })();
+
+    function readRaw(key) {
+        return storage ? storage.getItem(key) : (key in memory ? memory[key] : null);
+    }
+
+    function writeRaw(key, value) {
+        if (storage) storage.setItem(key, value);
+        else memory[key] = value;
+    }
+
+    function removeRaw(key) {
+        if (storage) storage.removeItem(key);
+        else delete memory[key];
+    }
+
+    function keys() {
+        if (!storage) return Object.keys(memory);
+        const list = [];
+        for (let i = 0; i < storage.length; i++) list.push(storage.key(i));
+        return list;
+    }
+
+    function isRecord(value) {
+        return !!value && typeof value === 'object' && value.schema === SCHEMA &&
+            typeof value.version === 'number' && typeof value.activity === 'string';
+    }
+
+    function read(id) {
+        try {
+            const record = JSON.parse(readRaw(PREFIX + id));
+            return isRecord(record) ? record : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function write(id, record) {
+        writeRaw(PREFIX + id, JSON.stringify(record));
+    }
+
+    function remove(id) {
+        removeRaw(PREFIX + id);
+    }
+
+    function readAll() {
+        const all = {};
+        keys().filter(k => k && k.indexOf(PREFIX) === 0).forEach(k => {
+            const id = k.slice(PREFIX.length);
+            const record = read(id);
+            if (record) all[id] = record;
+        });
+        return all;
+    }
+
+    // ---------- Form fields
+
+    const FIELD_SELECTOR = 'input, textarea, select';
+    const SKIPPED_TYPES = ['file', 'password', 'hidden', 'button', 'submit', 'reset', 'image'];
+
+    function trackedFields(scope) {
+        return Array.from((scope || document).querySelectorAll(FIELD_SELECTOR)).filter(el =>
+            !SKIPPED_TYPES.includes(el.type) &&
+            !el.closest('[data-progress="off"]') &&
+            el.name !== 'website'
+        );
+    }
+
+    // Fields are keyed by id, then name, then their position among unnamed fields
+    function fieldKey(el, index) {
+        if (el.id) return '#' + el.id;
+        if (el.name && el.type !== 'radio') return '@' + el.name;
+        if (el.name) return '@' + el.name + '=' + el.value;
+        return el.tagName.toLowerCase() + '[' + index + ']';
+    }
+
+    function collectFields(scope) {
+        const values = {};
+        let unnamed = 0;
+        trackedFields(scope).forEach(el => {
+            const key = fieldKey(el, (el.id || el.name) ? null : unnamed++);
+            if (el.type === 'checkbox' || el.type === 'radio') values[key] = el.checked;
+            else if (el.multiple) values[key] = Array.from(el.selectedOptions).map(o => o.value);
+            else values[key] = el.value;
+        });
+        return values;
+    }
+
+    function applyFields(values, scope) {
+        if (!values) return 0;
+        let unnamed = 0;
+        let restored = 0;
+        trackedFields(scope).forEach(el => {
+            const key = fieldKey(el, (el.id || el.name) ? null : unnamed++);
+            if (!(key in values)) return;
+            const value = values[key];
+            if (el.type === 'checkbox' || el.type === 'radio') {
+                if (el.checked === !!value) return;
+                el.checked = !!value;
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            } else if (el.multiple && Array.isArray(value)) {
+                Array.from(el.options).forEach(o => { o.selected = value.includes(o.value); });
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            } else {
+                if (el.value === value) return;
+                el.value = value;
+                // Text fields get both, so oninput and onchange handlers both run
+                if (el.tagName !== 'SELECT') el.dispatchEvent(new Event('input', { bubbles: true }));
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            restored++;
+        });
+        return restored;
+    }
+
+    // ---------- Tracking
+
+    let current = null;
+
+    function upgrade(record, config) {
+        let data = { fields: record.fields || {}, state: record.state };
+        for (let v = record.version; v < config.version; v++) {
+            const step = config.migrate && config.migrate[v];
+            if (step) data = step(data) || data;
+        }
+        return data;
+    }
+
+    function legacyKeys(config) {
+        if (!config.legacy) return [];
+        return [].concat(config.legacy.key);
+    }
+
+    function readLegacy(config) {
+        const list = legacyKeys(config);
+        const raws = list.map(readRaw);
+        if (!raws.some(raw => raw != null)) return null;
+        try {
+            return config.legacy.read(Array.isArray(config.legacy.key) ? raws : raws[0]);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function removeLegacy(config) {
+        legacyKeys(config).forEach(removeRaw);
+    }
+
+    function track(config) {
+        if (!config || !config.id) throw new Error('QIHS.progress.track needs an activity id');
+        const cfg = Object.assign({ version: 1, fields: true, toolbar: true }, config);
+        let timer = null;
+        let dirty = false;
+        let restoring = false;
+        let ui = null;
+
+        const tracker = {
+            id: cfg.id,
+
+            snapshot() {
+                return {
+                    schema: SCHEMA,
+                    activity: cfg.id,
+                    version: cfg.version,
+                    title: document.title,
+                    savedAt: new Date().toISOString(),
+                    fields: cfg.fields ? collectFields(cfg.scope) : {},
+                    state: cfg.collect ? cfg.collect() : null
+                };
+            },
+
+            save() {
+                clearTimeout(timer);
+                timer = null;
+                try {
+                    write(cfg.id, tracker.snapshot());
+                    dirty = false;
+                    status(`Saved ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+                    return true;
+                } catch (e) {
+                    status('Could not save - browser storage is full or blocked');
+                    return false;
+                }
+            },
+
+            // Call after changing JS state that form events don't cover
+            changed() {
+                if (restoring) return;
+                dirty = true;
+                clearTimeout(timer);
+                timer = setTimeout(tracker.save, SAVE_DELAY);
+            },
+
+            restore(record) {
+                record = record || read(cfg.id);
+                let data = null;
+                if (record) {
+                    if (record.version > cfg.version) {
+                        status('Saved work is from a newer version of this activity');
+                        return false;
+                    }
+                    data = upgrade(record, cfg);
+                } else {
+                    data = readLegacy(cfg);
+                    if (!data) return false;
+                }
+                restoring = true;
+                try {
+                    if (cfg.apply && data.state != null) cfg.apply(data.state);
+                    if (cfg.fields) applyFields(data.fields, cfg.scope);
+                } finally {
+                    restoring = false;
+                }
+                if (!record) {
+                    tracker.save();
+                    removeLegacy(cfg);
+                }
+                status('Previous work restored');
+                return true;
+            },
+
+            // Re-apply saved field values, e.g. after rendering inputs dynamically
+            restoreFields() {
+                const record = read(cfg.id);
+                if (!record || record.version > cfg.version) return 0;
+                restoring = true;
+                try {
+                    return applyFields(upgrade(record, cfg).fields, cfg.scope);
+                } finally {
+                    restoring = false;
+                }
+            },
+
+            clear() {
+                clearTimeout(timer);
+                timer = null;
+                dirty = false;
+                remove(cfg.id);
+                removeLegacy(cfg);
+                status('Saved work cleared');
+            },
+
+            // For "start over" buttons that reload the page
+            restart() {
+                tracker.clear();
+                root.location.reload();
+            }
+        };
+
+        function status(message) {
+            if (ui) ui.status.textContent = message;
+        }
+
+        const onEdit = e => {
+            if (e.target && e.target.closest && e.target.closest('.qihs-progress')) return;
+            tracker.changed();
+        };
+
+        const start = () => {
+            if (cfg.toolbar) ui = mountToolbar(tracker);
+            if (!storage) status('Progress will not survive closing this tab');
+            tracker.restore();
+            document.addEventListener('input', onEdit, true);
+            document.addEventListener('change', onEdit, true);
+            setInterval(() => { if (dirty) tracker.save(); }, 30000);
+            root.addEventListener('pagehide', () => { if (dirty) tracker.save(); });
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden' && dirty) tracker.save();
+            });
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            setTimeout(start, 0);
+        }
+
+        current = tracker;
+        return tracker;
+    }
+
+    // ---------- Portfolio export / import
+
+    function portfolio() {
+        return {
+            format: PORTFOLIO_FORMAT,
+            schema: SCHEMA,
+            exportedAt: new Date().toISOString(),
+            activities: readAll()
+        };
+    }
+
+    function exportPortfolio() {
+        if (current) current.save();
+        const blob = new Blob([JSON.stringify(portfolio(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `QIHS_Portfolio_${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Returns the ids written; throws on files that are not a portfolio
+    function importPortfolio(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!parsed || parsed.format !== PORTFOLIO_FORMAT || typeof parsed.activities !== 'object') {
+            throw new Error('This file is not a QIHS portfolio export');
+        }
+        const written = [];
+        Object.keys(parsed.activities).forEach(id => {
+            const record = parsed.activities[id];
+            if (isRecord(record) && record.activity === id) {
+                write(id, record);
+                written.push(id);
+            }
+        });
+        if (current && written.includes(current.id)) current.restore();
+        return written;
+    }
+
+    // ---------- Toolbar
+
+    const TOOLBAR_CSS = `
+        .qihs-progress { position: fixed; left: 12px; bottom: 12px; z-index: 9999; display: flex; flex-wrap: wrap; align-items: center; gap: 6px 12px; max-width: calc(100vw - 24px);
+            padding: 6px 10px; background: rgba(255, 255, 255, 0.95); border: 1px solid #d1d5db; border-radius: 8px;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); font: 12px/1.4 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #374151; }
+        .qihs-progress-group { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+        .qihs-progress-group + .qihs-progress-group { padding-left: 12px; border-left: 1px solid #d1d5db; }
+        .qihs-progress button { font: inherit; padding: 4px 8px; border: 1px solid #9ca3af; border-radius: 6px; background: #f9fafb; color: #111827; cursor: pointer; }
+        .qihs-progress button:hover { background: #e5e7eb; }
+        .qihs-progress button:focus-visible { outline: 2px solid #2563eb; outline-offset: 2px; }
+        @media print { .qihs-progress { display: none; } }
+    `;
+
+    let toolbar = null;
+
+    function toolbarBar() {
+        if (toolbar) return toolbar;
+        const style = document.createElement('style');
+        style.textContent = TOOLBAR_CSS;
+        document.head.appendChild(style);
+
+        toolbar = document.createElement('div');
+        toolbar.className = 'qihs-progress';
+        toolbar.setAttribute('role', 'region');
+        toolbar.setAttribute('aria-label', 'Activity tools');
+        toolbar.setAttribute('data-progress', 'off');
+        document.body.appendChild(toolbar);
+        return toolbar;
+    }
+
+    // Adds a labelled group of controls to the page's toolbar, creating the
+    // bar on first use, and returns the group; call once the body exists
+    function toolbarGroup(label, html) {
+        const group = document.createElement('div');
+        group.className = 'qihs-progress-group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', label);
+        group.innerHTML = html;
+        toolbarBar().appendChild(group);
+        return group;
+    }
+
+    function mountToolbar(tracker) {
+        const bar = toolbarGroup('Saved progress', `
+            <span class="qihs-progress-status" role="status" aria-live="polite">Autosave on</span>
+            <button type="button" data-action="export" title="Download all your saved activity work as one file">Export portfolio</button>
+            <button type="button" data-action="import" title="Load a portfolio file into this browser">Import</button>
+            <input type="file" accept=".json,application/json" hidden>
+        `);
+
+        const statusEl = bar.querySelector('.qihs-progress-status');
+        const fileInput = bar.querySelector('input[type="file"]');
+        bar.querySelector('[data-action="export"]').addEventListener('click', exportPortfolio);
+        bar.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then(text => {
+                const parsed = JSON.parse(text);
+                const count = parsed && parsed.activities ? Object.keys(parsed.activities).length : 0;
+                if (!confirm(`Import ${count} saved activit${count === 1 ? 'y' : 'ies'}? This replaces any work saved in this browser for the same activities.`)) return;
+                const written = importPortfolio(parsed);
+                statusEl.textContent = `Imported ${written.length} activit${written.length === 1 ? 'y' : 'ies'}`;
+            }).catch(err => {
+                statusEl.textContent = err.message || 'Could not read that file';
+            });
+        });
+
+        return { bar, status: statusEl };
+    }
+
+    return {
+        PREFIX,
+        SCHEMA,
+        PORTFOLIO_FORMAT,
+        track,
+        read,
+        write,
+        remove,
+        readAll,
+        collectFields,
+        applyFields,
+        portfolio,
+        exportPortfolio,
+        importPortfolio,
+        toolbarGroup,
+        get current() { return current; }
+    };
+});
@@ -0,0 +1,205 @@
+// Activity results
+// One structured result format for everything a learner can download, so a
+// facilitator can gather a cohort's files (tools/cohort-dashboard.html)
+// whatever each activity's own report looks like. Exporters keep their text,
+// HTML or JSON report and carry the structured result inside it. Exposed as
+// window.QIHS.results, or required from Node.
+//
+//     const result = QIHS.results.create({
+//         activity: 'fmea',                       // activities.json id
+//         score: { raw: 3, max: 4 },              // optional
+//         measures: { 'total-rpn': 412 },         // numbers to compare across the cohort
+//         items: [{ label: 'Wrong patient', value: 48, result: 'missed' }],
+//         responses: { reflection: '...' }        // free text, for moderation
+//     });
+//     text = QIHS.results.embed(text, result);    // plain-text reports
+//     html = QIHS.results.embedHtml(html, result);
+//     json = QIHS.results.attach(json, result);   // JSON reports
+//     QIHS.results.extract(fileText);             // the result back, or null
+//
+// Result format (version 1):
+//
+//     {
+//       "format": "qihs-result",
+//       "version": 1,
+//       "id": "k3x9...",                          unique per download, so duplicates count once
+//       "activity": "fmea",
+//       "title": "FMEA Critical Appraisal",
+//       "learner": "Sam Patel",                   null when the activity does not ask
+//       "completedAt": "2025-11-03T10:15:00.000Z",
+//       "score": { "raw": 3, "min": 0, "max": 4, "scaled": 0.75 },   or null
+//       "measures": { "total-rpn": 412 },
+//       "items": [{ "id": "wrong-patient", "label": "Wrong patient", "result": "missed", "response": "", "value": 48 }],
+//       "responses": { "reflection": "..." }
+//     }
+//
+// Item results are correct, incorrect, neutral (answered, nothing to mark)
+// or missed (expected but not given); item ids default to the label.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.results = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-result';
+    const VERSION = 1;
+    const ITEM_RESULTS = ['correct', 'incorrect', 'neutral', 'missed'];
+    const ELEMENT_ID = 'qihs-result';
+    const BEGIN = '----- BEGIN QIHS RESULT -----';
+    const END = '----- END QIHS RESULT -----';
+    const NOTE = 'The block below is a copy of these results for your tutor. Please leave it in the file.';
+
+    // ---------- Creating
+
+    function slug(text) {
+        return String(text == null ? '' : text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'item';
+    }
+
+    function uniqueId() {
+        if (root.crypto && typeof root.crypto.randomUUID === 'function') return root.crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    const finite = value => typeof value === 'number' && isFinite(value);
+    const text = value => (value == null ? '' : String(value));
+
+    function normaliseScore(score) {
+        if (!score || !finite(Number(score.raw))) return null;
+        const raw = Number(score.raw);
+        const min = score.min == null ? 0 : Number(score.min);
+        const max = score.max == null ? 100 : Number(score.max);
+        if (!finite(min) || !finite(max) || max <= min) return null;
+        return { raw, min, max, scaled: Math.round(Math.max(0, Math.min(1, (raw - min) / (max - min))) * 10000) / 10000 };
+    }
+
+    function normaliseItem(item) {
+        const out = { id: item.id != null && item.id !== '' ? String(item.id) : slug(item.label), label: text(item.label || item.id) };
+        if (ITEM_RESULTS.includes(item.result)) out.result = item.result;
+        if (item.response != null && item.response !== '') out.response = Array.isArray(item.response) ? item.response.map(text).join(', ') : text(item.response);
+        if (finite(item.value)) out.value = item.value;
+        return out;
+    }
+
+    // A result ready to embed; throws when the activity id is missing
+    function create(fields) {
+        const f = fields || {};
+        if (!f.activity) throw new Error('A result needs the activity id');
+        const measures = {};
+        Object.keys(f.measures || {}).forEach(key => {
+            const value = f.measures[key];
+            if (finite(value)) measures[key] = value;
+        });
+        const responses = {};
+        Object.keys(f.responses || {}).forEach(key => {
+            responses[key] = text(f.responses[key]);
+        });
+        const learner = text(f.learner).trim();
+        return {
+            format: FORMAT,
+            version: VERSION,
+            id: uniqueId(),
+            activity: String(f.activity),
+            title: text(f.title || (root.document ? root.document.title : '')),
+            learner: learner || null,
+            completedAt: new Date(f.completedAt || Date.now()).toISOString(),
+            score: normaliseScore(f.score),
+            measures,
+            items: (f.items || []).filter(Boolean).map(normaliseItem),
+            responses
+        };
+    }
+
+    // ---------- Carrying it in a report
+
+    // JSON that is safe inside a <script> element
+    const serialize = result => JSON.stringify(result, null, 2).replace(/</g, '\\u003c');
+
+    // A plain-text report with the result after it
+    function embed(report, result) {
+        return `${text(report).replace(/\s+$/, '')}\n\n${NOTE}\n${BEGIN}\n${serialize(result)}\n${END}\n`;
+    }
+
+    // An HTML report with the result in a JSON script element
+    function embedHtml(html, result) {
+        const block = `<script type="application/json" id="${ELEMENT_ID}">\n${serialize(result)}\n</script>\n`;
+        const source = text(html);
+        const at = source.search(/<\/body>/i);
+        return at < 0 ? source + '\n' + block : source.slice(0, at) + block + source.slice(at);
+    }
+
+    // A JSON report (as an object) with the result alongside its own fields
+    function attach(report, result) {
+        return Object.assign({}, report, { qihsResult: result });
+    }
+
+    const isResult = value => !!value && typeof value === 'object' && value.format === FORMAT;
+
+    function parse(source) {
+        try {
+            return JSON.parse(source);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Finds the result in any of the report kinds above, or a bare result file
+    function extract(source) {
+        const content = text(source);
+        if (/^\s*\{/.test(content)) {
+            const json = parse(content);
+            if (isResult(json)) return json;
+            if (json && isResult(json.qihsResult)) return json.qihsResult;
+        }
+        const begin = content.indexOf(BEGIN);
+        const end = content.indexOf(END, begin);
+        if (begin >= 0 && end > begin) {
+            const json = parse(content.slice(begin + BEGIN.length, end));
+            if (isResult(json)) return json;
+        }
+        const element = new RegExp(`<script[^>]*id=["']${ELEMENT_ID}["'][^>]*>([\\s\\S]*?)</script>`, 'i').exec(content);
+        if (element) {
+            const json = parse(element[1]);
+            if (isResult(json)) return json;
+        }
+        return null;
+    }
+
+    // ---------- Validation
+
+    // Returns { valid, errors } with one readable message per problem
+    function validate(result) {
+        const errors = [];
+        if (!isResult(result)) return { valid: false, errors: [`format: must be "${FORMAT}"`] };
+        if (result.version !== VERSION) errors.push(`version: this page reads version ${VERSION}`);
+        if (typeof result.activity !== 'string' || !result.activity) errors.push('activity: required');
+        if (isNaN(Date.parse(result.completedAt))) errors.push('completedAt: must be a date');
+        if (result.score != null && !normaliseScore(result.score)) errors.push('score: needs raw and a max above min');
+        if (result.measures != null && (typeof result.measures !== 'object' || Object.keys(result.measures).some(k => !finite(result.measures[k])))) {
+            errors.push('measures: must be numbers');
+        }
+        if (!Array.isArray(result.items)) errors.push('items: must be a list');
+        else result.items.forEach((item, i) => {
+            if (!item || !item.id) errors.push(`items[${i}].id: required`);
+            else if (item.result != null && !ITEM_RESULTS.includes(item.result)) errors.push(`items[${i}].result: must be one of ${ITEM_RESULTS.join(', ')}`);
+        });
+        return { valid: !errors.length, errors };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        ITEM_RESULTS,
+        slug,
+        create,
+        embed,
+        embedHtml,
+        attach,
+        extract,
+        validate
+    };
+});
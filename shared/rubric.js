@@ -0,0 +1,315 @@
+// Rubric feedback
+// Deterministic feedback on short written answers - SBAR handovers,
+// reflections - from a rubric of phrase checks, so learners get specific
+// pointers with no AI service or network. Exposed as window.QIHS.rubric, or
+// required from Node.
+//
+//     QIHS.rubric.load().then(rubric => {
+//         const report = QIHS.rubric.evaluate(rubric, { situation: '...', background: '...' });
+//         report.sections[0].score;                        // points for that section
+//         el.innerHTML = QIHS.rubric.render(report.sections[0]);
+//     });
+//
+// Each activity carries its rubric in
+// <script type="application/json" id="feedback-rubric">; ?rubric=<url> swaps
+// in another file for the session, e.g. a harder rubric for a later cohort.
+//
+// Rubric format (version 1):
+//
+//     {
+//       "format": "qihs-rubric",
+//       "version": 1,
+//       "title": "SBAR - confused patient after surgery",
+//       "pass": 0.6,                             share of a section's points that counts as complete
+//       "bands": [{ "min": 0.85, "label": "Ready to hand over" }, ...],   highest first
+//       "sections": [
+//         {
+//           "id": "situation",                   key of the answer in evaluate()
+//           "title": "Situation",
+//           "words": { "min": 5, "max": 20, "points": 1 },               optional length check
+//           "checks": [
+//             {
+//               "id": "patient",
+//               "label": "Names the patient and where they are",
+//               "points": 2,
+//               "any": ["\\bbed\\s*\\d+", "\\b(mr|mrs|ms)\\.?\\s+\\w+"],   met when one matches
+//               "min": 1,                        or when this many different patterns match
+//               "hint": "Say who and where first.",                        shown when not met
+//               "praise": "Clear who and where."                           optional, shown when met
+//             },
+//             { "id": "...", "none": ["\\bhistory of\\b"], "hint": "\"{match}\" belongs in Background." },
+//             { "id": "...", "anyOf": [{ "any": [...] }, { "any": [...], "min": 2 }] }
+//           ]
+//         }
+//       ]
+//     }
+//
+// Patterns are regular expressions, matched case-insensitively. `all` needs
+// every pattern, `none` fails on any of them, and `anyOf` passes when one of
+// its nested matchers does. {match} in a hint is replaced by what was found.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.rubric = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-rubric';
+    const VERSION = 1;
+    const ELEMENT_ID = 'feedback-rubric';
+    const DEFAULT_PASS = 0.6;
+    const MATCHERS = ['any', 'all', 'none', 'anyOf'];
+
+    const CSS = `
+        .qihs-rubric { margin: 8px 0 0; padding: 0; list-style: none; }
+        .qihs-rubric li { display: flex; gap: 8px; align-items: baseline; padding: 4px 0; line-height: 1.45; }
+        .qihs-rubric li::before { flex: none; width: 1.2em; }
+        .qihs-rubric .met::before { content: '✅'; }
+        .qihs-rubric .missed::before { content: '⚠️'; }
+        .qihs-rubric small { color: #555; display: block; }
+        .qihs-rubric-score { font-weight: 600; }
+        .qihs-rubric-score meter { width: 120px; height: 10px; margin-left: 8px; vertical-align: middle; }
+    `;
+
+    // ---------- Text
+
+    function countWords(text) {
+        const trimmed = String(text == null ? '' : text).trim();
+        return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+    }
+
+    const compiled = new Map();
+
+    function pattern(source) {
+        if (!compiled.has(source)) compiled.set(source, new RegExp(source, 'i'));
+        return compiled.get(source);
+    }
+
+    // Runs a matcher against the text: { met, found } where found is the text
+    // a `none` pattern caught, or the matched phrases otherwise
+    function test(matcher, text) {
+        if (matcher.anyOf) {
+            const results = matcher.anyOf.map(m => test(m, text));
+            const hit = results.find(r => r.met);
+            return hit || { met: false, found: [] };
+        }
+        if (matcher.none) {
+            const found = matcher.none.map(p => pattern(p).exec(text)).filter(Boolean).map(m => m[0].trim());
+            return { met: !found.length, found };
+        }
+        const list = matcher.all || matcher.any || [];
+        const found = list.map(p => pattern(p).exec(text)).filter(Boolean).map(m => m[0].trim());
+        const needed = matcher.all ? list.length : Math.max(1, matcher.min || 1);
+        return { met: found.length >= needed, found };
+    }
+
+    function message(template, found) {
+        return String(template || '').replace(/\{match\}/g, found[0] || '');
+    }
+
+    // ---------- Scoring
+
+    function lengthCheck(spec, words) {
+        const min = spec.min || 0;
+        const max = spec.max || Infinity;
+        const points = spec.points == null ? 1 : spec.points;
+        const met = words >= min && words <= max;
+        let label = max < Infinity ? `Within ${max} words` : `At least ${min} words`;
+        if (min && max < Infinity) label = `Between ${min} and ${max} words`;
+        const count = `${words} word${words === 1 ? '' : 's'}`;
+        let hint = '';
+        if (words < min) hint = `${count} - add ${min - words} more.`;
+        else if (words > max) hint = `${count} - cut ${words - max} to keep it brief.`;
+        return { id: 'length', label, points: met ? points : 0, max: points, met, message: met ? `${count}.` : hint, found: [] };
+    }
+
+    function evaluateSection(section, text, pass) {
+        const value = String(text == null ? '' : text);
+        const words = countWords(value);
+        const checks = (section.checks || []).map(check => {
+            const max = check.points == null ? 1 : check.points;
+            const result = words ? test(check, value) : { met: false, found: [] };
+            return {
+                id: check.id,
+                label: check.label || check.id,
+                points: result.met ? max : 0,
+                max,
+                met: result.met,
+                message: result.met ? message(check.praise, result.found) : message(check.hint, result.found),
+                found: result.found
+            };
+        });
+        if (section.words) checks.push(lengthCheck(section.words, words));
+        const score = checks.reduce((sum, c) => sum + c.points, 0);
+        const max = checks.reduce((sum, c) => sum + c.max, 0);
+        const percent = max ? score / max : 0;
+        return {
+            id: section.id,
+            title: section.title || section.id,
+            text: value,
+            words,
+            score,
+            max,
+            percent,
+            complete: words > 0 && percent >= pass && (!section.words || words >= (section.words.min || 0)),
+            checks
+        };
+    }
+
+    // Scores every section of the rubric against answers keyed by section id
+    function evaluate(rubric, answers) {
+        const pass = rubric.pass == null ? DEFAULT_PASS : rubric.pass;
+        const sections = rubric.sections.map(section => evaluateSection(section, (answers || {})[section.id], pass));
+        const score = sections.reduce((sum, s) => sum + s.score, 0);
+        const max = sections.reduce((sum, s) => sum + s.max, 0);
+        const percent = max ? score / max : 0;
+        const band = (rubric.bands || []).find(b => percent >= b.min);
+        return { title: rubric.title || '', score, max, percent, band: band ? band.label : '', complete: sections.every(s => s.complete), sections };
+    }
+
+    // ---------- Output
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    let styled = false;
+
+    // A section's score and checklist as HTML
+    function render(section) {
+        if (!styled && root.document) {
+            const style = root.document.createElement('style');
+            style.textContent = CSS;
+            root.document.head.appendChild(style);
+            styled = true;
+        }
+        const items = section.checks.map(c => `
+            <li class="${c.met ? 'met' : 'missed'}"><span>${escapeHtml(c.label)}${c.message ? `<small>${escapeHtml(c.message)}</small>` : ''}</span></li>`).join('');
+        return `
+            <div class="qihs-rubric-score">Score: ${section.score}/${section.max}<meter min="0" max="${section.max}" value="${section.score}"></meter></div>
+            <ul class="qihs-rubric">${items}</ul>`;
+    }
+
+    // ---------- Validation
+
+    function validateMatcher(matcher, path, errors) {
+        const kinds = MATCHERS.filter(k => matcher[k] != null);
+        if (kinds.length !== 1) {
+            errors.push(`${path}: needs exactly one of ${MATCHERS.join(', ')}`);
+            return;
+        }
+        const list = matcher[kinds[0]];
+        if (!Array.isArray(list) || !list.length) {
+            errors.push(`${path}.${kinds[0]}: must be a non-empty list`);
+            return;
+        }
+        if (kinds[0] === 'anyOf') {
+            list.forEach((m, i) => validateMatcher(m || {}, `${path}.anyOf[${i}]`, errors));
+            return;
+        }
+        list.forEach((p, i) => {
+            try {
+                pattern(String(p));
+            } catch (e) {
+                errors.push(`${path}.${kinds[0]}[${i}]: ${e.message}`);
+            }
+        });
+        if (matcher.min != null && !(matcher.min >= 1 && matcher.min <= list.length)) {
+            errors.push(`${path}.min: must be between 1 and the number of patterns`);
+        }
+    }
+
+    // Returns { valid, errors } with one readable message per problem
+    function validate(rubric) {
+        const errors = [];
+        if (!rubric || typeof rubric !== 'object') return { valid: false, errors: ['The rubric is not an object'] };
+        if (rubric.format !== FORMAT) errors.push(`format: must be "${FORMAT}"`);
+        if (rubric.version !== VERSION) errors.push(`version: this page reads version ${VERSION}`);
+        if (rubric.pass != null && !(rubric.pass > 0 && rubric.pass <= 1)) errors.push('pass: must be between 0 and 1');
+        if (!Array.isArray(rubric.sections) || !rubric.sections.length) {
+            errors.push('sections: must be a non-empty list');
+            return { valid: false, errors };
+        }
+        const ids = new Set();
+        rubric.sections.forEach((section, s) => {
+            const path = `sections[${s}]`;
+            if (!section || typeof section.id !== 'string' || !section.id) return errors.push(`${path}.id: required`);
+            if (ids.has(section.id)) errors.push(`${path}.id: "${section.id}" is used twice`);
+            ids.add(section.id);
+            if (section.words && (section.words.max != null && section.words.max < (section.words.min || 0))) {
+                errors.push(`${path}.words: max is below min`);
+            }
+            const checkIds = new Set();
+            (section.checks || []).forEach((check, c) => {
+                const checkPath = `${path}.checks[${c}]`;
+                if (!check || !check.id) return errors.push(`${checkPath}.id: required`);
+                if (checkIds.has(check.id)) errors.push(`${checkPath}.id: "${check.id}" is used twice`);
+                checkIds.add(check.id);
+                if (check.points != null && !(typeof check.points === 'number' && check.points >= 0)) errors.push(`${checkPath}.points: must be a number`);
+                validateMatcher(check, checkPath, errors);
+            });
+        });
+        return { valid: !errors.length, errors };
+    }
+
+    // ---------- Loading
+
+    function parse(text) {
+        try {
+            return JSON.parse(String(text));
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+
+    function builtIn() {
+        const el = root.document && root.document.getElementById(ELEMENT_ID);
+        return el ? parse(el.textContent) : null;
+    }
+
+    // Resolves to the rubric from ?rubric=<url> when it loads and validates,
+    // else the page's built-in one
+    function load(options) {
+        const opts = Object.assign({ url: null }, options);
+        const fallback = builtIn();
+        const url = opts.url || (root.location ? new URLSearchParams(root.location.search).get('rubric') : null);
+        if (!url) return Promise.resolve(fallback);
+        return root.fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not fetch ${url} (${response.status})`);
+                return response.text();
+            })
+            .then(text => {
+                const rubric = parse(text);
+                const result = validate(rubric);
+                if (!result.valid) throw new Error(`${url}: ${result.errors[0]}`);
+                return rubric;
+            })
+            .catch(err => {
+                console.warn(`${err.message} - using the built-in rubric`);
+                return fallback;
+            });
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        countWords,
+        evaluate,
+        render,
+        validate,
+        parse,
+        builtIn,
+        load,
+        escapeHtml
+    };
+});
@@ -0,0 +1,316 @@
+// Run chart rule engine
+// Median, shifts, trends, runs and astronomical points for any time-ordered
+// series, following Perla, Provost & Murray (2011). Loaded by the run chart
+// and PDSA activities as window.QIHS.runChart, or required from Node.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.runChart = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULTS = {
+        shiftLength: 6,
+        trendLength: 5,
+        astronomicalIqr: 3
+    };
+
+    // Lower and upper limits for the number of runs, keyed by the number of
+    // useful observations (points not on the median). Perla et al. 2011, Table 1.
+    const RUNS_TABLE = {
+        10: [3, 9], 11: [3, 10], 12: [3, 11], 13: [4, 11], 14: [4, 12],
+        15: [5, 12], 16: [5, 13], 17: [5, 13], 18: [6, 14], 19: [6, 15],
+        20: [6, 16], 21: [7, 16], 22: [7, 17], 23: [7, 17], 24: [8, 18],
+        25: [8, 18], 26: [9, 19], 27: [10, 19], 28: [10, 20], 29: [10, 20],
+        30: [11, 21], 31: [11, 22], 32: [11, 22], 33: [11, 23], 34: [12, 23],
+        35: [13, 24], 36: [13, 25], 37: [13, 25], 38: [14, 26], 39: [14, 26],
+        40: [15, 27], 41: [16, 27], 42: [16, 28], 43: [17, 28], 44: [17, 29],
+        45: [17, 30], 46: [17, 31], 47: [18, 31], 48: [18, 32], 49: [19, 32],
+        50: [19, 33], 51: [20, 33], 52: [20, 34], 53: [21, 34], 54: [21, 35],
+        55: [22, 35], 56: [22, 36], 57: [23, 36], 58: [23, 37], 59: [24, 38],
+        60: [24, 38]
+    };
+
+    function median(values) {
+        if (!values.length) return NaN;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    function sideOf(value, centre) {
+        if (value > centre) return 1;
+        if (value < centre) return -1;
+        return 0;
+    }
+
+    // Points on the median neither add to nor break a shift.
+    function detectShifts(values, centre, minLength) {
+        const shifts = [];
+        let side = 0;
+        let indices = [];
+
+        const close = () => {
+            if (indices.length >= minLength) {
+                shifts.push({
+                    rule: 'shift',
+                    side: side > 0 ? 'above' : 'below',
+                    start: indices[0],
+                    end: indices[indices.length - 1],
+                    length: indices.length
+                });
+            }
+        };
+
+        values.forEach((value, i) => {
+            const s = sideOf(value, centre);
+            if (s === 0) return;
+            if (s !== side) {
+                close();
+                side = s;
+                indices = [];
+            }
+            indices.push(i);
+        });
+        close();
+        return shifts;
+    }
+
+    // Repeated values are ignored: they neither add to nor break a trend.
+    function detectTrends(values, minLength) {
+        const trends = [];
+        const points = [];
+        values.forEach((value, i) => {
+            if (!points.length || points[points.length - 1].value !== value) {
+                points.push({ value, index: i });
+            }
+        });
+
+        let direction = 0;
+        let startPoint = 0;
+
+        const close = (endPoint) => {
+            const length = endPoint - startPoint + 1;
+            if (direction !== 0 && length >= minLength) {
+                trends.push({
+                    rule: 'trend',
+                    direction: direction > 0 ? 'up' : 'down',
+                    start: points[startPoint].index,
+                    end: points[endPoint].index,
+                    length
+                });
+            }
+        };
+
+        for (let p = 1; p < points.length; p++) {
+            const d = points[p].value > points[p - 1].value ? 1 : -1;
+            if (d !== direction) {
+                close(p - 1);
+                direction = d;
+                startPoint = p - 1;
+            }
+        }
+        if (points.length > 1) close(points.length - 1);
+        return trends;
+    }
+
+    // Beyond the table, use the normal approximation to the runs distribution.
+    function runsLimits(useful) {
+        if (useful < 10) return null;
+        if (RUNS_TABLE[useful]) {
+            return { lower: RUNS_TABLE[useful][0], upper: RUNS_TABLE[useful][1], source: 'table' };
+        }
+        const n1 = Math.floor(useful / 2);
+        const n2 = useful - n1;
+        const mean = 1 + (2 * n1 * n2) / useful;
+        const variance = (2 * n1 * n2 * (2 * n1 * n2 - useful)) / (useful * useful * (useful - 1));
+        const sd = Math.sqrt(variance);
+        return {
+            lower: Math.ceil(mean - 1.96 * sd),
+            upper: Math.floor(mean + 1.96 * sd),
+            source: 'approximation'
+        };
+    }
+
+    function countRuns(values, centre) {
+        let runs = 0;
+        let useful = 0;
+        let side = 0;
+        values.forEach(value => {
+            const s = sideOf(value, centre);
+            if (s === 0) return;
+            useful++;
+            if (s !== side) {
+                runs++;
+                side = s;
+            }
+        });
+        const limits = runsLimits(useful);
+        let signal = null;
+        if (limits && runs < limits.lower) signal = 'too-few';
+        if (limits && runs > limits.upper) signal = 'too-many';
+        return { rule: 'runs', count: runs, useful, limits, signal, applicable: !!limits };
+    }
+
+    function quantile(sorted, q) {
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    // Astronomical points are the "blatantly obvious" outliers: beyond Tukey's
+    // far-out fences (quartiles ± k·IQR), which a trend alone will not reach.
+    function detectAstronomical(values, k) {
+        if (values.length < 4) return { limits: null, points: [] };
+        const sorted = values.slice().sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        if (!iqr) return { limits: null, points: [] };
+        const limits = { lower: q1 - k * iqr, upper: q3 + k * iqr };
+        const points = [];
+        values.forEach((value, i) => {
+            if (value > limits.upper || value < limits.lower) {
+                points.push({
+                    rule: 'astronomical',
+                    start: i,
+                    end: i,
+                    value,
+                    side: value > limits.upper ? 'above' : 'below'
+                });
+            }
+        });
+        return { limits, points };
+    }
+
+    function analyse(values, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const centre = opts.median != null ? opts.median : median(values);
+        const shifts = detectShifts(values, centre, opts.shiftLength);
+        const trends = detectTrends(values, opts.trendLength);
+        const runs = countRuns(values, centre);
+        const astronomical = detectAstronomical(values, opts.astronomicalIqr);
+        const signals = [].concat(shifts, trends, astronomical.points);
+        if (runs.signal) signals.push(Object.assign({ start: 0, end: values.length - 1 }, runs));
+        signals.sort((a, b) => a.start - b.start);
+
+        return {
+            n: values.length,
+            median: centre,
+            options: opts,
+            shifts,
+            trends,
+            runs,
+            astronomical: astronomical.points,
+            astronomicalLimits: astronomical.limits,
+            signals,
+            specialCause: signals.length > 0
+        };
+    }
+
+    // Accepts one value per line, or "label,value" rows separated by commas,
+    // semicolons or tabs. A non-numeric first row is treated as a header.
+    function parseSeries(text) {
+        const points = [];
+        const errors = [];
+        let header = null;
+        const lines = String(text || '').split(/\r?\n/);
+
+        lines.forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+            const cells = trimmed.split(/[,;\t]/).map(c => c.trim().replace(/^"(.*)"$/, '$1'));
+            const raw = cells.length > 1 ? cells[1] : cells[0];
+            const value = Number(raw);
+            if (raw === '' || !Number.isFinite(value)) {
+                if (!points.length && !header && !errors.length) {
+                    header = cells;
+                } else {
+                    errors.push(`Line ${i + 1}: "${raw}" is not a number`);
+                }
+                return;
+            }
+            points.push({
+                label: cells.length > 1 && cells[0] ? cells[0] : String(points.length + 1),
+                value
+            });
+        });
+
+        return { points, header, errors };
+    }
+
+    function formatNumber(value) {
+        return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(3)));
+    }
+
+    // Plain-language feedback for every rule, detected or not.
+    function describe(result, labels, unit) {
+        const name = i => (labels && labels[i] != null ? labels[i] : `point ${i + 1}`);
+        const span = s => `${name(s.start)} to ${name(s.end)}`;
+        const u = unit ? ` ${unit}` : '';
+        const m = formatNumber(result.median);
+        const opts = result.options;
+        const items = [];
+
+        items.push({
+            rule: 'shift',
+            detected: result.shifts.length > 0,
+            text: result.shifts.length
+                ? result.shifts.map(s => `${s.length} consecutive points ${s.side} the median (${m}${u}) from ${span(s)}.`).join(' ')
+                : `No run of ${opts.shiftLength} or more consecutive points on one side of the median (${m}${u}). Points on the median were skipped.`
+        });
+
+        items.push({
+            rule: 'trend',
+            detected: result.trends.length > 0,
+            text: result.trends.length
+                ? result.trends.map(t => `${t.length} consecutive points ${t.direction === 'up' ? 'rising' : 'falling'} from ${span(t)}.`).join(' ')
+                : `No sequence of ${opts.trendLength} or more points all rising or all falling. Repeated values were ignored.`
+        });
+
+        const r = result.runs;
+        let runsText;
+        if (!r.applicable) {
+            runsText = `${r.count} runs across ${r.useful} useful observations. At least 10 points off the median are needed before the runs rule can be applied.`;
+        } else {
+            const range = `${r.limits.lower}–${r.limits.upper}`;
+            if (r.signal === 'too-few') runsText = `Only ${r.count} runs across ${r.useful} useful observations, below the expected range of ${range}. The data is crossing the median too rarely.`;
+            else if (r.signal === 'too-many') runsText = `${r.count} runs across ${r.useful} useful observations, above the expected range of ${range}. The data is alternating more than chance would suggest.`;
+            else runsText = `${r.count} runs across ${r.useful} useful observations, within the expected range of ${range}.`;
+        }
+        items.push({ rule: 'runs', detected: !!r.signal, text: runsText });
+
+        const limits = result.astronomicalLimits;
+        items.push({
+            rule: 'astronomical',
+            detected: result.astronomical.length > 0,
+            text: result.astronomical.length
+                ? result.astronomical.map(a => `${name(a.start)} (${formatNumber(a.value)}${u}) is ${a.side} the expected range.`).join(' ')
+                : limits
+                    ? `No point falls outside ${formatNumber(limits.lower)}–${formatNumber(limits.upper)}${u}.`
+                    : 'Not enough variation to judge astronomical points.'
+        });
+
+        return items;
+    }
+
+    return {
+        DEFAULTS,
+        RUNS_TABLE,
+        median,
+        detectShifts,
+        detectTrends,
+        countRuns,
+        runsLimits,
+        detectAstronomical,
+        analyse,
+        parseSeries,
+        describe,
+        formatNumber
+    };
+});
@@ -0,0 +1,660 @@
+// Scenario packs
+// Case content for the branching decision activities, kept as JSON so
+// lecturers can write new clinical cases without touching JavaScript.
+// Exposed as window.QIHS.scenarios, or required from Node.
+//
+//     const pack = QIHS.scenarios.load('acp-trigger-points');
+//     const first = QIHS.scenarios.first(pack);
+//     const then = QIHS.scenarios.next(pack, first, chosenOption);
+//
+// Each activity carries its built-in pack in
+// <script type="application/json" id="scenario-pack">. `load` returns, in
+// order of preference, a pack kept in this browser - from ?pack=<url> or a
+// file the learner or lecturer loaded - or the built-in one. A ?pack= URL is
+// fetched on every visit. When it differs from the pack in use it is applied
+// straight away only if the learner has no saved work; otherwise the toolbar
+// offers it, and saved work stays until the learner chooses to switch.
+// tools/scenario-editor.html edits, validates and previews packs.
+//
+// Pack format (version 1):
+//
+//     {
+//       "format": "qihs-scenarios",
+//       "version": 1,
+//       "activity": "acp-trigger-points",       activities.json id
+//       "title": "ACP cases - respiratory",
+//       "author": "...", "description": "...",  optional
+//       "scoring": { "correct": 1, "partial": 0.5, "incorrect": 0 },
+//       "start": "richard",                     optional, else the first scenario
+//       "scenarios": [
+//         {
+//           "id": "richard",                    letters, digits and dashes
+//           "title": "Richard Thompson",
+//           "short": "Richard",                 button label, else the title
+//           "icon": "👴",
+//           "text": "Story, narrative or case description",
+//           "question": "When should you initiate an ACP conversation?",
+//           "options": [
+//             {
+//               "id": "first-admission",
+//               "label": "After first emergency admission",
+//               "result": "correct",            correct | partial | incorrect
+//               "score": 1,                     optional, overrides "scoring"
+//               "feedback": { "title": "...", "text": "...", "learning": "..." },
+//               "next": "maria"                 optional branch
+//             }
+//           ],
+//           "feedback": "Shown once the scenario is answered",
+//           "next": "maria"                     optional; "end" finishes
+//         }
+//       ]
+//     }
+//
+// Without a `next`, a scenario leads to the one after it in the list. Each
+// activity uses a subset of these fields plus a few of its own; PROFILES
+// lists them, and `validate` reports errors and warnings against them.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.scenarios = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-scenarios';
+    const VERSION = 1;
+    const END = 'end';
+    const STORAGE_PREFIX = 'qihs.scenarios.';
+    const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+    const RESULTS = ['correct', 'partial', 'incorrect'];
+    const DEFAULT_SCORING = { correct: 1, partial: 0.5, incorrect: 0 };
+
+    // ---------- Field definitions
+
+    // type: string | text (long string) | number | boolean | id | ref |
+    //       strings | numbers | feedback | scoring | group | timeline | options
+    const PACK_FIELDS = {
+        format: { type: 'string', required: true, doc: `Always "${FORMAT}".` },
+        version: { type: 'number', required: true, doc: `Format version; this is version ${VERSION}.` },
+        activity: { type: 'id', required: true, doc: 'The activities.json id of the activity the pack is for.' },
+        title: { type: 'string', required: true, doc: 'Name shown in the activity and the editor.' },
+        author: { type: 'string', doc: 'Who wrote the cases.' },
+        description: { type: 'text', doc: 'Notes for other lecturers; not shown to learners.' },
+        scoring: { type: 'scoring', doc: 'Points for each option result. Defaults to correct 1, partial 0.5, incorrect 0.' },
+        start: { type: 'ref', doc: 'Id of the first scenario. Defaults to the first in the list.' },
+        scenarios: { type: 'scenarios', required: true, doc: 'The cases, in their default order.' }
+    };
+
+    const SCENARIO_FIELDS = {
+        id: { type: 'id', required: true, doc: 'Unique within the pack: letters, digits and dashes.' },
+        title: { type: 'string', required: true, doc: 'Case title.' },
+        short: { type: 'string', doc: 'Shorter label for buttons. Defaults to the title.' },
+        subtitle: { type: 'string', doc: 'One line under the title.' },
+        icon: { type: 'string', doc: 'An emoji shown with the title.' },
+        text: { type: 'text', doc: 'The story, narrative or case description.' },
+        timeline: { type: 'timeline', doc: 'Dated events: { "when", "text", "trigger": true to highlight }.' },
+        question: { type: 'string', doc: 'The question put to the learner.' },
+        options: { type: 'options', doc: 'The choices the learner can make.' },
+        feedback: { type: 'feedback', doc: 'Shown once the scenario has been answered.' },
+        next: { type: 'ref', doc: `Scenario that follows, or "${END}". Defaults to the next in the list.` }
+    };
+
+    const OPTION_FIELDS = {
+        id: { type: 'id', required: true, doc: 'Unique within the scenario.' },
+        label: { type: 'string', required: true, doc: 'Text of the choice.' },
+        icon: { type: 'string', doc: 'An emoji shown with the choice.' },
+        result: { type: 'result', doc: 'correct, partial or incorrect.' },
+        score: { type: 'number', doc: 'Points for this choice, overriding the pack scoring.' },
+        feedback: { type: 'feedback', doc: 'Shown when this choice is made: text, or { "title", "text", "learning" }.' },
+        next: { type: 'ref', doc: 'Branch: scenario to go to after this choice.' }
+    };
+
+    const TIMELINE_FIELDS = {
+        when: { type: 'string', required: true, doc: 'e.g. "6 months ago".' },
+        text: { type: 'string', required: true, doc: 'What happened.' },
+        trigger: { type: 'boolean', doc: 'Highlight the event as a possible trigger point.' }
+    };
+
+    // Copies core fields by name, overriding any of their settings
+    function pick(core, names, overrides) {
+        const fields = {};
+        names.forEach(name => { fields[name] = Object.assign({}, core[name], (overrides || {})[name]); });
+        Object.keys(overrides || {}).forEach(name => {
+            if (!fields[name]) fields[name] = overrides[name];
+        });
+        return fields;
+    }
+
+    // What each activity reads from a pack. Fields outside these lists are
+    // reported as warnings, since the activity would silently ignore them.
+    const PROFILES = {
+        'acp-trigger-points': {
+            title: 'ACP Trigger Points Decision Tree',
+            file: 'ACP_Trigger_Points_Decision_Tree.html',
+            scenario: pick(SCENARIO_FIELDS, ['id', 'title', 'subtitle', 'icon', 'text', 'timeline', 'question', 'options', 'next'], {
+                options: { required: true, min: 2 },
+                question: { required: true },
+                timelineTitle: { type: 'string', doc: 'Heading over the timeline. Defaults to "Healthcare Journey".' }
+            }),
+            option: pick(OPTION_FIELDS, ['id', 'label', 'icon', 'result', 'score', 'feedback', 'next'], {
+                result: { required: true },
+                feedback: { required: true }
+            }),
+            scored: true
+        },
+        'narrative-detective': {
+            title: 'Patient Narrative Detective',
+            file: 'narrative-detective-activity (4).html',
+            scenario: pick(SCENARIO_FIELDS, ['id', 'title', 'short', 'text', 'question', 'options', 'feedback', 'next'], {
+                text: { required: true, doc: 'What the patient actually said.' },
+                question: { required: true, doc: 'The satisfaction survey question.' },
+                options: { required: true, min: 2, doc: 'Risk types the learner can tick; several may be chosen.' },
+                feedback: { required: true, doc: 'Analysis shown after the learner compares with peers.' },
+                metric: { type: 'string', required: true, doc: 'Headline figure, e.g. "85%".' },
+                metricLabel: { type: 'string', required: true, doc: 'What the figure measures.' }
+            }),
+            option: pick(OPTION_FIELDS, ['id', 'label', 'result'], {
+                result: { required: true, doc: '"correct" for a key hidden risk, "incorrect" for a distractor.' },
+                stat: { type: 'percent', doc: 'Percentage of peers who identified this risk.' }
+            }),
+            multiple: true
+        },
+        'swiss-cheese-builder': {
+            title: 'Swiss Cheese Model Builder',
+            file: 'swiss-cheese-builder (1).html',
+            scenario: pick(SCENARIO_FIELDS, ['id', 'title', 'short', 'icon', 'options'], {
+                options: { required: true, doc: 'Holes (weaknesses) the learner can add, each in one layer.' }
+            }),
+            option: pick(OPTION_FIELDS, ['id', 'label'], {
+                group: { type: 'group', required: true, doc: 'Layer number: 0 Organizational Factors, 1 Supervision, 2 Preconditions, 3 Specific Acts, 4 Defenses.' }
+            }),
+            groups: ['Organizational Factors', 'Supervision', 'Preconditions', 'Specific Acts', 'Defenses'],
+            everyGroup: true
+        },
+        'advanced-pdsa': {
+            title: 'Advanced PDSA Journey Builder',
+            file: 'advanced-pdsa-activity (4).html',
+            scenario: pick(SCENARIO_FIELDS, ['id', 'title', 'short', 'icon', 'text', 'options'], {
+                short: { doc: 'Practice setting shown on the button, e.g. "Care Home".' },
+                text: { required: true, doc: 'The improvement challenge.' },
+                options: { required: true, min: 1, doc: 'Stakeholders the learner can involve.' },
+                baseline: { type: 'number', required: true, doc: 'Starting value of the measure.' },
+                target: { type: 'number', required: true, doc: 'Target value of the measure.' },
+                unit: { type: 'string', required: true, doc: 'Unit appended to values, e.g. "%" or " falls/month".' },
+                considerations: { type: 'strings', doc: 'Prompts shown while planning cycle 1.' },
+                improvements: { type: 'numbers', required: true, length: 3, doc: 'Change in the measure from each of the three cycles.' }
+            }),
+            option: pick(OPTION_FIELDS, ['id', 'label', 'icon'])
+        },
+        'interactive-fishbone-rca': {
+            title: 'Interactive Fishbone RCA',
+            file: 'interactive-fishbone-rca.html',
+            scenario: pick(SCENARIO_FIELDS, ['id', 'title', 'short', 'text', 'options', 'feedback'], {
+                text: { required: true, doc: 'The incident, as learners first read it.' },
+                options: { required: true, min: 1, doc: 'Contributing factors learners can place on the diagram.' },
+                feedback: { doc: 'Shown with the expert analysis, e.g. what an equity lens reveals.' },
+                outcome: { type: 'string', required: true, doc: 'The harm or problem at the head of the fishbone.' },
+                categories: { type: 'strings', min: 2, max: 8, doc: 'Starting categories, one per line. Defaults to People, Process, Equipment, Environment, Communication, Organization.' }
+            }),
+            option: pick(OPTION_FIELDS, ['id', 'label', 'result'], {
+                result: { doc: '"correct" for a factor the expert RCA identified; leave empty for a plausible distractor.' },
+                equity: { type: 'boolean', doc: 'Only offered when the learner turns on the Equity Lens.' }
+            }),
+            multiple: true
+        }
+    };
+
+    // ---------- Validation
+
+    function validate(pack) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+        const warn = (path, message) => warnings.push({ path, message });
+
+        if (!isObject(pack)) {
+            error('', 'A scenario pack must be a JSON object');
+            return { valid: false, errors, warnings };
+        }
+        if (pack.format !== FORMAT) error('format', `format must be "${FORMAT}"`);
+        if (typeof pack.version === 'number' && pack.version > VERSION) {
+            error('version', `This is a version ${pack.version} pack; this page understands version ${VERSION}`);
+        }
+        const profile = PROFILES[pack.activity];
+        if (typeof pack.activity === 'string' && !profile) {
+            warn('activity', `"${pack.activity}" is not an activity that loads scenario packs (${Object.keys(PROFILES).join(', ')})`);
+        }
+        checkFields(pack, PACK_FIELDS, '', { error, warn });
+
+        const scenarios = Array.isArray(pack.scenarios) ? pack.scenarios : [];
+        if (Array.isArray(pack.scenarios) && !scenarios.length) error('scenarios', 'The pack needs at least one scenario');
+        const scenarioFields = profile ? profile.scenario : SCENARIO_FIELDS;
+        const optionFields = profile ? profile.option : OPTION_FIELDS;
+        const ids = new Set();
+
+        scenarios.forEach((scenario, i) => {
+            const path = `scenarios[${i}]`;
+            if (!isObject(scenario)) return error(path, 'Each scenario must be an object');
+            checkFields(scenario, scenarioFields, path, { error, warn, profile });
+            if (typeof scenario.id === 'string') {
+                if (scenario.id === END) error(`${path}.id`, `"${END}" is reserved for finishing the activity`);
+                else if (ids.has(scenario.id)) error(`${path}.id`, `Duplicate scenario id "${scenario.id}"`);
+                ids.add(scenario.id);
+            }
+            const options = Array.isArray(scenario.options) ? scenario.options : [];
+            const optionIds = new Set();
+            options.forEach((option, j) => {
+                const optionPath = `${path}.options[${j}]`;
+                if (!isObject(option)) return error(optionPath, 'Each option must be an object');
+                checkFields(option, optionFields, optionPath, { error, warn, profile });
+                if (typeof option.id === 'string') {
+                    if (optionIds.has(option.id)) error(`${optionPath}.id`, `Duplicate option id "${option.id}" in this scenario`);
+                    optionIds.add(option.id);
+                }
+            });
+            if (profile && profile.scored && options.length && !options.some(o => optionScore(pack, o) > 0)) {
+                warn(`${path}.options`, 'No option scores any points');
+            }
+            if (profile && profile.multiple && options.length && !options.some(o => o.result === 'correct')) {
+                warn(`${path}.options`, 'No option is marked "correct", so there is nothing to find');
+            }
+            if (profile && profile.everyGroup) {
+                profile.groups.forEach((group, g) => {
+                    if (!options.some(o => o.group === g)) error(`${path}.options`, `Layer ${g} (${group}) has no options`);
+                });
+            }
+        });
+
+        // References are checked once every id is known
+        const checkRef = (path, ref) => {
+            if (typeof ref === 'string' && ref !== END && !ids.has(ref)) error(path, `There is no scenario with id "${ref}"`);
+        };
+        checkRef('start', pack.start);
+        scenarios.forEach((scenario, i) => {
+            if (!isObject(scenario)) return;
+            checkRef(`scenarios[${i}].next`, scenario.next);
+            (Array.isArray(scenario.options) ? scenario.options : []).forEach((option, j) => {
+                if (isObject(option)) checkRef(`scenarios[${i}].options[${j}].next`, option.next);
+            });
+        });
+
+        if (!errors.length && scenarios.length) {
+            const reached = reachable(pack);
+            scenarios.forEach((scenario, i) => {
+                if (!reached.has(scenario.id)) warn(`scenarios[${i}]`, `"${scenario.id}" can never be reached from the start`);
+            });
+        }
+
+        return { valid: !errors.length, errors, warnings };
+    }
+
+    function checkFields(object, fields, path, report) {
+        const at = name => (path ? `${path}.${name}` : name);
+        Object.keys(fields).forEach(name => {
+            const spec = fields[name];
+            const value = object[name];
+            if (value === undefined || value === null || value === '') {
+                if (spec.required) report.error(at(name), `${name} is required`);
+                return;
+            }
+            const problem = checkType(value, spec, report.profile);
+            if (problem) report.error(at(name), `${name} ${problem}`);
+        });
+        Object.keys(object).forEach(name => {
+            if (!fields[name]) report.warn(at(name), `${name} is not used by this activity and will be ignored`);
+        });
+    }
+
+    function checkType(value, spec, profile) {
+        switch (spec.type) {
+            case 'string':
+            case 'text':
+                return typeof value === 'string' ? null : 'must be text';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+            case 'percent':
+                return typeof value === 'number' && value >= 0 && value <= 100 ? null : 'must be a number from 0 to 100';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'id':
+                return typeof value === 'string' && ID_PATTERN.test(value) ? null : 'must use only letters, digits and dashes';
+            case 'ref':
+                return typeof value === 'string' ? null : 'must be a scenario id';
+            case 'result':
+                return RESULTS.includes(value) ? null : `must be one of ${RESULTS.join(', ')}`;
+            case 'group': {
+                const count = profile && profile.groups ? profile.groups.length : Infinity;
+                return Number.isInteger(value) && value >= 0 && value < count ? null : `must be a whole number from 0 to ${count - 1}`;
+            }
+            case 'strings':
+                if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) return 'must be a list of text';
+                if (spec.min && value.length < spec.min) return `needs at least ${spec.min}`;
+                return spec.max && value.length > spec.max ? `may have at most ${spec.max}` : null;
+            case 'numbers':
+                if (!Array.isArray(value) || !value.every(v => typeof v === 'number' && Number.isFinite(v))) return 'must be a list of numbers';
+                return spec.length && value.length !== spec.length ? `must have exactly ${spec.length} numbers` : null;
+            case 'feedback':
+                if (typeof value === 'string') return null;
+                if (!isObject(value) || typeof value.text !== 'string') return 'must be text, or an object with at least "text"';
+                return ['title', 'learning'].every(k => value[k] === undefined || typeof value[k] === 'string') ? null : 'title and learning must be text';
+            case 'scoring':
+                if (!isObject(value)) return 'must be an object such as { "correct": 1, "partial": 0.5 }';
+                return Object.keys(value).every(k => RESULTS.includes(k) && typeof value[k] === 'number')
+                    ? null : `may only give numbers for ${RESULTS.join(', ')}`;
+            case 'timeline':
+                if (!Array.isArray(value)) return 'must be a list of events';
+                return value.every(e => isObject(e) && typeof e.when === 'string' && typeof e.text === 'string'
+                    && (e.trigger === undefined || typeof e.trigger === 'boolean'))
+                    ? null : 'events each need "when" and "text"';
+            case 'options':
+                if (!Array.isArray(value)) return 'must be a list';
+                return spec.min && value.length < spec.min ? `needs at least ${spec.min}` : null;
+            case 'scenarios':
+                return Array.isArray(value) ? null : 'must be a list';
+            default:
+                return null;
+        }
+    }
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // ---------- Navigation and scoring
+
+    function find(pack, id) {
+        return pack.scenarios.find(s => s.id === id) || null;
+    }
+
+    function first(pack) {
+        return (pack.start && find(pack, pack.start)) || pack.scenarios[0] || null;
+    }
+
+    // The scenario after `scenario`, following the option's branch if it has one
+    function next(pack, scenario, option) {
+        const ref = option && option.next ? option.next : scenario.next;
+        if (ref === END) return null;
+        if (ref) return find(pack, ref);
+        return pack.scenarios[pack.scenarios.indexOf(scenario) + 1] || null;
+    }
+
+    function successors(pack, scenario) {
+        const targets = [next(pack, scenario)];
+        (scenario.options || []).forEach(option => { if (option.next) targets.push(next(pack, scenario, option)); });
+        return targets.filter(Boolean);
+    }
+
+    function reachable(pack) {
+        const seen = new Set();
+        const queue = [first(pack)].filter(Boolean);
+        while (queue.length) {
+            const scenario = queue.shift();
+            if (seen.has(scenario.id)) continue;
+            seen.add(scenario.id);
+            queue.push(...successors(pack, scenario));
+        }
+        return seen;
+    }
+
+    // Scenarios on the default route from `scenario` onwards, for progress bars
+    function route(pack, scenario) {
+        const ids = [];
+        let current = scenario;
+        while (current && !ids.includes(current.id)) {
+            ids.push(current.id);
+            current = next(pack, current);
+        }
+        return ids;
+    }
+
+    function optionScore(pack, option) {
+        if (typeof option.score === 'number') return option.score;
+        const scoring = Object.assign({}, DEFAULT_SCORING, pack.scoring);
+        return option.result ? scoring[option.result] || 0 : 0;
+    }
+
+    function maxScore(pack, scenario) {
+        return Math.max(0, ...(scenario.options || []).map(o => optionScore(pack, o)));
+    }
+
+    // Feedback as { title, text, learning }, whichever form it was written in
+    function feedback(value) {
+        if (!value) return { title: '', text: '', learning: '' };
+        if (typeof value === 'string') return { title: '', text: value, learning: '' };
+        return { title: value.title || '', text: value.text || '', learning: value.learning || '' };
+    }
+
+    // Pack text is shown with innerHTML by the activities
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ---------- Loading
+
+    // Accepts pack JSON, or an activity's HTML with its built-in pack inside
+    function parse(text) {
+        let json = String(text).trim();
+        if (json.startsWith('<')) {
+            const match = /<script[^>]*id=["']scenario-pack["'][^>]*>([\s\S]*?)<\/script>/i.exec(json);
+            if (!match) throw new Error('That page has no built-in scenario pack');
+            json = match[1];
+        }
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+
+    function builtIn() {
+        const el = root.document && root.document.getElementById('scenario-pack');
+        return el ? parse(el.textContent) : null;
+    }
+
+    function storage() {
+        try {
+            return root.localStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function stored(activity) {
+        const s = storage();
+        try {
+            const raw = s && s.getItem(STORAGE_PREFIX + activity);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Keeps a custom pack for this activity in this browser
+    function use(pack, source) {
+        const s = storage();
+        if (!s) throw new Error('This browser is blocking storage, so the pack cannot be kept');
+        s.setItem(STORAGE_PREFIX + pack.activity, JSON.stringify({ source: source || null, loadedAt: new Date().toISOString(), pack }));
+    }
+
+    function forget(activity) {
+        const s = storage();
+        if (s) s.removeItem(STORAGE_PREFIX + activity);
+    }
+
+    // Starts the activity again so saved answers never point at another pack's cases
+    function restart() {
+        const progress = root.QIHS && root.QIHS.progress && root.QIHS.progress.current;
+        if (progress) progress.restart();
+        else root.location.reload();
+    }
+
+    function usable(pack, activity) {
+        if (!pack || pack.activity !== activity) return false;
+        return validate(pack).valid;
+    }
+
+    // Returns the pack the activity should run now
+    function load(activity, options) {
+        const opts = Object.assign({ toolbar: true }, options);
+        const fallback = opts.builtIn || builtIn();
+        const saved = stored(activity);
+        let notice = null;
+        let pack = fallback;
+        let source = null;
+
+        if (saved && usable(saved.pack, activity)) {
+            pack = saved.pack;
+            source = saved.source;
+        } else if (saved) {
+            forget(activity);
+            notice = 'The loaded scenario pack no longer validates; using the built-in cases';
+        }
+
+        const url = root.location ? new URLSearchParams(root.location.search).get('pack') : null;
+        if (url) fetchPack(url, activity, pack);
+
+        if (opts.toolbar && root.document) mountToolbar(activity, pack, source, !!(saved && pack === saved.pack), notice);
+        current = pack;
+        return pack;
+    }
+
+    // A shared link must never wipe a learner's work, so a pack that differs
+    // from the one in use restarts the activity only when nothing is saved
+    function fetchPack(url, activity, inUse) {
+        root.fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not fetch ${url} (${response.status})`);
+                return response.text();
+            })
+            .then(text => {
+                const pack = parse(text);
+                if (pack.activity !== activity) throw new Error(`${url} is a pack for "${pack.activity}", not this activity`);
+                const result = validate(pack);
+                if (!result.valid) throw new Error(`${url}: ${result.errors[0].path} ${result.errors[0].message}`);
+                if (JSON.stringify(inUse) === JSON.stringify(pack)) return;
+                // The page registers its saved work while it loads, so decide after that
+                whenLoaded(() => {
+                    if (hasSavedWork()) return offer({ pack, url });
+                    use(pack, url);
+                    restart();
+                });
+            })
+            .catch(err => status(err.message));
+    }
+
+    function whenLoaded(fn) {
+        const document = root.document;
+        if (document && document.readyState === 'loading') document.addEventListener('DOMContentLoaded', fn);
+        else fn();
+    }
+
+    function hasSavedWork() {
+        const progress = root.QIHS && root.QIHS.progress;
+        const tracker = progress && progress.current;
+        return !!(tracker && progress.read(tracker.id));
+    }
+
+    // ---------- Toolbar
+
+    let statusEl = null;
+    let linkButton = null;
+    let linked = null;
+    let current = null;
+
+    function status(message) {
+        if (statusEl) statusEl.textContent = message;
+    }
+
+    // Shows the linked pack once both it and the toolbar are there
+    function offer(pending) {
+        if (pending) linked = pending;
+        if (!linked || !linkButton) return;
+        status(`This link has other cases: "${linked.pack.title}". Your saved work is kept until you switch.`);
+        linkButton.hidden = false;
+    }
+
+    // The pack's buttons go in the page toolbar the progress store keeps
+    function mountToolbar(activity, pack, source, custom, notice) {
+        const document = root.document;
+        const mount = () => {
+            const progress = root.QIHS && root.QIHS.progress;
+            if (!progress) return;
+            const bar = progress.toolbarGroup('Scenario pack', `
+                <span class="qihs-scenarios-status" role="status" aria-live="polite"></span>
+                <button type="button" data-action="load" title="Use cases from a scenario pack file">Load cases…</button>
+                <button type="button" data-action="reset" title="Go back to the cases this activity came with"${custom ? '' : ' hidden'}>Built-in cases</button>
+                <button type="button" data-action="linked" title="Use the cases from the link you opened" hidden>Use linked cases</button>
+                <input type="file" accept=".json,application/json" hidden>
+            `);
+
+            statusEl = bar.querySelector('.qihs-scenarios-status');
+            status(notice || `Cases: ${pack ? pack.title : 'none'}${custom && source ? ` (${source})` : ''}`);
+            const fileInput = bar.querySelector('input[type="file"]');
+            bar.querySelector('[data-action="load"]').addEventListener('click', () => fileInput.click());
+            bar.querySelector('[data-action="reset"]').addEventListener('click', () => {
+                if (!confirm('Switch back to the built-in cases? This starts the activity again.')) return;
+                forget(activity);
+                restart();
+            });
+            linkButton = bar.querySelector('[data-action="linked"]');
+            linkButton.addEventListener('click', () => {
+                if (!confirm(`Use "${linked.pack.title}" (${linked.pack.scenarios.length} cases)? This starts the activity again and clears your saved answers.`)) return;
+                use(linked.pack, linked.url);
+                restart();
+            });
+            offer();
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                file.text().then(text => {
+                    const loaded = parse(text);
+                    if (loaded.activity !== activity) throw new Error(`That pack is for "${loaded.activity}", not this activity`);
+                    const result = validate(loaded);
+                    if (!result.valid) throw new Error(`${result.errors.length} problem(s), first: ${result.errors[0].path} ${result.errors[0].message}`);
+                    if (!confirm(`Use "${loaded.title}" (${loaded.scenarios.length} cases)? This starts the activity again.`)) return;
+                    use(loaded, file.name);
+                    restart();
+                }).catch(err => status(err.message || 'Could not read that file'));
+            });
+        };
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mount);
+        else mount();
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        END,
+        STORAGE_PREFIX,
+        PROFILES,
+        PACK_FIELDS,
+        SCENARIO_FIELDS,
+        OPTION_FIELDS,
+        TIMELINE_FIELDS,
+        validate,
+        parse,
+        load,
+        use,
+        forget,
+        builtIn,
+        find,
+        first,
+        next,
+        route,
+        reachable,
+        optionScore,
+        maxScore,
+        feedback,
+        escapeHtml,
+        get current() { return current; }
+    };
+});
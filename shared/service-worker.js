@@ -0,0 +1,54 @@
+// Service worker for the offline app bundle
+// tools/pwa-build.js writes a sw.js at the root of the bundle that sets
+// self.QIHS_PWA = { version, files } and then imports this file and
+// shared/offline.js. Every file of the library is cached on install, under
+// a cache named for the build's version, and served from there, so activities
+// open on a placement with no Wi-Fi. A new build installs alongside the old
+// one and waits until the learner accepts the "new content" prompt
+// (shared/offline.js), then the old caches are removed. The outbox of
+// results recorded offline is replayed on Background Sync.
+'use strict';
+
+const CONFIG = self.QIHS_PWA || { version: 'dev', files: [] };
+const CACHE_PREFIX = 'qihs-pwa-';
+const CACHE = CACHE_PREFIX + CONFIG.version;
+const FALLBACK = './';
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(CONFIG.files)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    const type = event.data && event.data.type;
+    if (type === 'skip-waiting') self.skipWaiting();
+    else if (type === 'replay') event.waitUntil(self.QIHS.offline.replay());
+});
+
+// Cache first, ignoring query strings such as ?pack= and xAPI launch
+// parameters; anything not in the bundle goes to the network as usual
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE).then(cache => cache.match(request, { ignoreSearch: true })
+        .then(hit => hit || fetch(request).catch(err => {
+            // A page that is not in the bundle opens the library instead of an error
+            if (request.mode === 'navigate') return cache.match(FALLBACK).then(page => page || Promise.reject(err));
+            throw err;
+        }))));
+});
+
+// Failing the sync while requests are left makes the browser try again later
+self.addEventListener('sync', event => {
+    if (event.tag !== self.QIHS.offline.SYNC_TAG) return;
+    event.waitUntil(self.QIHS.offline.replay().then(result => {
+        if (result.left) throw new Error(`${result.left} queued request(s) still waiting for a connection`);
+    }));
+});
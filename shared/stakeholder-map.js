@@ -0,0 +1,632 @@
+// Shared stakeholder maps
+// A power/interest stakeholder map kept as a log of attributed changes
+// (add, remove, place), so several people can build one map together.
+// Every copy that has seen the same changes shows the same map: changes are
+// replayed in Lamport-clock order and the last write to a stakeholder wins.
+// The log doubles as the history timeline and makes undo and restore plain
+// new changes. Exposed as window.QIHS.stakeholderMap.
+//
+//     const map = QIHS.stakeholderMap.createDoc({ author: 'Sam' });
+//     map.on('change', () => render(map.state()));
+//     map.add('Night staff', 'hidden');
+//     map.place('Night staff', 120, 340, 3);
+//     map.undo();
+//
+//     const session = QIHS.stakeholderMap.connect(map);   // server/map-sessions.js
+//     session.create('Group 4');                          // or session.join('ABC123')
+//
+// Two exported maps are merged with `compare()` and `merge()`: stakeholders
+// only the other map has are added under their original author, and each
+// stakeholder placed in different quadrants is settled by a choice.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.stakeholderMap = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-stakeholder-map';
+    const VERSION = 1;
+    const DEFAULT_PORT = 8788;
+    const PATH = '/maps';
+    const MAX_NAME = 80;
+    const MAX_AUTHOR = 40;
+    const BATCH = 100;
+
+    const CATEGORIES = ['formal', 'informal', 'affected', 'hidden'];
+    const CATEGORY_LABELS = {
+        formal: 'Formal power',
+        informal: 'Informal power',
+        affected: 'Those affected',
+        hidden: 'Hidden stakeholders'
+    };
+    const QUADRANTS = {
+        1: 'Manage Closely',
+        2: 'Keep Satisfied',
+        3: 'Keep Informed',
+        4: 'Monitor'
+    };
+    const TYPES = ['add', 'remove', 'place'];
+
+    const ACTOR_KEY = 'qihs.map.actor';
+    const AUTHOR_KEY = 'qihs.map.author';
+
+    function storage() {
+        try {
+            return root.localStorage || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function remember(key, value) {
+        const s = storage();
+        try {
+            if (s && value != null) s.setItem(key, value);
+            return s ? s.getItem(key) : value || null;
+        } catch (e) {
+            return value || null;
+        }
+    }
+
+    const randomId = () => Array.from({ length: 3 }, () => Math.random().toString(36).slice(2, 8)).join('');
+
+    // One id per browser, so a person's changes stay theirs across sessions
+    function actorId() {
+        let id = remember(ACTOR_KEY);
+        if (!id) {
+            id = randomId();
+            remember(ACTOR_KEY, id);
+        }
+        return id;
+    }
+
+    function authorName(name) {
+        if (name != null) remember(AUTHOR_KEY, String(name).trim().slice(0, MAX_AUTHOR));
+        return remember(AUTHOR_KEY) || '';
+    }
+
+    const key = name => String(name).trim().toLowerCase();
+
+    // ---------- Changes
+
+    function isText(value, max) {
+        return typeof value === 'string' && value.trim() !== '' && value.length <= max;
+    }
+
+    const isName = value => value == null || (typeof value === 'string' && value.length <= MAX_AUTHOR);
+
+    // Checks a change from another browser or a file before it is replayed
+    function validOp(op) {
+        if (!op || typeof op !== 'object') return false;
+        if (!isText(op.id, 80) || !isText(op.actor, 64) || !TYPES.includes(op.type)) return false;
+        if (!Number.isInteger(op.clock) || op.clock < 1 || !Number.isFinite(op.time)) return false;
+        if (!isName(op.author) || !isName(op.addedBy) || !isName(op.placedBy)) return false;
+        if (!isText(op.name, MAX_NAME)) return false;
+        if (op.type === 'add' && !CATEGORIES.includes(op.category)) return false;
+        if (op.type === 'place') {
+            if (op.quadrant !== null && ![1, 2, 3, 4].includes(op.quadrant)) return false;
+            if (!Number.isFinite(op.x) || !Number.isFinite(op.y)) return false;
+        }
+        if (op.undoes != null && !isText(op.undoes, 80)) return false;
+        if (op.restores != null && !Number.isInteger(op.restores)) return false;
+        return true;
+    }
+
+    const FIELDS = ['id', 'actor', 'author', 'clock', 'time', 'type', 'name', 'category', 'x', 'y', 'quadrant',
+        'addedBy', 'placedBy', 'undoes', 'restores', 'merged'];
+
+    // A valid change with nothing else attached, or null
+    function clean(op) {
+        if (!validOp(op)) return null;
+        const copy = {};
+        FIELDS.forEach(field => { if (op[field] !== undefined) copy[field] = op[field]; });
+        if (copy.merged !== undefined) copy.merged = copy.merged === true;
+        return copy;
+    }
+
+    function order(a, b) {
+        return a.clock - b.clock || (a.actor < b.actor ? -1 : a.actor > b.actor ? 1 : 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    }
+
+    // The map after a list of changes, keyed by lower-cased name
+    function replay(ops) {
+        const stakeholders = {};
+        ops.forEach(op => {
+            const k = key(op.name);
+            const current = stakeholders[k];
+            if (op.type === 'add') {
+                if (current) {
+                    current.category = op.category;
+                } else {
+                    stakeholders[k] = {
+                        name: op.name.trim(),
+                        category: op.category,
+                        quadrant: null,
+                        x: 0,
+                        y: 0,
+                        addedBy: op.addedBy != null ? op.addedBy : op.author || '',
+                        placedBy: '',
+                        updated: op.time
+                    };
+                }
+            } else if (op.type === 'remove') {
+                delete stakeholders[k];
+            } else if (op.type === 'place' && current) {
+                current.quadrant = op.quadrant;
+                current.x = op.x;
+                current.y = op.y;
+                current.placedBy = !op.quadrant ? '' : op.placedBy != null ? op.placedBy : op.author || '';
+                current.updated = op.time;
+            }
+        });
+        return stakeholders;
+    }
+
+    // The page's original shape: names per category and positions by name
+    function toLegacy(stakeholders) {
+        const lists = {};
+        CATEGORIES.forEach(category => { lists[category] = []; });
+        const positions = {};
+        Object.keys(stakeholders).forEach(k => {
+            const s = stakeholders[k];
+            lists[s.category].push(s.name);
+            if (s.quadrant) positions[s.name] = { x: s.x, y: s.y, quadrant: s.quadrant };
+        });
+        return { stakeholders: lists, positions };
+    }
+
+    function describe(op) {
+        const who = op.author || 'Someone';
+        let text;
+        const credit = op.type === 'add' ? op.addedBy : op.placedBy;
+        if (op.type === 'add') text = `${who} added ${op.name} (${CATEGORY_LABELS[op.category]})`;
+        else if (op.type === 'remove') text = `${who} removed ${op.name}`;
+        else if (op.quadrant) text = `${who} placed ${op.name} in ${QUADRANTS[op.quadrant]}`;
+        else text = `${who} took ${op.name} off the grid`;
+        if (op.merged) text += ' from a merged map';
+        if (credit && credit !== op.author) text += `, originally ${op.type === 'add' ? 'added' : 'placed'} by ${credit}`;
+        if (op.undoes) text += ' (undo)';
+        if (op.restores != null) text += ` (back to step ${op.restores})`;
+        return text;
+    }
+
+    // Changes that turn the `from` map into the `to` map
+    function diff(from, to) {
+        const changes = [];
+        Object.keys(from).forEach(k => {
+            if (!to[k]) changes.push({ type: 'remove', name: from[k].name });
+        });
+        Object.keys(to).forEach(k => {
+            const want = to[k];
+            const have = from[k];
+            if (!have || have.category !== want.category) {
+                changes.push({ type: 'add', name: want.name, category: want.category, addedBy: want.addedBy || '' });
+            }
+            if (!have || have.quadrant !== want.quadrant || (want.quadrant && (have.x !== want.x || have.y !== want.y))) {
+                if (want.quadrant || (have && have.quadrant)) {
+                    changes.push({ type: 'place', name: want.name, x: want.x, y: want.y, quadrant: want.quadrant, placedBy: want.placedBy || '' });
+                }
+            }
+        });
+        return changes;
+    }
+
+    // ---------- Document
+
+    function createDoc(options) {
+        const opts = Object.assign({ actor: null, author: null, ops: [] }, options);
+        const listeners = {};
+        const emit = (event, ...args) => (listeners[event] || []).forEach(fn => fn(...args));
+        let ops = [];
+        let ids = new Set();
+        let clock = 0;
+        let seq = 0;
+        let cache = null;
+        const skipped = new Set();
+
+        const doc = {
+            actor: opts.actor || actorId(),
+            author: opts.author != null ? opts.author : authorName(),
+
+            on(event, fn) {
+                (listeners[event] = listeners[event] || []).push(fn);
+                return doc;
+            },
+
+            // Adds changes from anywhere; ones already seen are ignored
+            apply(incoming, meta) {
+                const fresh = (incoming || []).map(clean).filter(op => op && !ids.has(op.id));
+                if (!fresh.length) return [];
+                fresh.forEach(op => {
+                    ids.add(op.id);
+                    clock = Math.max(clock, op.clock);
+                    if (op.actor === doc.actor) {
+                        const n = Number(op.id.split(':').pop());
+                        if (Number.isInteger(n)) seq = Math.max(seq, n);
+                    }
+                });
+                ops = ops.concat(fresh).sort(order);
+                cache = null;
+                emit('change', Object.assign({ ops: fresh }, meta));
+                return fresh;
+            },
+
+            get ops() {
+                return ops.slice();
+            },
+
+            state() {
+                if (!cache) cache = replay(ops);
+                return cache;
+            },
+
+            find(name) {
+                return doc.state()[key(name)] || null;
+            },
+
+            // The map as it was after the first `count` changes
+            at(count) {
+                return replay(ops.slice(0, count));
+            },
+
+            history() {
+                return ops.map((op, index) => ({ index: index + 1, op, text: describe(op) }));
+            },
+
+            // Makes, applies and announces this browser's own changes
+            commit(changes, extra) {
+                const made = changes.map(change => Object.assign({
+                    id: `${doc.actor}:${++seq}`,
+                    actor: doc.actor,
+                    author: doc.author || '',
+                    clock: ++clock,
+                    time: Date.now()
+                }, change, extra));
+                const applied = doc.apply(made, { local: true });
+                if (applied.length) emit('local', applied);
+                return applied;
+            },
+
+            add(name, category) {
+                const existing = doc.find(name);
+                if (!isText(String(name || ''), MAX_NAME) || (existing && existing.category === category)) return null;
+                return doc.commit([{ type: 'add', name: String(name).trim(), category }])[0];
+            },
+
+            remove(name) {
+                const existing = doc.find(name);
+                return existing ? doc.commit([{ type: 'remove', name: existing.name }])[0] : null;
+            },
+
+            place(name, x, y, quadrant) {
+                const existing = doc.find(name);
+                if (!existing) return null;
+                return doc.commit([{ type: 'place', name: existing.name, x: Math.round(x), y: Math.round(y), quadrant: quadrant || null }])[0];
+            },
+
+            // Reverts this browser's latest change that has not been undone,
+            // with new changes so everyone in the session sees the undo
+            undo() {
+                const undone = new Set(ops.filter(op => op.undoes).map(op => op.undoes));
+                for (let i = ops.length - 1; i >= 0; i--) {
+                    const op = ops[i];
+                    if (op.actor !== doc.actor || op.undoes || undone.has(op.id) || skipped.has(op.id)) continue;
+                    const k = key(op.name);
+                    const before = replay(ops.slice(0, i))[k];
+                    const now = doc.state()[k];
+                    const changes = diff(now ? { [k]: now } : {}, before ? { [k]: before } : {});
+                    // Already back as it was, e.g. someone else reverted it: try the one before
+                    if (!changes.length) {
+                        skipped.add(op.id);
+                        continue;
+                    }
+                    return doc.commit(changes, { undoes: op.id });
+                }
+                return [];
+            },
+
+            canUndo() {
+                const undone = new Set(ops.filter(op => op.undoes).map(op => op.undoes));
+                return ops.some(op => op.actor === doc.actor && !op.undoes && !undone.has(op.id) && !skipped.has(op.id));
+            },
+
+            // Brings back the map as it was after `count` changes
+            restore(count) {
+                return doc.commit(diff(doc.state(), doc.at(count)), { restores: count });
+            },
+
+            // Removes everything, as ordinary changes so a session sees it too
+            clear() {
+                return doc.commit(Object.keys(doc.state()).map(k => ({ type: 'remove', name: doc.state()[k].name })));
+            },
+
+            // Forgets the local log, e.g. before joining another session
+            reset(initial) {
+                ops = [];
+                ids = new Set();
+                cache = null;
+                doc.apply(initial || [], { reset: true });
+                if (!(initial || []).length) emit('change', { ops: [], reset: true });
+            },
+
+            toJSON(title) {
+                return {
+                    format: FORMAT,
+                    version: VERSION,
+                    title: title || '',
+                    author: doc.author || '',
+                    exportedAt: new Date().toISOString(),
+                    stakeholders: Object.values(doc.state()),
+                    ops: doc.ops
+                };
+            },
+
+            // Settles two maps: choices maps a stakeholder key to 'mine' or 'theirs'.
+            // Merged stakeholders keep the credit for who added and placed them.
+            merge(other, choices) {
+                const result = compareMaps(doc.state(), other);
+                const changes = [];
+                result.added.forEach(s => {
+                    changes.push({ type: 'add', name: s.name, category: s.category, addedBy: s.addedBy || '' });
+                    if (s.quadrant) changes.push({ type: 'place', name: s.name, x: s.x, y: s.y, quadrant: s.quadrant, placedBy: s.placedBy || '' });
+                });
+                result.conflicts.forEach(c => {
+                    if ((choices || {})[c.key] !== 'theirs') return;
+                    const s = c.theirs;
+                    changes.push({ type: 'place', name: c.mine.name, x: s.x, y: s.y, quadrant: s.quadrant, placedBy: s.placedBy || '' });
+                });
+                return doc.commit(changes, { merged: true });
+            }
+        };
+
+        doc.apply(opts.ops);
+        return doc;
+    }
+
+    // ---------- Merging exported maps
+
+    // What merging `other` (an export or a stakeholder list) into `mine` would do
+    function compareMaps(mine, other) {
+        const theirs = other && Array.isArray(other.ops) ? replay(other.ops.filter(validOp).sort(order)) : other || {};
+        const added = [];
+        const conflicts = [];
+        let same = 0;
+        Object.keys(theirs).forEach(k => {
+            const t = theirs[k];
+            const m = mine[k];
+            if (!m) added.push(t);
+            else if ((m.quadrant || null) !== (t.quadrant || null)) conflicts.push({ key: k, name: m.name, mine: m, theirs: t });
+            else same++;
+        });
+        return { added, conflicts, same, onlyMine: Object.keys(mine).filter(k => !theirs[k]).length };
+    }
+
+    // Reads an exported map file
+    function parse(text) {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            return { map: null, errors: ['This file is not valid JSON'] };
+        }
+        if (!data || data.format !== FORMAT || !Array.isArray(data.ops)) {
+            return { map: null, errors: ['This is not an exported stakeholder map'] };
+        }
+        if (data.version > VERSION) return { map: null, errors: ['This map was exported by a newer version of the tool'] };
+        const ops = data.ops.filter(validOp);
+        const errors = ops.length < data.ops.length ? [`${data.ops.length - ops.length} unreadable change(s) were skipped`] : [];
+        return { map: Object.assign({}, data, { ops }), errors };
+    }
+
+    // Changes that recreate a map saved before maps had a history
+    function fromLegacy(stakeholders, positions, author) {
+        const ops = [];
+        const actor = 'legacy';
+        let clock = 0;
+        const make = change => ops.push(Object.assign({ id: `${actor}:${clock + 1}`, actor, author: author || '', clock: ++clock, time: 0 }, change));
+        CATEGORIES.forEach(category => {
+            ((stakeholders || {})[category] || []).forEach(name => {
+                if (!isText(String(name), MAX_NAME)) return;
+                make({ type: 'add', name: String(name).trim(), category });
+                const pos = (positions || {})[name];
+                if (pos && [1, 2, 3, 4].includes(pos.quadrant)) {
+                    make({ type: 'place', name: String(name).trim(), x: Math.round(Number(pos.x) || 0), y: Math.round(Number(pos.y) || 0), quadrant: pos.quadrant });
+                }
+            });
+        });
+        return ops;
+    }
+
+    // ---------- Live sessions
+
+    function serverUrl() {
+        const params = new URLSearchParams(root.location.search);
+        const explicit = params.get('server');
+        if (explicit) {
+            if (/^wss?:\/\//.test(explicit)) return explicit;
+            return `ws://${explicit.replace(/\/+$/, '')}${PATH}`;
+        }
+        if (/^https?:$/.test(root.location.protocol)) {
+            return `${root.location.protocol === 'https:' ? 'wss' : 'ws'}://${root.location.host}${PATH}`;
+        }
+        return `ws://localhost:${DEFAULT_PORT}${PATH}`;
+    }
+
+    function sessionFromUrl() {
+        const code = new URLSearchParams(root.location.search).get('session');
+        return code ? code.trim().toUpperCase() : null;
+    }
+
+    function joinLink(code) {
+        const url = new URL(root.location.href);
+        url.searchParams.set('session', code);
+        return url.toString();
+    }
+
+    // Keeps a document in step with a session on server/map-sessions.js.
+    // On every (re)join the server sends the whole log and this browser sends
+    // back whatever the server has not seen, so edits made offline catch up.
+    function connect(doc, options) {
+        const opts = Object.assign({ url: null }, options);
+        const listeners = {};
+        const emit = (event, ...args) => (listeners[event] || []).forEach(fn => fn(...args));
+        let socket = null;
+        let retry = 1000;
+        let joined = false;
+        let stopped = false;
+        let creating = null;
+
+        const session = {
+            room: null,
+            title: '',
+            participants: [],
+            url: opts.url || serverUrl(),
+
+            get connected() {
+                return !!socket && socket.readyState === 1;
+            },
+
+            get joined() {
+                return joined;
+            },
+
+            on(event, fn) {
+                (listeners[event] = listeners[event] || []).push(fn);
+                return session;
+            },
+
+            create(title) {
+                creating = { type: 'create', title: title || '' };
+                session.room = null;
+                joined = false;
+                if (session.connected) socket.send(JSON.stringify(creating));
+                else open();
+            },
+
+            join(code) {
+                session.room = String(code || '').trim().toUpperCase();
+                joined = false;
+                creating = null;
+                if (session.connected) hello();
+                else open();
+            },
+
+            // Tells the others a new display name
+            rename(author) {
+                doc.author = author;
+                if (joined) socket.send(JSON.stringify({ type: 'hello', author }));
+            },
+
+            leave() {
+                stopped = true;
+                joined = false;
+                session.room = null;
+                session.participants = [];
+                if (socket) socket.close();
+                emit('status', 'left');
+            }
+        };
+
+        function hello() {
+            socket.send(JSON.stringify({ type: 'join', room: session.room, actor: doc.actor, author: doc.author || '' }));
+        }
+
+        function push(list) {
+            for (let i = 0; i < list.length; i += BATCH) {
+                socket.send(JSON.stringify({ type: 'ops', ops: list.slice(i, i + BATCH) }));
+            }
+        }
+
+        doc.on('local', made => {
+            if (joined && session.connected) push(made);
+        });
+
+        function open() {
+            stopped = false;
+            if (socket && socket.readyState <= 1) return;
+            emit('status', 'connecting');
+            try {
+                socket = new root.WebSocket(session.url);
+            } catch (e) {
+                emit('status', 'offline', e.message);
+                return;
+            }
+            socket.onopen = () => {
+                retry = 1000;
+                emit('status', 'connected');
+                if (creating) socket.send(JSON.stringify(creating));
+                else if (session.room) hello();
+            };
+            socket.onmessage = event => {
+                let msg;
+                try {
+                    msg = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                if (msg.type === 'created') {
+                    creating = null;
+                    session.room = msg.room;
+                    hello();
+                } else if (msg.type === 'joined') {
+                    joined = true;
+                    session.room = msg.room;
+                    session.title = msg.title || '';
+                    const known = new Set((msg.ops || []).map(op => op.id));
+                    doc.apply(msg.ops || [], { remote: true });
+                    push(doc.ops.filter(op => !known.has(op.id)));
+                    emit('joined', msg);
+                } else if (msg.type === 'ops') {
+                    doc.apply(msg.ops || [], { remote: true });
+                } else if (msg.type === 'presence') {
+                    session.participants = msg.participants || [];
+                    emit('presence', session.participants);
+                } else if (msg.type === 'error') {
+                    if (!joined && !creating) session.room = null;
+                    emit('error', msg.message);
+                }
+            };
+            socket.onclose = () => {
+                joined = false;
+                if (stopped) return;
+                emit('status', 'offline');
+                setTimeout(() => { if (!stopped && (session.room || creating)) open(); }, retry);
+                retry = Math.min(retry * 2, 15000);
+            };
+        }
+
+        return session;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        DEFAULT_PORT,
+        PATH,
+        CATEGORIES,
+        CATEGORY_LABELS,
+        QUADRANTS,
+        key,
+        validOp,
+        clean,
+        replay,
+        toLegacy,
+        describe,
+        diff,
+        createDoc,
+        compare: compareMaps,
+        parse,
+        fromLegacy,
+        actorId,
+        authorName,
+        serverUrl,
+        sessionFromUrl,
+        joinLink,
+        connect
+    };
+});
@@ -0,0 +1,290 @@
+// Swiss cheese risk model
+// A quantitative version of Reason's model for the Swiss cheese builder.
+// Each defence layer has a failure probability (how often it has holes at
+// all) and a hole size (the share of the slice the holes cover when it does),
+// so a hazard gets through a layer with probability failure x hole size.
+// Shared conditions, such as staffing pressure, make several layers fail
+// together. A seeded Monte Carlo run estimates the chance a hazard gets
+// through every layer and keeps individual trajectories to animate.
+// Exposed as window.QIHS.swissCheese, or required from Node.
+//
+//     const SC = QIHS.swissCheese;
+//     const model = SC.create(['Organizational', 'Supervision', 'Defenses']);
+//     model.layers[1].failure = 0.8;
+//     SC.addCondition(model, { name: 'Staffing pressure', probability: 0.3, factor: 3, layers: [0, 1] });
+//     SC.exactRisk(model);                          // 0.03625
+//     const run = SC.simulate(model, { trials: 10000, seed: 42 });
+//     run.risk, run.interval, run.samples;          // estimate, 95% interval, trajectories
+//     SC.sensitivity(model);                        // risk if each layer were stronger
+//
+// The same seed and model always give the same run, so a class can compare
+// answers and a learner can see that only their change made the difference.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.swissCheese = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const FORMAT = 'qihs-swiss-cheese';
+    const VERSION = 1;
+    const MAX_CONDITIONS = 4;
+    const MAX_FACTOR = 10;
+    const MAX_TRIALS = 1000000;
+    const DEFAULT_FAILURE = 0.5;
+    const DEFAULT_HOLE = 0.5;
+    // Trajectories that reached the patient, kept on top of the first few trials
+    const HARM_SAMPLES = 3;
+    const Z95 = 1.96;
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    const probability = value => (Number.isFinite(Number(value)) ? clamp(Number(value), 0, 1) : 0);
+
+    // ---------- Random numbers
+
+    // FNV-1a, so a seed can be a word as well as a number
+    function hashSeed(seed) {
+        const text = String(seed == null ? '' : seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // mulberry32: small, fast and good enough for teaching simulations
+    function random(seed) {
+        let state = hashSeed(seed);
+        return function next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ---------- Model
+
+    function create(names, options) {
+        const opts = Object.assign({ failure: DEFAULT_FAILURE, hole: DEFAULT_HOLE }, options);
+        return {
+            format: FORMAT,
+            version: VERSION,
+            layers: (names || []).map(name => ({ name: String(name), failure: probability(opts.failure), hole: probability(opts.hole) })),
+            conditions: []
+        };
+    }
+
+    // A condition present on some occasions that multiplies the failure
+    // probability of the layers it touches, e.g. a short-staffed shift
+    function addCondition(model, fields) {
+        if (model.conditions.length >= MAX_CONDITIONS) return null;
+        const f = fields || {};
+        const added = {
+            name: String(f.name || `Shared condition ${model.conditions.length + 1}`),
+            probability: probability(f.probability == null ? 0.3 : f.probability),
+            factor: clamp(Number(f.factor) || 2, 1, MAX_FACTOR),
+            layers: (f.layers || []).filter(i => Number.isInteger(i) && i >= 0 && i < model.layers.length)
+        };
+        model.conditions.push(added);
+        return added;
+    }
+
+    function removeCondition(model, index) {
+        if (index < 0 || index >= model.conditions.length) return false;
+        model.conditions.splice(index, 1);
+        return true;
+    }
+
+    const copy = model => JSON.parse(JSON.stringify(model));
+
+    // A saved model back, with every number clamped to its range; null when
+    // unusable or, given layerCount, when it has a different number of layers
+    function read(saved, layerCount) {
+        if (!saved || saved.format !== FORMAT || !Array.isArray(saved.layers) || !saved.layers.length) return null;
+        if (layerCount != null && saved.layers.length !== layerCount) return null;
+        const model = create(saved.layers.map(l => (l && l.name) || ''));
+        model.layers.forEach((layer, i) => {
+            const stored = saved.layers[i] || {};
+            layer.failure = probability(stored.failure);
+            layer.hole = probability(stored.hole);
+        });
+        (Array.isArray(saved.conditions) ? saved.conditions : []).forEach(c => { if (c) addCondition(model, c); });
+        return model;
+    }
+
+    // ---------- Exact risk
+
+    // Failure probability of each layer once the present conditions are applied
+    function failures(model, present) {
+        return model.layers.map((layer, i) => {
+            let multiplier = 1;
+            model.conditions.forEach((c, k) => {
+                if (present[k] && c.layers.includes(i)) multiplier *= c.factor;
+            });
+            return Math.min(1, layer.failure * multiplier);
+        });
+    }
+
+    // Every combination of conditions present or absent, with its probability
+    function situations(model) {
+        const out = [];
+        const count = model.conditions.length;
+        for (let mask = 0; mask < (1 << count); mask++) {
+            const present = model.conditions.map((c, k) => !!(mask & (1 << k)));
+            const chance = model.conditions.reduce((p, c, k) => p * (present[k] ? c.probability : 1 - c.probability), 1);
+            if (chance > 0) out.push({ present, chance });
+        }
+        return out;
+    }
+
+    // Chance that a hazard gets through every layer
+    function exactRisk(model) {
+        return situations(model).reduce((sum, s) => {
+            const through = failures(model, s.present).reduce((p, f, i) => p * f * model.layers[i].hole, 1);
+            return sum + s.chance * through;
+        }, 0);
+    }
+
+    // Chance a hazard gets through each layer on its own, averaged over the conditions
+    function layerChances(model) {
+        const chances = model.layers.map(() => 0);
+        situations(model).forEach(s => {
+            failures(model, s.present).forEach((f, i) => { chances[i] += s.chance * f * model.layers[i].hole; });
+        });
+        return chances;
+    }
+
+    // What the risk would be if the same layers failed independently of each
+    // other; the gap to exactRisk is what the shared conditions add
+    function independentRisk(model) {
+        return layerChances(model).reduce((p, c) => p * c, 1);
+    }
+
+    // ---------- Simulation
+
+    // Wilson score interval, which behaves when harms are rare or absent
+    function interval(hits, trials) {
+        if (!trials) return [0, 1];
+        const p = hits / trials;
+        const z2 = Z95 * Z95;
+        const denominator = 1 + z2 / trials;
+        const centre = (p + z2 / (2 * trials)) / denominator;
+        const half = (Z95 * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+        return [Math.max(0, centre - half), Math.min(1, centre + half)];
+    }
+
+    // One hazard: which conditions were present, which layers had holes,
+    // whether the hazard lined up with them, and where it was stopped
+    // (stoppedAt is -1 when it reached the patient)
+    function trial(model, next) {
+        const present = model.conditions.map(c => next() < c.probability);
+        const fail = failures(model, present);
+        let stoppedAt = -1;
+        const layers = model.layers.map((layer, i) => {
+            const failed = next() < fail[i];
+            const passed = failed && next() < layer.hole;
+            if (!passed && stoppedAt < 0) stoppedAt = i;
+            return { failed, passed };
+        });
+        return { y: next(), conditions: present, layers, stoppedAt };
+    }
+
+    // Runs `trials` hazards at the model. Returns counts, the estimated risk
+    // with its 95% interval, where hazards were stopped, how often each layer
+    // had holes, and trajectories to animate: the first `keep` trials plus
+    // the first few that reached the patient.
+    function simulate(model, options) {
+        const opts = Object.assign({ trials: 10000, seed: 1, keep: 20 }, options);
+        const trials = clamp(Math.round(Number(opts.trials)) || 0, 1, MAX_TRIALS);
+        const next = random(opts.seed);
+        const stopped = model.layers.map(() => 0);
+        const failed = model.layers.map(() => 0);
+        const samples = [];
+        const harmSamples = [];
+        let harms = 0;
+        for (let n = 0; n < trials; n++) {
+            const t = trial(model, next);
+            t.layers.forEach((l, i) => { if (l.failed) failed[i]++; });
+            if (t.stoppedAt < 0) {
+                harms++;
+                if (harmSamples.length < HARM_SAMPLES && n >= opts.keep) harmSamples.push(Object.assign({ index: n }, t));
+            } else {
+                stopped[t.stoppedAt]++;
+            }
+            if (n < opts.keep) samples.push(Object.assign({ index: n }, t));
+        }
+        return {
+            seed: opts.seed,
+            trials,
+            harms,
+            risk: harms / trials,
+            interval: interval(harms, trials),
+            exact: exactRisk(model),
+            stopped,
+            failed,
+            samples: samples.concat(harmSamples)
+        };
+    }
+
+    // ---------- Comparing changes
+
+    // Risk if each layer's failure probability fell by `step` (default ten
+    // points), and if each shared condition were removed, largest drop first
+    function sensitivity(model, step) {
+        const by = step == null ? 0.1 : step;
+        const base = exactRisk(model);
+        const changes = model.layers.map((layer, i) => {
+            const changed = copy(model);
+            changed.layers[i].failure = Math.max(0, layer.failure - by);
+            return { kind: 'layer', index: i, name: layer.name, risk: exactRisk(changed) };
+        }).concat(model.conditions.map((c, k) => {
+            const changed = copy(model);
+            changed.conditions.splice(k, 1);
+            return { kind: 'condition', index: k, name: c.name, risk: exactRisk(changed) };
+        }));
+        return changes
+            .map(c => Object.assign(c, { drop: base - c.risk, relative: base ? (base - c.risk) / base : 0 }))
+            .sort((a, b) => b.drop - a.drop);
+    }
+
+    // "1 in 2,500" for learners who find small percentages hard to picture
+    function oneIn(risk) {
+        if (!(risk > 0)) return 'never';
+        if (risk >= 0.5) return `${Math.round(risk * 100)}%`;
+        return `1 in ${Math.round(1 / risk).toLocaleString('en-GB')}`;
+    }
+
+    function percent(risk) {
+        if (!(risk > 0)) return '0%';
+        const value = risk * 100;
+        return `${value >= 1 ? value.toFixed(1) : Number(value.toPrecision(2))}%`;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        MAX_CONDITIONS,
+        MAX_FACTOR,
+        MAX_TRIALS,
+        random,
+        create,
+        addCondition,
+        removeCondition,
+        read,
+        exactRisk,
+        layerChances,
+        independentRisk,
+        interval,
+        simulate,
+        sensitivity,
+        oneIn,
+        percent
+    };
+});
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// Headless accessibility check
+// Loads every activity and deck in activities.json (copies included) in a
+// headless DOM, lets its scripts run, then checks the rendered page with the
+// rules in tools/a11y-rules.js - or with axe-core itself when it is
+// installed and --axe is given. Exits non-zero when a page has a violation
+// at or above --fail-on, so it can gate a release or a CI job.
+//
+//     node tools/a11y-check.js [activity ids or files] [options]
+//
+//     --fail-on serious   lowest impact that fails the run: minor, moderate,
+//                         serious, critical or none (default serious)
+//     --wait 500          ms to let each page's scripts settle (default 500)
+//     --axe               run axe-core instead of the built-in rules
+//     --json              print the results as JSON
+//
+// Needs jsdom (and axe-core for --axe), which the activities themselves do
+// not: npm install --no-save jsdom. The pages are served from the repository
+// on a local port and never fetch anything from the network. Script errors
+// are listed as warnings - an activity that throws while loading is rarely
+// accessible - but do not fail the run.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { serveStatic } = require('../server/static');
+const rules = require('./a11y-rules');
+
+const ROOT = path.resolve(__dirname, '..');
+const FAIL_ON = ['none', ...rules.IMPACTS];
+
+function optional(name) {
+    try {
+        return require(name);
+    } catch (e) {
+        return null;
+    }
+}
+
+function pages(selection) {
+    const activities = JSON.parse(fs.readFileSync(path.join(ROOT, 'activities.json'), 'utf8'));
+    const all = [];
+    activities.forEach(a => {
+        all.push({ id: a.id, file: a.file });
+        (a.copies || []).forEach(file => all.push({ id: a.id, file }));
+    });
+    if (!selection.length) return all;
+    return selection.map(wanted => {
+        const found = all.filter(p => p.id === wanted || p.file === wanted || p.file === path.basename(wanted));
+        if (found.length) return found;
+        if (fs.existsSync(path.join(ROOT, wanted))) return [{ id: wanted, file: wanted }];
+        throw new Error(`No activity or file called "${wanted}"`);
+    }).reduce((list, found) => list.concat(found), []);
+}
+
+// A 2D context that accepts every call and draws nothing
+function canvasContext() {
+    const state = {};
+    const context = new Proxy(state, {
+        get(target, name) {
+            if (name in target) return target[name];
+            if (name === 'measureText') return text => ({ width: String(text).length * 7 });
+            if (name === 'getImageData' || name === 'createImageData') return () => ({ width: 1, height: 1, data: new Uint8ClampedArray(4) });
+            return () => context;
+        },
+        set(target, name, value) {
+            target[name] = value;
+            return true;
+        }
+    });
+    return context;
+}
+
+// What a browser has and jsdom does not, so pages get as far as they would in one
+function stubBrowser(window) {
+    window.alert = () => {};
+    window.confirm = () => false;
+    window.prompt = () => null;
+    window.scrollTo = () => {};
+    window.scrollBy = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+    window.HTMLCanvasElement.prototype.getContext = () => canvasContext();
+    window.HTMLCanvasElement.prototype.toDataURL = () => 'data:,';
+    window.matchMedia = query => ({
+        matches: false,
+        media: query,
+        addListener() {},
+        removeListener() {},
+        addEventListener() {},
+        removeEventListener() {}
+    });
+}
+
+function load(jsdom, url, wait) {
+    const errors = [];
+    const virtualConsole = new jsdom.VirtualConsole();
+    virtualConsole.on('jsdomError', err => errors.push(err.message.split('\n')[0]));
+
+    // Only the local server: a page never waits on a CDN or the network
+    class LocalResources extends jsdom.ResourceLoader {
+        fetch(resource, options) {
+            return resource.startsWith(new URL(url).origin) ? super.fetch(resource, options) : null;
+        }
+    }
+
+    return jsdom.JSDOM.fromURL(url, {
+        runScripts: 'dangerously',
+        resources: new LocalResources(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse: stubBrowser
+    }).then(dom => new Promise(resolve => {
+        const settle = () => setTimeout(() => resolve({ dom, errors }), wait);
+        if (dom.window.document.readyState === 'complete') settle();
+        else dom.window.addEventListener('load', settle);
+    }));
+}
+
+// axe-core's results, reshaped like the built-in rules'
+function runAxe(axe, window) {
+    window.eval(axe.source);
+    return window.axe.run(window.document, { rules: { 'color-contrast': { enabled: false } }, resultTypes: ['violations'] })
+        .then(results => results.violations.map(v => ({
+            id: v.id,
+            impact: v.impact,
+            help: v.help,
+            nodes: v.nodes.map(n => ({ selector: n.target.join(' '), html: n.html, message: n.failureSummary || '' }))
+        })));
+}
+
+function check(jsdom, axe, base, page, wait) {
+    const url = base + '/' + page.file.split('/').map(encodeURIComponent).join('/');
+    return load(jsdom, url, wait).then(({ dom, errors }) => {
+        const result = axe ? runAxe(axe, dom.window) : Promise.resolve(rules.run(dom.window.document));
+        return result.then(violations => {
+            dom.window.close();
+            return { id: page.id, file: page.file, violations, errors };
+        });
+    });
+}
+
+function report(results, failOn) {
+    let failing = 0;
+    results.forEach(r => {
+        const fails = r.violations.filter(v => failOn !== 'none' && rules.atLeast(v.impact, failOn));
+        if (fails.length) failing++;
+        const mark = fails.length ? '✗' : '✓';
+        console.log(`${mark} ${r.file}${r.violations.length ? '' : ' - no violations'}`);
+        r.violations.forEach(v => {
+            console.log(`    ${v.impact.padEnd(8)} ${v.id}: ${v.help} (${v.nodes.length})`);
+            v.nodes.slice(0, 3).forEach(n => console.log(`        ${n.selector}${n.message ? ' - ' + n.message : ''}`));
+            if (v.nodes.length > 3) console.log(`        ...and ${v.nodes.length - 3} more`);
+        });
+        r.errors.forEach(e => console.log(`    warning  script error: ${e}`));
+    });
+    const flagged = results.filter(r => r.violations.length).length;
+    console.log(`\n${results.length} pages checked: ${flagged} with violations, ${failing} failing (--fail-on ${failOn})`);
+    return failing;
+}
+
+function parseArgs(argv) {
+    const args = { selection: [], failOn: 'serious', wait: 500, axe: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fail-on') args.failOn = argv[++i];
+        else if (argv[i] === '--wait') args.wait = Number(argv[++i]);
+        else if (argv[i] === '--axe') args.axe = true;
+        else if (argv[i] === '--json') args.json = true;
+        else args.selection.push(argv[i]);
+    }
+    if (!FAIL_ON.includes(args.failOn)) throw new Error(`--fail-on must be one of ${FAIL_ON.join(', ')}`);
+    if (!(args.wait >= 0)) throw new Error('--wait must be a number of milliseconds');
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const jsdom = optional('jsdom');
+    const axe = args.axe ? optional('axe-core') : null;
+    if (!jsdom || (args.axe && !axe)) {
+        console.error(`This check needs ${jsdom ? 'axe-core' : 'jsdom'}: npm install --no-save ${jsdom ? 'axe-core' : 'jsdom'}`);
+        process.exit(2);
+    }
+    const list = pages(args.selection);
+    const server = http.createServer(serveStatic(ROOT));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const results = [];
+    try {
+        // One page at a time keeps memory flat however many activities there are
+        for (const page of list) {
+            try {
+                results.push(await check(jsdom, axe, base, page, args.wait));
+            } catch (err) {
+                results.push({ id: page.id, file: page.file, violations: [], errors: [`Could not load: ${err.message}`] });
+            }
+        }
+    } finally {
+        server.close();
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+        const failing = results.filter(r => r.violations.some(v => args.failOn !== 'none' && rules.atLeast(v.impact, args.failOn)));
+        process.exitCode = failing.length ? 1 : 0;
+    } else {
+        process.exitCode = report(results, args.failOn) ? 1 : 0;
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(2);
+    });
+}
@@ -0,0 +1,347 @@
+// Accessibility rules
+// Automated checks over a rendered page, named and graded like axe-core's so
+// results read the same as an axe report: each violation has the rule id, an
+// impact (minor, moderate, serious, critical) and the elements that fail it.
+// Used by tools/a11y-check.js, which runs them over every activity; in a
+// browser the same rules are window.QIHS.a11y:
+//
+//     const violations = QIHS.a11y.run(document);
+//     violations[0];   // { id: 'button-name', impact: 'critical', help: '...', nodes: [{ selector, html }] }
+//
+// They cover what can be decided from the DOM alone - names, labels, ids,
+// roles, focus order and structure - plus draggable-keyboard, which is not
+// an axe rule: anything draggable must also be reachable from the keyboard.
+// Colour contrast and other checks that need real layout are not covered.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.a11y = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+    // WAI-ARIA 1.2 roles, abstract roles left out
+    const ROLES = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code ' +
+        'columnheader combobox complementary contentinfo definition deletion dialog directory document emphasis feed ' +
+        'figure form generic grid gridcell group heading img insertion link list listbox listitem log main marquee ' +
+        'math menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph ' +
+        'presentation progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator ' +
+        'slider spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time ' +
+        'timer toolbar tooltip tree treegrid treeitem').split(' '));
+
+    const IDREF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns',
+        'aria-flowto', 'aria-activedescendant', 'aria-details', 'aria-errormessage'];
+
+    const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, ' +
+        'summary, audio[controls], video[controls], [contenteditable=""], [contenteditable="true"], [tabindex]';
+    const INTERACTIVE_ROLES = new Set(['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem',
+        'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem']);
+    const NO_LABEL_TYPES = new Set(['hidden', 'button', 'submit', 'reset', 'image']);
+
+    // ---------- DOM helpers
+
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+    function createContext(doc) {
+        const win = doc.defaultView;
+        const hiddenCache = new Map();
+        const styleOf = el => (win && win.getComputedStyle ? win.getComputedStyle(el) : el.style);
+
+        // Not rendered: hidden, display: none or visibility: hidden on it or above it
+        function hidden(el) {
+            if (!el || el.nodeType !== 1) return false;
+            if (hiddenCache.has(el)) return hiddenCache.get(el);
+            const style = styleOf(el);
+            const result = el.hidden || style.display === 'none' || style.visibility === 'hidden' ||
+                hidden(el.parentElement);
+            hiddenCache.set(el, result);
+            return result;
+        }
+
+        // Left out of the accessibility tree
+        const hiddenFromAT = el => hidden(el) || !!el.closest('[aria-hidden="true"]');
+
+        const focusable = el => el.matches(FOCUSABLE) && !el.disabled && !hidden(el);
+
+        // In the tab order
+        function tabbable(el) {
+            if (!focusable(el)) return false;
+            const tabindex = el.getAttribute('tabindex');
+            return tabindex == null || Number(tabindex) >= 0;
+        }
+
+        function textOf(node) {
+            if (node.nodeType === 3) return node.textContent;
+            if (node.nodeType !== 1 || hiddenFromAT(node)) return '';
+            if (node.matches('img, area, input[type="image"]')) return node.getAttribute('alt') || '';
+            if (node.hasAttribute('aria-label')) return node.getAttribute('aria-label');
+            if (node.matches('svg')) {
+                const title = node.querySelector('title');
+                return title ? title.textContent : '';
+            }
+            return Array.from(node.childNodes).map(textOf).join(' ');
+        }
+
+        // A simplified accessible name: labelledby, aria-label, labels, alt, content, title
+        function nameOf(el) {
+            const labelledby = el.getAttribute('aria-labelledby');
+            if (labelledby) {
+                const text = clean(labelledby.split(/\s+/).map(id => {
+                    const ref = doc.getElementById(id);
+                    return ref ? ref.textContent : '';
+                }).join(' '));
+                if (text) return text;
+            }
+            const label = clean(el.getAttribute('aria-label'));
+            if (label) return label;
+            if (el.matches('input, select, textarea')) {
+                const labels = el.labels ? Array.from(el.labels) : [];
+                const text = clean(labels.map(l => l.textContent).join(' '));
+                if (text) return text;
+                if (el.matches('input[type="button"], input[type="submit"], input[type="reset"]')) {
+                    return clean(el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : ''));
+                }
+                if (el.matches('input[type="image"]')) return clean(el.getAttribute('alt')) || clean(el.title);
+                return clean(el.title) || clean(el.getAttribute('placeholder'));
+            }
+            if (el.matches('img, area')) return clean(el.getAttribute('alt')) || clean(el.title);
+            return clean(textOf(el)) || clean(el.title);
+        }
+
+        return { doc, hidden, hiddenFromAT, focusable, tabbable, nameOf };
+    }
+
+    // A short CSS selector that finds the element again
+    function selectorOf(el) {
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && parts.length < 5) {
+            const id = node.getAttribute('id');
+            if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+                parts.unshift('#' + id);
+                break;
+            }
+            let part = node.localName;
+            const cls = node.classList[0];
+            if (cls && /^[A-Za-z][\w-]*$/.test(cls)) part += '.' + cls;
+            const parent = node.parentElement;
+            if (parent) {
+                const same = Array.from(parent.children).filter(c => c.localName === node.localName);
+                if (same.length > 1) part += `:nth-of-type(${same.indexOf(node) + 1})`;
+            }
+            parts.unshift(part);
+            node = parent;
+        }
+        return parts.join(' > ');
+    }
+
+    function snippet(el) {
+        const html = el.outerHTML.replace(/\s+/g, ' ');
+        const open = html.slice(0, html.indexOf('>') + 1);
+        return open.length > 120 ? open.slice(0, 117) + '...' : open;
+    }
+
+    // ---------- Rules
+    // Each returns the failing elements, or an array of { element, message }
+
+    const RULES = [
+        {
+            id: 'document-title',
+            impact: 'serious',
+            help: 'Documents must have a <title> element to aid in navigation',
+            check: c => (clean(c.doc.title) ? [] : [c.doc.documentElement])
+        },
+        {
+            id: 'html-has-lang',
+            impact: 'serious',
+            help: '<html> element must have a lang attribute',
+            check: c => (clean(c.doc.documentElement.getAttribute('lang')) ? [] : [c.doc.documentElement])
+        },
+        {
+            id: 'meta-viewport',
+            impact: 'critical',
+            help: 'Zooming and scaling must not be disabled',
+            check: c => Array.from(c.doc.querySelectorAll('meta[name="viewport"]')).filter(meta => {
+                const content = (meta.getAttribute('content') || '').toLowerCase().replace(/\s+/g, '');
+                const max = /maximum-scale=([\d.]+)/.exec(content);
+                return /user-scalable=(no|0)\b/.test(content) || (max && Number(max[1]) < 2);
+            })
+        },
+        {
+            id: 'image-alt',
+            impact: 'critical',
+            help: 'Images must have alternate text',
+            check: c => Array.from(c.doc.querySelectorAll('img')).filter(img =>
+                !c.hiddenFromAT(img) && !img.hasAttribute('alt') && !img.matches('[role="presentation"], [role="none"]') &&
+                !c.nameOf(img))
+        },
+        {
+            id: 'button-name',
+            impact: 'critical',
+            help: 'Buttons must have discernible text',
+            check: c => Array.from(c.doc.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]'))
+                .filter(el => !c.hiddenFromAT(el) && !c.nameOf(el))
+        },
+        {
+            id: 'link-name',
+            impact: 'serious',
+            help: 'Links must have discernible text',
+            check: c => Array.from(c.doc.querySelectorAll('a[href], [role="link"]'))
+                .filter(el => !c.hiddenFromAT(el) && !c.nameOf(el))
+        },
+        {
+            id: 'label',
+            impact: 'critical',
+            help: 'Form elements must have labels',
+            check: c => Array.from(c.doc.querySelectorAll('input, select, textarea'))
+                .filter(el => !NO_LABEL_TYPES.has((el.getAttribute('type') || '').toLowerCase()) &&
+                    !c.hiddenFromAT(el) && !c.nameOf(el))
+        },
+        {
+            id: 'frame-title',
+            impact: 'serious',
+            help: 'Frames must have an accessible name',
+            check: c => Array.from(c.doc.querySelectorAll('iframe, frame'))
+                .filter(el => !c.hiddenFromAT(el) && !clean(el.title) && !c.nameOf(el))
+        },
+        {
+            id: 'duplicate-id-aria',
+            impact: 'critical',
+            help: 'IDs used in ARIA and labels must be unique',
+            check: c => {
+                const used = new Set();
+                c.doc.querySelectorAll('label[for]').forEach(l => used.add(l.getAttribute('for')));
+                IDREF_ATTRIBUTES.forEach(name => c.doc.querySelectorAll(`[${name}]`).forEach(el =>
+                    el.getAttribute(name).split(/\s+/).forEach(id => used.add(id))));
+                return duplicates(c.doc).filter(d => used.has(d.id))
+                    .map(d => ({ element: d.element, message: `id "${d.id}" is used ${d.count} times` }));
+            }
+        },
+        {
+            id: 'duplicate-id',
+            impact: 'minor',
+            help: 'id attribute values must be unique',
+            check: c => duplicates(c.doc).map(d => ({ element: d.element, message: `id "${d.id}" is used ${d.count} times` }))
+        },
+        {
+            id: 'aria-valid-attr-value',
+            impact: 'critical',
+            help: 'ARIA attributes must refer to elements that exist',
+            check: c => {
+                const found = [];
+                IDREF_ATTRIBUTES.forEach(name => c.doc.querySelectorAll(`[${name}]`).forEach(el => {
+                    const missing = el.getAttribute(name).split(/\s+/).filter(id => id && !c.doc.getElementById(id));
+                    if (missing.length) found.push({ element: el, message: `${name} refers to missing id "${missing.join('", "')}"` });
+                }));
+                return found;
+            }
+        },
+        {
+            id: 'aria-roles',
+            impact: 'critical',
+            help: 'ARIA roles used must conform to valid values',
+            check: c => Array.from(c.doc.querySelectorAll('[role]')).filter(el => {
+                const role = clean(el.getAttribute('role')).split(' ')[0];
+                return role && !ROLES.has(role);
+            }).map(el => ({ element: el, message: `role="${el.getAttribute('role')}" is not a WAI-ARIA role` }))
+        },
+        {
+            id: 'aria-hidden-focus',
+            impact: 'serious',
+            help: 'ARIA hidden element must not be focusable or contain focusable elements',
+            check: c => Array.from(c.doc.querySelectorAll('[aria-hidden="true"]')).filter(el =>
+                c.tabbable(el) || Array.from(el.querySelectorAll(FOCUSABLE)).some(c.tabbable))
+        },
+        {
+            id: 'tabindex',
+            impact: 'serious',
+            help: 'Elements should not have tabindex greater than zero',
+            check: c => Array.from(c.doc.querySelectorAll('[tabindex]')).filter(el => Number(el.getAttribute('tabindex')) > 0)
+        },
+        {
+            id: 'nested-interactive',
+            impact: 'serious',
+            help: 'Interactive controls must not be nested',
+            check: c => Array.from(c.doc.querySelectorAll('a[href], button, [role]')).filter(el => {
+                if (el.hasAttribute('role') && !INTERACTIVE_ROLES.has(el.getAttribute('role'))) return false;
+                return !c.hiddenFromAT(el) && Array.from(el.querySelectorAll(FOCUSABLE)).some(c.tabbable);
+            })
+        },
+        {
+            id: 'list',
+            impact: 'serious',
+            help: '<ul> and <ol> must only directly contain <li>, <script> or <template> elements',
+            check: c => Array.from(c.doc.querySelectorAll('ul:not([role]), ol:not([role])')).filter(list =>
+                Array.from(list.children).some(child => !child.matches('li, script, template') ||
+                    (child.hasAttribute('role') && child.getAttribute('role') !== 'listitem')))
+        },
+        {
+            id: 'listitem',
+            impact: 'serious',
+            help: '<li> elements must be contained in a <ul> or <ol>',
+            check: c => Array.from(c.doc.querySelectorAll('li')).filter(li => {
+                const parent = li.parentElement;
+                return parent && !parent.matches('ul, ol, menu, [role="list"]');
+            })
+        },
+        {
+            id: 'empty-heading',
+            impact: 'minor',
+            help: 'Headings should not be empty',
+            check: c => Array.from(c.doc.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+                .filter(h => !c.hiddenFromAT(h) && !c.nameOf(h))
+        },
+        {
+            id: 'draggable-keyboard',
+            impact: 'serious',
+            help: 'Draggable items must also be reachable from the keyboard',
+            check: c => Array.from(c.doc.querySelectorAll('[draggable="true"]')).filter(el =>
+                !c.hidden(el) && !c.tabbable(el) && !Array.from(el.querySelectorAll(FOCUSABLE)).some(c.tabbable))
+        }
+    ];
+
+    function duplicates(doc) {
+        const seen = new Map();
+        doc.querySelectorAll('[id]').forEach(el => {
+            const id = el.getAttribute('id');
+            if (!id) return;
+            if (!seen.has(id)) seen.set(id, []);
+            seen.get(id).push(el);
+        });
+        return Array.from(seen.entries()).filter(([, els]) => els.length > 1)
+            .map(([id, els]) => ({ id, element: els[1], count: els.length }));
+    }
+
+    // ---------- Running
+
+    // Runs every rule (or the ids in options.rules) over the document and
+    // returns the rules that failed, worst first
+    function run(doc, options) {
+        const opts = Object.assign({ rules: null }, options);
+        const context = createContext(doc);
+        const violations = [];
+        RULES.filter(rule => !opts.rules || opts.rules.includes(rule.id)).forEach(rule => {
+            const nodes = rule.check(context).map(found => {
+                const element = found.element || found;
+                return { selector: selectorOf(element), html: snippet(element), message: found.message || '' };
+            });
+            if (nodes.length) violations.push({ id: rule.id, impact: rule.impact, help: rule.help, nodes });
+        });
+        return violations.sort((a, b) => IMPACTS.indexOf(b.impact) - IMPACTS.indexOf(a.impact));
+    }
+
+    // True when the impact is at least as bad as the threshold
+    const atLeast = (impact, threshold) => IMPACTS.indexOf(impact) >= IMPACTS.indexOf(threshold);
+
+    return {
+        IMPACTS,
+        RULES: RULES.map(rule => ({ id: rule.id, impact: rule.impact, help: rule.help })),
+        run,
+        atLeast
+    };
+});
@@ -0,0 +1,273 @@
+// Cohort analytics
+// Reads a cohort's downloaded activity results (the shared format in
+// shared/results.js, whichever report each one is carried in) and summarises
+// them per activity: score distribution, the items most often missed, spreads
+// of item values such as RPNs, measures week by week and how each learner's
+// repeat attempts changed. Used by tools/cohort-dashboard.html, exposed as
+// window.QIHS.cohort, or required from Node:
+//
+//     const cohort = require('./tools/cohort');
+//     const { entries, skipped } = cohort.load([{ name: 'sam.txt', text }, ...]);
+//     const summary = cohort.summarise(entries);
+//     summary.activities[0].items[0];    // the most-missed item
+//     fs.writeFileSync('results.csv', cohort.resultsCsv(entries));
+//
+// A file downloaded twice carries the same result id and is counted once.
+// Learners are matched on their name, ignoring case and spacing, so
+// activities that do not ask for a name have no per-learner changes.
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.cohort = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+    'use strict';
+
+    const BINS = 10;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    function results() {
+        if (root && root.QIHS && root.QIHS.results) return root.QIHS.results;
+        if (typeof require === 'function') return require('../shared/results');
+        throw new Error('cohort.js needs shared/results.js');
+    }
+
+    // ---------- Loading
+
+    // Files as { name, text } -> { entries: [{ file, result }], skipped: [{ file, reason }] }
+    function load(files) {
+        const entries = [];
+        const skipped = [];
+        const seen = new Map();
+        (files || []).forEach(file => {
+            const result = results().extract(file.text);
+            if (!result) return skipped.push({ file: file.name, reason: 'No activity result in this file' });
+            const check = results().validate(result);
+            if (!check.valid) return skipped.push({ file: file.name, reason: check.errors[0] });
+            if (seen.has(result.id)) return skipped.push({ file: file.name, reason: `Same download as ${seen.get(result.id)}` });
+            seen.set(result.id, file.name);
+            entries.push({ file: file.name, result });
+        });
+        return { entries, skipped };
+    }
+
+    // ---------- Statistics
+
+    // Linear interpolation between the closest ranks, as spreadsheets do
+    function quantile(sorted, q) {
+        if (!sorted.length) return null;
+        const at = (sorted.length - 1) * q;
+        const below = Math.floor(at);
+        const above = Math.ceil(at);
+        return sorted[below] + (sorted[above] - sorted[below]) * (at - below);
+    }
+
+    const round = value => (value == null ? null : Math.round(value * 100) / 100);
+
+    // { n, min, q1, median, q3, max, mean } of a list of numbers
+    function spread(values) {
+        const sorted = values.filter(v => typeof v === 'number' && isFinite(v)).sort((a, b) => a - b);
+        if (!sorted.length) return { n: 0, min: null, q1: null, median: null, q3: null, max: null, mean: null };
+        return {
+            n: sorted.length,
+            min: sorted[0],
+            q1: round(quantile(sorted, 0.25)),
+            median: round(quantile(sorted, 0.5)),
+            q3: round(quantile(sorted, 0.75)),
+            max: sorted[sorted.length - 1],
+            mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length)
+        };
+    }
+
+    // Counts of scaled scores in ten bands, 0-10% up to 90-100%
+    function histogram(scaled) {
+        const bins = new Array(BINS).fill(0);
+        scaled.forEach(s => { bins[Math.min(BINS - 1, Math.floor(s * BINS))]++; });
+        return bins;
+    }
+
+    // The Monday (UTC) starting the week a result was completed in
+    function weekOf(date) {
+        const d = new Date(date);
+        const monday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY;
+        return new Date(monday).toISOString().slice(0, 10);
+    }
+
+    const learnerKey = name => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const byDate = (a, b) => Date.parse(a.completedAt) - Date.parse(b.completedAt);
+
+    // ---------- Summary
+
+    function measureKeys(list) {
+        const keys = new Set();
+        list.forEach(r => Object.keys(r.measures || {}).forEach(k => keys.add(k)));
+        return Array.from(keys).sort();
+    }
+
+    function itemTallies(list) {
+        const items = new Map();
+        list.forEach(r => r.items.forEach(item => {
+            if (!items.has(item.id)) items.set(item.id, { id: item.id, label: item.label, correct: 0, incorrect: 0, missed: 0, neutral: 0, total: 0 });
+            const tally = items.get(item.id);
+            if (item.result) tally[item.result]++;
+            tally.total++;
+        }));
+        return Array.from(items.values()).map(tally => Object.assign(tally, {
+            missRate: tally.total ? round((tally.missed + tally.incorrect) / tally.total) : 0
+        })).sort((a, b) => b.missRate - a.missRate || b.total - a.total || a.label.localeCompare(b.label));
+    }
+
+    function itemValues(list) {
+        const values = new Map();
+        list.forEach(r => r.items.forEach(item => {
+            if (typeof item.value !== 'number') return;
+            if (!values.has(item.id)) values.set(item.id, { id: item.id, label: item.label, values: [] });
+            values.get(item.id).values.push(item.value);
+        }));
+        return Array.from(values.values())
+            .map(v => Object.assign({ id: v.id, label: v.label }, spread(v.values)))
+            .sort((a, b) => b.median - a.median);
+    }
+
+    function weeks(list, keys) {
+        const groups = new Map();
+        list.forEach(r => {
+            const week = weekOf(r.completedAt);
+            if (!groups.has(week)) groups.set(week, []);
+            groups.get(week).push(r);
+        });
+        return Array.from(groups.keys()).sort().map(week => {
+            const group = groups.get(week);
+            const measures = {};
+            keys.forEach(k => { measures[k] = spread(group.map(r => r.measures[k])).mean; });
+            return { week, count: group.length, meanScore: spread(group.filter(r => r.score).map(r => r.score.scaled)).mean, measures };
+        });
+    }
+
+    // First and latest attempt of every learner who submitted more than once
+    function changes(list, keys) {
+        const learners = new Map();
+        list.filter(r => r.learner).forEach(r => {
+            const key = learnerKey(r.learner);
+            if (!learners.has(key)) learners.set(key, []);
+            learners.get(key).push(r);
+        });
+        const out = [];
+        learners.forEach(attempts => {
+            if (attempts.length < 2) return;
+            attempts.sort(byDate);
+            const first = attempts[0];
+            const latest = attempts[attempts.length - 1];
+            const measures = {};
+            keys.forEach(k => {
+                if (k in first.measures || k in latest.measures) {
+                    measures[k] = { first: first.measures[k] ?? null, latest: latest.measures[k] ?? null };
+                }
+            });
+            out.push({
+                learner: latest.learner,
+                attempts: attempts.length,
+                from: first.completedAt,
+                to: latest.completedAt,
+                score: {
+                    first: first.score ? first.score.scaled : null,
+                    latest: latest.score ? latest.score.scaled : null
+                },
+                measures
+            });
+        });
+        return out.sort((a, b) => a.learner.localeCompare(b.learner));
+    }
+
+    function summariseActivity(activity, list) {
+        const keys = measureKeys(list);
+        const scaled = list.filter(r => r.score).map(r => r.score.scaled);
+        const measures = {};
+        keys.forEach(k => { measures[k] = spread(list.map(r => r.measures[k])); });
+        return {
+            activity,
+            title: list.map(r => r.title).filter(Boolean).pop() || activity,
+            count: list.length,
+            learners: new Set(list.filter(r => r.learner).map(r => learnerKey(r.learner))).size,
+            scores: Object.assign({ bins: histogram(scaled) }, spread(scaled)),
+            items: itemTallies(list),
+            values: itemValues(list),
+            measures,
+            weeks: weeks(list, keys),
+            changes: changes(list, keys)
+        };
+    }
+
+    // Every activity in the cohort, the most-submitted first
+    function summarise(entries) {
+        const groups = new Map();
+        (entries || []).forEach(e => {
+            if (!groups.has(e.result.activity)) groups.set(e.result.activity, []);
+            groups.get(e.result.activity).push(e.result);
+        });
+        const activities = Array.from(groups.keys())
+            .map(activity => summariseActivity(activity, groups.get(activity).slice().sort(byDate)))
+            .sort((a, b) => b.count - a.count || a.activity.localeCompare(b.activity));
+        return {
+            count: (entries || []).length,
+            learners: new Set((entries || []).filter(e => e.result.learner).map(e => learnerKey(e.result.learner))).size,
+            activities
+        };
+    }
+
+    // ---------- CSV
+
+    // Spreadsheets run cells starting with = + - @ as formulas, so text
+    // cells starting with one get an apostrophe; numbers are left alone
+    function csvCell(value) {
+        if (typeof value === 'number') return String(value);
+        let text = value == null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = "'" + text;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    const csv = rows => rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+    // One row per result, with a column for every measure, for moderation
+    function resultsCsv(entries) {
+        const list = entries || [];
+        const keys = measureKeys(list.map(e => e.result));
+        const rows = [['file', 'activity', 'learner', 'completed', 'score', 'max', 'scaled', 'correct', 'incorrect', 'missed', 'neutral', ...keys]];
+        list.forEach(({ file, result: r }) => {
+            const count = kind => r.items.filter(item => item.result === kind).length;
+            rows.push([
+                file, r.activity, r.learner || '', r.completedAt,
+                r.score ? r.score.raw : '', r.score ? r.score.max : '', r.score ? r.score.scaled : '',
+                count('correct'), count('incorrect'), count('missed'), count('neutral'),
+                ...keys.map(k => (k in r.measures ? r.measures[k] : ''))
+            ]);
+        });
+        return csv(rows);
+    }
+
+    // One row per item of every result, long format for pivot tables
+    function itemsCsv(entries) {
+        const rows = [['file', 'activity', 'learner', 'completed', 'item', 'label', 'result', 'value', 'response']];
+        (entries || []).forEach(({ file, result: r }) => {
+            r.items.forEach(item => {
+                rows.push([file, r.activity, r.learner || '', r.completedAt, item.id, item.label, item.result || '',
+                    item.value == null ? '' : item.value, item.response || '']);
+            });
+        });
+        return csv(rows);
+    }
+
+    return {
+        BINS,
+        load,
+        spread,
+        histogram,
+        weekOf,
+        summarise,
+        resultsCsv,
+        itemsCsv
+    };
+});
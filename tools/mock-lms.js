@@ -0,0 +1,267 @@
+// Mock LMS
+// In-memory SCORM 1.2 and SCORM 2004 run-time APIs and an xAPI statement
+// recorder, for checking what an activity reports without a real LMS.
+// Works in the browser (window.QIHS.mockLms, used by tools/mock-lms.html)
+// and in Node:
+//
+//     const mock = require('./tools/mock-lms');
+//     const api = mock.scorm2004({ 'cmi.scaled_passing_score': '0.8' });
+//     const lms = require('./shared/lms-adapter').start({ id: 'demo', api });
+//     ...
+//     api.data['cmi.completion_status'];  // 'completed'
+//     api.log;                            // every call and its error code
+//
+// The APIs enforce the parts of the run-time rules activities most often get
+// wrong: calls before initialise or after finish, unknown elements, read-only
+// elements and vocabulary values.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QIHS = root.QIHS || {};
+        root.QIHS.mockLms = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VOCABULARY_12 = {
+        'cmi.core.lesson_status': ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+        'cmi.core.exit': ['time-out', 'suspend', 'logout', ''],
+        type: ['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'],
+        result: ['correct', 'wrong', 'unanticipated', 'neutral']
+    };
+
+    const VOCABULARY_2004 = {
+        'cmi.completion_status': ['completed', 'incomplete', 'not attempted', 'unknown'],
+        'cmi.success_status': ['passed', 'failed', 'unknown'],
+        'cmi.exit': ['time-out', 'suspend', 'logout', 'normal', ''],
+        type: ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance',
+            'sequencing', 'likert', 'numeric', 'other'],
+        result: ['correct', 'incorrect', 'unanticipated', 'neutral']
+    };
+
+    const SPEC = {
+        '1.2': {
+            methods: {
+                initialize: 'LMSInitialize', finish: 'LMSFinish', get: 'LMSGetValue', set: 'LMSSetValue',
+                commit: 'LMSCommit', lastError: 'LMSGetLastError', errorString: 'LMSGetErrorString',
+                diagnostic: 'LMSGetDiagnostic'
+            },
+            errors: {
+                0: 'No error', 101: 'General exception', 201: 'Invalid argument error',
+                301: 'Not initialized', 403: 'Element is read only', 405: 'Incorrect data type'
+            },
+            codes: { notInitialized: 301, terminated: 101, alreadyInitialized: 101, unknown: 201, readOnly: 403, badValue: 405 },
+            readOnly: ['cmi.core.student_id', 'cmi.core.student_name', 'cmi.student_data.mastery_score', 'cmi.interactions._count'],
+            defaults: {
+                'cmi.core.student_id': 'learner-1',
+                'cmi.core.student_name': 'Learner, Test',
+                'cmi.core.lesson_status': 'not attempted',
+                'cmi.interactions._count': '0'
+            },
+            elements: [
+                /^cmi\.core\.(student_id|student_name|lesson_status|exit|session_time|lesson_location)$/,
+                /^cmi\.core\.score\.(raw|min|max)$/,
+                /^cmi\.(suspend_data|student_data\.mastery_score|interactions\._count)$/,
+                /^cmi\.interactions\.\d+\.(id|type|time|student_response|result|latency|weighting|correct_responses\.\d+\.pattern)$/
+            ],
+            vocabulary: VOCABULARY_12,
+            interactionResponse: 'student_response'
+        },
+        '2004': {
+            methods: {
+                initialize: 'Initialize', finish: 'Terminate', get: 'GetValue', set: 'SetValue',
+                commit: 'Commit', lastError: 'GetLastError', errorString: 'GetErrorString',
+                diagnostic: 'GetDiagnostic'
+            },
+            errors: {
+                0: 'No error', 103: 'Already initialized', 104: 'Content instance terminated',
+                112: 'Termination before initialization', 113: 'Termination after termination',
+                122: 'Retrieve data before initialization',
+                123: 'Retrieve data after termination', 132: 'Store data before initialization',
+                133: 'Store data after termination', 142: 'Commit before initialization',
+                143: 'Commit after termination', 351: 'General set failure', 401: 'Undefined data model element',
+                404: 'Data model element is read only', 406: 'Data model element type mismatch',
+                408: 'Data model dependency not established'
+            },
+            codes: { notInitialized: 132, terminated: 133, alreadyInitialized: 103, unknown: 401, readOnly: 404, badValue: 406, dependency: 408 },
+            readOnly: ['cmi.learner_id', 'cmi.learner_name', 'cmi.scaled_passing_score', 'cmi.interactions._count'],
+            defaults: {
+                'cmi.learner_id': 'learner-1',
+                'cmi.learner_name': 'Learner, Test',
+                'cmi.completion_status': 'unknown',
+                'cmi.success_status': 'unknown',
+                'cmi.interactions._count': '0'
+            },
+            elements: [
+                /^cmi\.(learner_id|learner_name|completion_status|success_status|exit|session_time|location|suspend_data|scaled_passing_score|progress_measure)$/,
+                /^cmi\.score\.(scaled|raw|min|max)$/,
+                /^cmi\.interactions\._count$/,
+                /^cmi\.interactions\.\d+\.(id|type|timestamp|learner_response|result|latency|weighting|description|correct_responses\.\d+\.pattern)$/
+            ],
+            vocabulary: VOCABULARY_2004,
+            interactionResponse: 'learner_response'
+        }
+    };
+
+    function createApi(version, initial) {
+        const spec = SPEC[version];
+        const m = spec.methods;
+        const data = Object.assign({}, spec.defaults, initial);
+        const log = [];
+        let state = 'new'; // new -> running -> finished
+        let lastError = 0;
+        let commits = 0;
+
+        const fail = code => {
+            lastError = code;
+            return 'false';
+        };
+
+        const known = element => spec.elements.some(pattern => pattern.test(element));
+
+        const valid = (element, value) => {
+            const vocab = spec.vocabulary[element] ||
+                (/\.type$/.test(element) && element.startsWith('cmi.interactions.') ? spec.vocabulary.type : null) ||
+                (/\.result$/.test(element) && element.startsWith('cmi.interactions.') ? spec.vocabulary.result : null);
+            if (vocab) return vocab.includes(value);
+            if (/score\.(raw|min|max)$/.test(element)) return value !== '' && !isNaN(Number(value));
+            if (/score\.scaled$/.test(element)) return !isNaN(Number(value)) && Number(value) >= -1 && Number(value) <= 1;
+            return true;
+        };
+
+        const api = {
+            version,
+            data,
+            log,
+            get state() { return state; },
+            get commits() { return commits; },
+
+            // Interactions in the order they were written, as plain objects
+            interactions() {
+                const count = parseInt(data['cmi.interactions._count'], 10) || 0;
+                const list = [];
+                for (let i = 0; i < count; i++) {
+                    const prefix = `cmi.interactions.${i}.`;
+                    const item = {};
+                    Object.keys(data).filter(k => k.startsWith(prefix)).forEach(k => {
+                        item[k.slice(prefix.length)] = data[k];
+                    });
+                    list.push(item);
+                }
+                return list;
+            }
+        };
+
+        api[m.initialize] = function (arg) {
+            if (state === 'running') return fail(spec.codes.alreadyInitialized);
+            if (state === 'finished') return fail(version === '1.2' ? 101 : 104);
+            state = 'running';
+            lastError = 0;
+            return 'true';
+        };
+
+        api[m.finish] = function (arg) {
+            if (state === 'new') return fail(version === '1.2' ? 301 : 112);
+            if (state === 'finished') return fail(version === '1.2' ? 101 : 113);
+            state = 'finished';
+            commits++;
+            lastError = 0;
+            return 'true';
+        };
+
+        api[m.get] = function (element) {
+            if (state !== 'running') {
+                fail(version === '1.2' ? 301 : (state === 'new' ? 122 : 123));
+                return '';
+            }
+            if (!known(element)) {
+                fail(spec.codes.unknown);
+                return '';
+            }
+            lastError = 0;
+            return element in data ? String(data[element]) : '';
+        };
+
+        api[m.set] = function (element, value) {
+            if (state !== 'running') return fail(state === 'new' ? spec.codes.notInitialized : spec.codes.terminated);
+            if (!known(element)) return fail(spec.codes.unknown);
+            if (spec.readOnly.includes(element)) return fail(spec.codes.readOnly);
+            value = String(value);
+            if (!valid(element, value)) return fail(spec.codes.badValue);
+
+            const match = /^cmi\.interactions\.(\d+)\.(.+)$/.exec(element);
+            if (match) {
+                const index = parseInt(match[1], 10);
+                const count = parseInt(data['cmi.interactions._count'], 10) || 0;
+                // Interactions are appended in order, and each needs its id first
+                if (index > count) return fail(spec.codes.unknown);
+                if (match[2] !== 'id' && !(`cmi.interactions.${index}.id` in data)) {
+                    return fail(spec.codes.dependency || spec.codes.unknown);
+                }
+                if (version === '2004' && match[2] === spec.interactionResponse && !(`cmi.interactions.${index}.type` in data)) {
+                    return fail(spec.codes.dependency);
+                }
+                if (index === count) data['cmi.interactions._count'] = String(count + 1);
+            }
+
+            data[element] = value;
+            lastError = 0;
+            return 'true';
+        };
+
+        api[m.commit] = function (arg) {
+            if (state !== 'running') return fail(version === '1.2' ? 301 : (state === 'new' ? 142 : 143));
+            commits++;
+            lastError = 0;
+            return 'true';
+        };
+
+        // Record every data call with its outcome, for the harness and for tests
+        ['initialize', 'finish', 'get', 'set', 'commit'].forEach(name => {
+            const method = api[m[name]];
+            api[m[name]] = function (...args) {
+                const result = method(...args);
+                log.push({ method: m[name], args, result, error: lastError });
+                return result;
+            };
+        });
+
+        api[m.lastError] = () => String(lastError);
+        api[m.errorString] = code => spec.errors[code] || 'Unknown error';
+        api[m.diagnostic] = code => spec.errors[code == null || code === '' ? lastError : code] || '';
+
+        return api;
+    }
+
+    function scorm12(initial) {
+        return createApi('1.2', initial);
+    }
+
+    function scorm2004(initial) {
+        return createApi('2004', initial);
+    }
+
+    // Pass as `xapi: lrs` to QIHS.lms.start; statements are kept in order
+    function xapi() {
+        const statements = [];
+        return {
+            endpoint: 'mock://lrs/',
+            statements,
+            send(statement) {
+                statements.push(JSON.parse(JSON.stringify(statement)));
+                return Promise.resolve();
+            },
+            verbs() {
+                return statements.map(s => s.verb.display[Object.keys(s.verb.display)[0]]);
+            }
+        };
+    }
+
+    return {
+        scorm12,
+        scorm2004,
+        xapi
+    };
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Offline app builder
+// Builds the whole library (every activity and slide deck in activities.json,
+// with the shared scripts and local assets they reference) into a folder that
+// installs as a Progressive Web App, so students on placement can use it with
+// no Wi-Fi. Host the folder over HTTPS, open it once, and the service worker
+// (shared/service-worker.js) keeps every page for offline use.
+//
+// The home page is the InteractiveLearningPro site, so building is two steps:
+//
+//  1. Build the site (interactive_learning_pro_site_refactor_a_11_y_perf.jsx,
+//     a React component that needs react, lucide-react and Tailwind) with
+//     your own React toolchain into dist/site, so that dist/site/index.html
+//     renders it. Leave activityBase empty: the activities sit beside
+//     index.html in the bundle.
+//  2. node tools/pwa-build.js [options]
+//
+//     --out dist/pwa     output directory (default dist/pwa)
+//     --site dir         the built site from step 1 (default dist/site); the
+//                        build stops with an error when it is missing
+//     --library          skip the site and generate a plain library index as
+//                        the home page, e.g. to try the offline app quickly
+//     --no-fonts         leave Google Fonts links as they are instead of
+//                        downloading the fonts into vendor/fonts
+//
+// The build adds a web app manifest and icons, a link to them in every page,
+// and shared/offline.js, which registers sw.js, offers a reload when a new
+// build has been downloaded, and queues LMS results for Background Sync.
+// The version in sw.js is a hash of every file, so an unchanged library
+// leaves learners' caches alone and any edit triggers the update prompt.
+//
+// Uses only Node built-ins. Fonts are fetched from Google at build time; if
+// that fails the links are left alone and pages fall back to system fonts
+// when offline.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const https = require('https');
+const crypto = require('crypto');
+const { crc32, localReferences } = require('./scorm-package');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_SOURCE = 'interactive_learning_pro_site_refactor_a_11_y_perf.jsx';
+const USAGE = `Usage: node tools/pwa-build.js [--out dist/pwa] [--site dist/site | --library] [--no-fonts]
+
+The home page is the InteractiveLearningPro site. Build ${SITE_SOURCE}
+with your React toolchain into dist/site (or pass --site with where it went)
+first, or pass --library for a plain generated index instead.`;
+const APP = {
+    name: 'Interactive Learning Innovations',
+    shortName: 'Learning',
+    description: 'Interactive activities and slide decks for quality improvement, patient safety and professional practice.',
+    theme: '#4f46e5',
+    background: '#ffffff'
+};
+// Always in the bundle, whether or not a page links to them
+const RUNTIME = ['activities.json', 'shared/offline.js', 'shared/service-worker.js'];
+const ICON_SIZES = [192, 512];
+const FONT_CSS = /https:\/\/fonts\.googleapis\.com\/css2?\?[^"'()\s]+/g;
+const FONT_PRECONNECT = /[ \t]*<link\b[^>]*\bhref=["']https:\/\/fonts\.(?:googleapis|gstatic)\.com\/?["'][^>]*>[ \t]*\r?\n?/gi;
+// Google serves woff2 only to browsers it recognises
+const BROWSER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+const FETCH_TIMEOUT = 20000;
+
+// ---------- Pages
+
+function loadRegistry() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'activities.json'), 'utf8'));
+}
+
+// Every registered file, including the older copies kept for existing links
+function pageFiles(registry) {
+    const files = new Set();
+    registry.forEach(entry => [entry.file].concat(entry.copies || []).forEach(file => {
+        if (fs.existsSync(path.join(ROOT, file))) files.add(file);
+        else console.warn(`Warning: ${file} is in activities.json but not in the repository; skipped.`);
+    }));
+    return Array.from(files);
+}
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Manifest, icon and theme in the head; offline support before </body>
+function injectApp(html) {
+    const head = `    <link rel="manifest" href="manifest.webmanifest">
+    <meta name="theme-color" content="${APP.theme}">
+    <link rel="apple-touch-icon" href="icons/icon-192.png">
+`;
+    const body = `    <script src="shared/offline.js"></script>
+    <script>QIHS.offline.register();</script>
+`;
+    let out = /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${head}</head>`) : head + html;
+    out = /<\/body>/i.test(out) ? out.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${body}</body>`) : out + body;
+    return out;
+}
+
+// A plain index of the library, used when no built site is given
+function libraryIndex(registry) {
+    const groups = new Map();
+    registry.forEach(entry => {
+        const key = entry.tag || 'Other';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+    const sections = Array.from(groups.keys()).sort().map(tag => `
+        <section>
+            <h2>${escapeHtml(tag)}</h2>
+            <ul>
+${groups.get(tag).map(entry => `                <li><a href="${escapeHtml(encodeURI(entry.file))}"><strong>${escapeHtml(entry.title)}</strong><span>${escapeHtml([entry.subtitle, entry.kind === 'deck' ? 'Slides' : 'Activity', entry.level].filter(Boolean).join(' · '))}</span></a></li>`).join('\n')}
+            </ul>
+        </section>`).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(APP.name)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background: #f3f4f6; color: #1f2937; }
+        main { max-width: 1000px; margin: 0 auto; }
+        h1 { color: ${APP.theme}; margin-bottom: 5px; }
+        h2 { font-size: 1.1em; border-bottom: 2px solid ${APP.theme}; padding-bottom: 5px; margin-top: 30px; }
+        ul { list-style: none; padding: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 10px; }
+        a { display: block; height: 100%; box-sizing: border-box; padding: 12px 15px; background: white; border-radius: 8px; color: inherit; text-decoration: none; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+        a:hover, a:focus-visible { outline: 2px solid ${APP.theme}; }
+        a span { display: block; font-size: 0.85em; color: #4b5563; margin-top: 4px; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escapeHtml(APP.name)}</h1>
+        <p>${escapeHtml(APP.description)} Once this page has loaded, everything here works offline.</p>
+${sections}
+    </main>
+</body>
+</html>
+`;
+}
+
+// ---------- Fonts
+
+function download(url, redirects) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, { headers: { 'User-Agent': BROWSER_AGENT }, timeout: FETCH_TIMEOUT }, response => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && (redirects || 0) < 3) {
+                response.resume();
+                return resolve(download(new URL(response.headers.location, url).href, (redirects || 0) + 1));
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                return reject(new Error(`${url} responded ${response.statusCode}`));
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+        });
+        request.on('timeout', () => request.destroy(new Error(`${url} timed out`)));
+        request.on('error', reject);
+    });
+}
+
+const shortHash = data => crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+
+// Downloads each Google Fonts stylesheet and the fonts it uses into
+// vendor/fonts. Returns { files: Map(name -> Buffer), urls: Map(remote -> local) }.
+async function vendorFonts(pages) {
+    const files = new Map();
+    const urls = new Map();
+    const sheets = new Set();
+    pages.forEach(html => (html.match(FONT_CSS) || []).forEach(url => sheets.add(url)));
+    for (const url of sheets) {
+        try {
+            let css = (await download(url.replace(/&amp;/g, '&'))).toString('utf8');
+            const fonts = Array.from(new Set(css.match(/https:\/\/fonts\.gstatic\.com\/[^)'"\s]+/g) || []));
+            for (const font of fonts) {
+                const name = `${shortHash(font)}${path.extname(new URL(font).pathname) || '.woff2'}`;
+                if (!files.has(`vendor/fonts/${name}`)) files.set(`vendor/fonts/${name}`, await download(font));
+                css = css.split(font).join(name);
+            }
+            const sheet = `vendor/fonts/${shortHash(url)}.css`;
+            files.set(sheet, Buffer.from(css, 'utf8'));
+            urls.set(url, sheet);
+        } catch (err) {
+            console.warn(`Warning: could not download fonts (${err.message}); pages keep the Google Fonts link and use system fonts offline.`);
+            return { files: new Map(), urls: new Map() };
+        }
+    }
+    return { files, urls };
+}
+
+function localiseFonts(html, urls) {
+    if (!urls.size) return html;
+    let out = html;
+    urls.forEach((local, remote) => { out = out.split(remote).join(local); });
+    return out.replace(FONT_PRECONNECT, '');
+}
+
+// ---------- Icons
+
+// An RGBA PNG from pixel(x, y) -> [r, g, b, a]
+function png(size, pixel) {
+    const rows = Buffer.alloc((size * 4 + 1) * size);
+    for (let y = 0; y < size; y++) {
+        const start = y * (size * 4 + 1);
+        for (let x = 0; x < size; x++) rows.set(pixel(x, y), start + 1 + x * 4);
+    }
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header.writeUInt8(8, 8);  // bit depth
+    header.writeUInt8(6, 9);  // RGBA
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// A white ring and dot on the theme colour, inside the maskable safe zone
+function icon(size) {
+    const theme = [1, 3, 5].map(i => parseInt(APP.theme.slice(i, i + 2), 16));
+    const centre = size / 2;
+    const cover = (distance, edge) => Math.max(0, Math.min(1, edge - distance + 0.5));
+    return png(size, (x, y) => {
+        const d = Math.hypot(x + 0.5 - centre, y + 0.5 - centre);
+        const ring = Math.min(cover(d, size * 0.3), cover(size * 0.22, d));
+        const white = Math.max(ring, cover(d, size * 0.09));
+        return [...theme.map(c => Math.round(c + (255 - c) * white)), 255];
+    });
+}
+
+function webManifest() {
+    return JSON.stringify({
+        name: APP.name,
+        short_name: APP.shortName,
+        description: APP.description,
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: APP.theme,
+        background_color: APP.background,
+        icons: ICON_SIZES.map(size => ({ src: `icons/icon-${size}.png`, sizes: `${size}x${size}`, type: 'image/png', purpose: 'any maskable' }))
+    }, null, 2) + '\n';
+}
+
+function serviceWorker(version, files) {
+    return `// Generated by tools/pwa-build.js - edit shared/service-worker.js instead
+self.QIHS_PWA = ${JSON.stringify({ version, files }, null, 4)};
+importScripts('shared/offline.js', 'shared/service-worker.js');
+`;
+}
+
+// ---------- Building
+
+function readTree(dir) {
+    const out = [];
+    const walk = rel => fs.readdirSync(path.join(dir, rel), { withFileTypes: true }).forEach(entry => {
+        const name = rel ? `${rel}/${entry.name}` : entry.name;
+        if (entry.name.startsWith('.')) return;
+        if (entry.isDirectory()) walk(name);
+        else if (entry.isFile()) out.push(name);
+    });
+    walk('');
+    return out;
+}
+
+// Returns { version, files: Map(name -> Buffer) } without touching the disk
+async function buildApp(options) {
+    const opts = Object.assign({ fonts: true, site: null }, options);
+    const registry = opts.registry || loadRegistry();
+    const pages = pageFiles(registry);
+    const files = new Map();
+    const html = new Map(pages.map(file => [file, fs.readFileSync(path.join(ROOT, file), 'utf8')]));
+
+    const assets = new Set(RUNTIME);
+    html.forEach(text => localReferences(text).forEach(ref => assets.add(ref)));
+    pages.forEach(file => assets.delete(file));
+    assets.forEach(file => files.set(file, fs.readFileSync(path.join(ROOT, file))));
+
+    if (opts.site) {
+        const site = path.resolve(opts.site);
+        if (!fs.existsSync(path.join(site, 'index.html'))) throw new Error(`${opts.site} has no index.html`);
+        readTree(site).forEach(file => {
+            const data = fs.readFileSync(path.join(site, file));
+            if (/\.html?$/i.test(file)) html.set(file, data.toString('utf8'));
+            else files.set(file, data);
+        });
+    } else {
+        html.set('index.html', libraryIndex(registry));
+    }
+
+    const fonts = opts.fonts ? await vendorFonts(Array.from(html.values())) : { files: new Map(), urls: new Map() };
+    fonts.files.forEach((data, name) => files.set(name, data));
+    html.forEach((text, file) => files.set(file, Buffer.from(injectApp(localiseFonts(text, fonts.urls)), 'utf8')));
+
+    files.set('manifest.webmanifest', Buffer.from(webManifest(), 'utf8'));
+    ICON_SIZES.forEach(size => files.set(`icons/icon-${size}.png`, icon(size)));
+
+    const names = Array.from(files.keys()).sort();
+    const hash = crypto.createHash('sha256');
+    names.forEach(name => hash.update(name).update(files.get(name)));
+    const version = hash.digest('hex').slice(0, 12);
+    const precache = ['./'].concat(names.map(name => encodeURI(name)));
+    files.set('sw.js', Buffer.from(serviceWorker(version, precache), 'utf8'));
+
+    return { version, files };
+}
+
+function parseArgs(argv) {
+    const args = { out: path.join('dist', 'pwa'), site: path.join('dist', 'site'), fonts: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--site') args.site = argv[++i];
+        else if (arg === '--library') args.site = null;
+        else if (arg === '--no-fonts') args.fonts = false;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else args.unknown = arg;
+    }
+    return args;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || args.unknown) {
+        if (args.unknown) console.error(`Unknown option ${args.unknown}`);
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+    if (args.site && !fs.existsSync(path.join(args.site, 'index.html'))) {
+        console.error(`No built site at ${args.site} (it needs an index.html). Build ${SITE_SOURCE} into it ` +
+            'first, pass --site with the folder your build wrote, or pass --library for a plain library index.');
+        return 1;
+    }
+    try {
+        const app = await buildApp({ site: args.site, fonts: args.fonts });
+        const out = path.resolve(process.cwd(), args.out);
+        let bytes = 0;
+        app.files.forEach((data, name) => {
+            const file = path.join(out, ...name.split('/'));
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, data);
+            bytes += data.length;
+        });
+        console.log(`${args.out}  (version ${app.version}, ${app.files.size} files, ${Math.round(bytes / 1024)} KB)`);
+        return 0;
+    } catch (err) {
+        console.error(err.message);
+        return 1;
+    }
+}
+
+module.exports = { buildApp, injectApp, libraryIndex, webManifest, png };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// SCORM packager
+// Zips any activity, with the shared scripts and local assets it references,
+// into a SCORM package that Moodle, Canvas, Blackboard and other LMSs import
+// as a single SCO. The activity reports back through shared/lms-adapter.js.
+//
+//     node tools/scorm-package.js <activity id or file> [options]
+//
+//     --scorm 1.2|2004   standard to target (default 1.2)
+//     --mastery 80       pass mark as a percentage, written to the manifest
+//     --out dist         output directory (default dist)
+//     --all              package every activity in activities.json
+//
+// Uses only Node built-ins, so it runs without installing anything.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENTRY = 'index.html';
+
+// ---------- Zip writing
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// entries: [{ name, data: Buffer }]; deflates each file unless that makes it bigger
+function zip(entries, date) {
+    const stamp = dosDateTime(date || new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = Buffer.from(entry.name, 'utf8');
+        const deflated = zlib.deflateRawSync(entry.data, { level: 9 });
+        const stored = deflated.length >= entry.data.length;
+        const body = stored ? entry.data : deflated;
+        const crc = crc32(entry.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt16LE(stamp.time, 10);
+        local.writeUInt16LE(stamp.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(stored ? 0 : 8, 10);
+        central.writeUInt16LE(stamp.time, 12);
+        central.writeUInt16LE(stamp.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, body);
+        centrals.push(central, name);
+        offset += local.length + name.length + body.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// ---------- Activity resources
+
+function loadRegistry() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'activities.json'), 'utf8'));
+}
+
+function resolveActivity(target, registry) {
+    const byId = registry.find(a => a.id === target);
+    if (byId) return byId;
+    const file = path.basename(target);
+    const byFile = registry.find(a => a.file === file || (a.copies || []).includes(file));
+    if (byFile) return Object.assign({}, byFile, { file });
+    if (fs.existsSync(path.join(ROOT, file))) {
+        return { id: file.replace(/\.html?$/i, '').replace(/[^A-Za-z0-9]+/g, '-').toLowerCase(), title: file, file };
+    }
+    throw new Error(`No activity "${target}" in activities.json or the repository root`);
+}
+
+// Local files named by src/href attributes and CSS url(); remote and inline references are skipped
+function localReferences(html) {
+    const refs = new Set();
+    const pattern = /\b(?:src|href)\s*=\s*["']([^"']+)["']|url\(\s*["']?([^"')]+)["']?\s*\)/gi;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const ref = (match[1] || match[2]).trim();
+        if (/^(?:[a-z][a-z0-9+.-]*:|\/\/|#|\$\{)/i.test(ref)) continue;
+        const clean = decodeURI(ref.split(/[?#]/)[0]);
+        if (!clean || clean.startsWith('/')) continue;
+        const full = path.resolve(ROOT, clean);
+        if (full.startsWith(ROOT + path.sep) && fs.existsSync(full) && fs.statSync(full).isFile()) {
+            refs.add(path.relative(ROOT, full).split(path.sep).join('/'));
+        }
+    }
+    return Array.from(refs).sort();
+}
+
+// ---------- Manifests
+
+function xml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function fileList(files) {
+    return files.map(f => `            <file href="${xml(encodeURI(f))}"/>`).join('\n');
+}
+
+function manifest12(activity, files, mastery) {
+    const id = xml(activity.id);
+    const title = xml(activity.title);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="qihs-${id}" version="1.0"
+    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>1.2</schemaversion>
+    </metadata>
+    <organizations default="qihs-org">
+        <organization identifier="qihs-org">
+            <title>${title}</title>
+            <item identifier="item-${id}" identifierref="resource-${id}" isvisible="true">
+                <title>${title}</title>${mastery != null ? `
+                <adlcp:masteryscore>${mastery}</adlcp:masteryscore>` : ''}
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="resource-${id}" type="webcontent" adlcp:scormtype="sco" href="${ENTRY}">
+${fileList(files)}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+function manifest2004(activity, files, mastery) {
+    const id = xml(activity.id);
+    const title = xml(activity.title);
+    const sequencing = mastery != null ? `
+                <imsss:sequencing>
+                    <imsss:objectives>
+                        <imsss:primaryObjective objectiveID="primary" satisfiedByMeasure="true">
+                            <imsss:minNormalizedMeasure>${mastery / 100}</imsss:minNormalizedMeasure>
+                        </imsss:primaryObjective>
+                    </imsss:objectives>
+                </imsss:sequencing>` : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="qihs-${id}" version="1"
+    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+    xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+    xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+    xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>2004 4th Edition</schemaversion>
+    </metadata>
+    <organizations default="qihs-org">
+        <organization identifier="qihs-org">
+            <title>${title}</title>
+            <item identifier="item-${id}" identifierref="resource-${id}" isvisible="true">
+                <title>${title}</title>${sequencing}
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="resource-${id}" type="webcontent" adlcp:scormType="sco" href="${ENTRY}">
+${fileList(files)}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+// ---------- Packaging
+
+// Returns { activity, name, files, buffer } without touching the disk
+function buildPackage(target, options) {
+    const opts = Object.assign({ scorm: '1.2', mastery: null }, options);
+    if (opts.scorm !== '1.2' && opts.scorm !== '2004') throw new Error('--scorm must be 1.2 or 2004');
+    if (opts.mastery != null && !(opts.mastery >= 0 && opts.mastery <= 100)) throw new Error('--mastery must be between 0 and 100');
+
+    const activity = resolveActivity(target, opts.registry || loadRegistry());
+    const html = fs.readFileSync(path.join(ROOT, activity.file));
+    const assets = localReferences(html.toString('utf8')).filter(f => f !== activity.file);
+    if (!assets.includes('shared/lms-adapter.js')) {
+        console.warn(`Warning: ${activity.file} does not load shared/lms-adapter.js, so it will not report results to the LMS.`);
+    }
+
+    // The activity becomes index.html at the package root, so its relative links still resolve
+    const files = [ENTRY].concat(assets);
+    const entries = [{ name: ENTRY, data: html }]
+        .concat(assets.map(f => ({ name: f, data: fs.readFileSync(path.join(ROOT, f)) })));
+    const manifest = opts.scorm === '1.2' ? manifest12(activity, files, opts.mastery) : manifest2004(activity, files, opts.mastery);
+    entries.unshift({ name: 'imsmanifest.xml', data: Buffer.from(manifest, 'utf8') });
+
+    return {
+        activity,
+        name: `${activity.id}-scorm${opts.scorm.replace('.', '')}.zip`,
+        files: entries.map(e => e.name),
+        buffer: zip(entries)
+    };
+}
+
+function parseArgs(argv) {
+    const args = { targets: [], scorm: '1.2', mastery: null, out: 'dist', all: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--scorm') args.scorm = argv[++i];
+        else if (arg === '--mastery') args.mastery = Number(argv[++i]);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--all') args.all = true;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else args.targets.push(arg);
+    }
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || (!args.all && !args.targets.length)) {
+        console.log('Usage: node tools/scorm-package.js <activity id or file>... [--scorm 1.2|2004] [--mastery 80] [--out dist] [--all]');
+        return args.help ? 0 : 1;
+    }
+    const registry = loadRegistry();
+    const targets = args.all ? registry.filter(a => a.kind === 'activity').map(a => a.id) : args.targets;
+    const out = path.resolve(process.cwd(), args.out);
+    fs.mkdirSync(out, { recursive: true });
+
+    let failures = 0;
+    targets.forEach(target => {
+        try {
+            const pkg = buildPackage(target, { scorm: args.scorm, mastery: args.mastery, registry });
+            fs.writeFileSync(path.join(out, pkg.name), pkg.buffer);
+            console.log(`${path.join(args.out, pkg.name)}  (${pkg.files.length} files, ${Math.round(pkg.buffer.length / 1024)} KB)`);
+        } catch (err) {
+            failures++;
+            console.error(`${target}: ${err.message}`);
+        }
+    });
+    return failures ? 1 : 0;
+}
+
+module.exports = { buildPackage, zip, crc32, localReferences, manifest12, manifest2004 };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}